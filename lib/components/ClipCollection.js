@@ -0,0 +1,222 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { DEFAULT_KALTURA_URL } from "../utils/kalturaPlayerLoader";
+import {
+  exportClipsAsJson,
+  exportClipsAsM3u,
+  exportClipsAsKalturaPlaylist,
+  getClipCollectionShareUrl,
+} from "../utils/clipCollection";
+import "./ClipCollection.css";
+
+/**
+ * Format a clip time for display, e.g. 1:02:03 or 02:03
+ *
+ * @param {number} time - Time in seconds.
+ * @returns {string} - The formatted time.
+ */
+const formatClipTime = (time) => {
+  const totalSeconds = Math.floor(time);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return (
+    (hours > 0 ? hours + ":" : "") +
+    minutes.toString().padStart(2, "0") +
+    ":" +
+    seconds.toString().padStart(2, "0")
+  );
+};
+
+/**
+ * Let the browser download text content as a file.
+ *
+ * @param {string} fileName - The name of the file.
+ * @param {string} content - The file contents.
+ * @param {string} type - The MIME type of the file.
+ */
+const downloadFile = (fileName, content, type) => {
+  if (typeof URL.createObjectURL !== "function") return;
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * @component
+ * @name ClipCollection
+ * @description A "collection" tray listing the clips (cited video segments) the user selected, with their removal,
+ * and exports of the collection as JSON, an M3U playlist, a Kaltura playlist payload or a share link.
+ * The clips are kept by the parent, e.g. with useClipCollection.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Array<Object>} props.clips - The clips of the collection.
+ * @param {function} [props.onRemove] - Function to call when a clip is removed, receives the clip.
+ * @param {function} [props.onClear] - Function to call when the collection is cleared.
+ * @param {string} [props.kalturaServiceUrl="https://cdnapi-ev.kaltura.com"] - The URL to access the Kaltura service on, for the M3U playlist.
+ * @param {number} props.partnerId - The Kaltura account id (KMC>Integration Settings>Partner ID), for the M3U playlist.
+ * @param {string} [props.shareBaseUrl] - The URL the share link points to, defaults to the current page.
+ * @param {string} [props.playlistName="Clip collection"] - The name of the exported Kaltura playlist.
+ *
+ * @returns {JSX.Element} A rendered ClipCollection component.
+ */
+const ClipCollection = (props) => {
+  const [shareUrl, setShareUrl] = useState(null);
+  const isEmpty = props.clips.length === 0;
+
+  /**
+   * Show the share link of the collection, and copy it to the clipboard where available.
+   */
+  const share = () => {
+    const url = getClipCollectionShareUrl(
+      props.clips,
+      props.shareBaseUrl || window.location.href
+    );
+    setShareUrl(url);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).catch(() => {});
+    }
+  };
+
+  return (
+    <div
+      className="react_kaltura_clip_collection"
+      role="region"
+      aria-label="Clip collection"
+    >
+      <div className="react_kaltura_clip_collection_header">
+        Collection ({props.clips.length})
+      </div>
+      {isEmpty ? (
+        <div className="react_kaltura_clip_collection_empty">
+          Select citations to collect their video clips.
+        </div>
+      ) : (
+        <ul className="react_kaltura_clip_collection_list">
+          {props.clips.map((clip) => (
+            <li
+              className="react_kaltura_clip_collection_clip"
+              key={`${clip.entry_id}_${clip.time}_${clip.end}`}
+            >
+              <span className="react_kaltura_clip_collection_clip_title">
+                {clip.title || clip.entry_id}
+              </span>{" "}
+              <span className="react_kaltura_clip_collection_clip_time">
+                {formatClipTime(clip.time)}
+                {clip.end !== undefined && clip.end !== null
+                  ? ` - ${formatClipTime(clip.end)}`
+                  : ""}
+              </span>
+              {props.onRemove && (
+                <button
+                  className="react_kaltura_clip_collection_clip_remove"
+                  aria-label={`Remove ${clip.title || clip.entry_id}`}
+                  onClick={() => props.onRemove(clip)}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="react_kaltura_clip_collection_actions">
+        <button
+          disabled={isEmpty}
+          onClick={() =>
+            downloadFile(
+              "clips.json",
+              exportClipsAsJson(props.clips),
+              "application/json"
+            )
+          }
+        >
+          Export JSON
+        </button>
+        <button
+          disabled={isEmpty}
+          onClick={() =>
+            downloadFile(
+              "clips.m3u",
+              exportClipsAsM3u(props.clips, {
+                kalturaServiceUrl: props.kalturaServiceUrl,
+                partnerId: props.partnerId,
+              }),
+              "audio/x-mpegurl"
+            )
+          }
+        >
+          Export M3U
+        </button>
+        <button
+          disabled={isEmpty}
+          onClick={() =>
+            downloadFile(
+              "kaltura_playlist.json",
+              JSON.stringify(
+                exportClipsAsKalturaPlaylist(props.clips, props.playlistName),
+                null,
+                2
+              ),
+              "application/json"
+            )
+          }
+        >
+          Export Kaltura playlist
+        </button>
+        <button disabled={isEmpty} onClick={share}>
+          Share link
+        </button>
+        {props.onClear && (
+          <button disabled={isEmpty} onClick={props.onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      {shareUrl && !isEmpty && (
+        <input
+          className="react_kaltura_clip_collection_share_url"
+          type="text"
+          readOnly
+          value={shareUrl}
+          aria-label="Share link"
+          onFocus={(event) => event.target.select()}
+        />
+      )}
+    </div>
+  );
+};
+
+ClipCollection.propTypes = {
+  clips: PropTypes.arrayOf(
+    PropTypes.shape({
+      entry_id: PropTypes.string.isRequired, // the id of the KalturaEntry
+      time: PropTypes.number.isRequired, // the start of the clip, in seconds
+      end: PropTypes.number, // the end of the clip, in seconds (null if the citation had none)
+      title: PropTypes.string, // the segment title
+      transcript_segment: PropTypes.string, // the transcript of the segment
+      query: PropTypes.string, // the search query the clip was found by
+    })
+  ).isRequired, // the clips of the collection
+  onRemove: PropTypes.func, // function to call when a clip is removed, receives the clip
+  onClear: PropTypes.func, // function to call when the collection is cleared
+  kalturaServiceUrl: PropTypes.string, // the URL to access the Kaltura service on (for the M3U playlist), defaults to: https://cdnapi-ev.kaltura.com
+  partnerId: PropTypes.number.isRequired, // the Kaltura account id (KMC>Integration Settings>Partner ID), for the M3U playlist
+  shareBaseUrl: PropTypes.string, // the URL the share link points to, defaults to the current page
+  playlistName: PropTypes.string, // the name of the exported Kaltura playlist
+};
+
+ClipCollection.defaultProps = {
+  onRemove: null,
+  onClear: null,
+  kalturaServiceUrl: DEFAULT_KALTURA_URL,
+  shareBaseUrl: null,
+  playlistName: "Clip collection",
+};
+
+export default ClipCollection;
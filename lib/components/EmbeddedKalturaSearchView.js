@@ -1,28 +1,117 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import PropTypes from "prop-types";
-import SearchResultsWithGallery from "./SearchResultsWithGallery";
+import SearchResultsWithGallery, {
+  DEFAULT_EXAMPLE_PROMPTS,
+} from "./SearchResultsWithGallery";
+import SearchSuggestions, { getSuggestionOptionId } from "./SearchSuggestions";
+import useSearchHistory from "../hooks/useSearchHistory";
+import useSearchCache from "../hooks/useSearchCache";
+import usePlayerPool from "../hooks/usePlayerPool";
+import { DEFAULT_CLIP_COLLECTION_STORAGE_KEY } from "../utils/clipCollection";
+import {
+  DEFAULT_SEARCH_TIMEOUT,
+  DEFAULT_SEARCH_RETRIES,
+} from "../utils/searchClient";
+import {
+  DEFAULT_SEARCH_CACHE_TTL,
+  DEFAULT_SEARCH_CACHE_STALE_TTL,
+  DEFAULT_SEARCH_CACHE_SIZE,
+} from "../utils/searchCache";
+import {
+  DEFAULT_SEARCH_HISTORY_STORAGE_KEY,
+  DEFAULT_MAX_SEARCH_HISTORY,
+} from "../utils/searchHistory";
 import "./EmbeddedKalturaSearchView.css";
 
+// how many suggested queries (from getSuggestions) the dropdown shows
+const MAX_SUGGESTIONS = 8;
+// how long (ms) typing has to pause before getSuggestions is asked for the new prefix
+const SUGGESTIONS_DELAY = 150;
+
+/**
+ * The context a follow-up question is searched with: the conversation id the search API returned, or else the last answered turns.
+ *
+ * @param {Array<Object>} turns - The turns of the conversation so far, oldest first.
+ * @param {string|null} conversationId - The id of the conversation, as returned by the search API.
+ * @param {number} maxContextTurns - How many of the last answered turns to send.
+ * @returns {Object|null} - null for the first question of a conversation.
+ */
+const getConversationContext = (turns, conversationId, maxContextTurns) => {
+  if (conversationId) {
+    return { conversationId };
+  }
+  const history = turns
+    .filter((turn) => turn.answer)
+    .slice(-maxContextTurns)
+    .map((turn) => ({ query: turn.query, answer: turn.answer }));
+  return maxContextTurns > 0 && history.length > 0 ? { history } : null;
+};
+
 /**
  * @component
  * @name EmbeddedKalturaSearchView
  * @description Embedded Kaltura search view with an input search query, and summarized search answer with interactive sentences and Kaltura Players.
+ * The input has a dropdown of the recent searches (persisted in localStorage) and of suggested queries (from getSuggestions),
+ * navigated with the arrow keys, Enter to search, Delete to remove a recent search and Escape to close it.
+ * In conversational mode the questions are kept in a thread of turns, each with its answer and its players gallery, and follow-up
+ * questions are searched with the conversation so far (the conversation id returned by the search API, or else the previous turns).
  *
  * @prop {string} [props.kalturaServiceUrl="https://cdnapi-ev.kaltura.com"] - The URL to access the Kaltura service on.
+ * @prop {boolean} [props.enableSearchHistory=true] - If true, the searches are kept in localStorage and offered in the input dropdown.
+ * @prop {string} [props.searchHistoryStorageKey="react_kaltura_search_history"] - The localStorage key the search history is kept under.
+ * @prop {number} [props.maxSearchHistory=10] - How many recent searches to keep.
+ * @prop {function} [props.getSuggestions] - (prefix) => suggested queries (or a Promise of them) for the input dropdown, e.g. curated or popular questions. Pass a stable function.
+ * @prop {Array<string>} [props.examplePrompts] - The example prompts shown (clickable) before the first search.
+ * @prop {boolean} [props.conversational=false] - If true, each question adds a turn to a conversation thread (with a "New conversation" control) rather than replacing the previous answer.
+ * @prop {number} [props.maxContextTurns=5] - In conversational mode, how many previous turns a follow-up question is sent with (when the search API didn't return a conversation id).
+ * @prop {boolean} [props.collapseOlderTurns=true] - In conversational mode, should the players galleries of the previous turns be collapsed when a question is asked?
  * @prop {string} [props.searchApiUrl="http://localhost/search_api_mock.json"] - The URL to use for making the search API call.
  * @prop {string} [props.searchApiBearerToken=""] - The bearer token for using the AI search API.
+ * @prop {Object} [props.searchCache] - A cache created with createSearchCache, to share with other components or invalidate / clear from outside.
+ * @prop {number} [props.searchCacheTtl=300000] - How long (ms) the own search cache serves a response without calling the search API, 0 to not cache.
+ * @prop {number} [props.searchCacheStaleTtl=3600000] - How long (ms) past its TTL the own search cache serves a response, while revalidating it in the background.
+ * @prop {number} [props.searchCacheSize=20] - How many responses the own search cache keeps.
+ * @prop {boolean} [props.persistSearchCache=false] - If true, the own search cache is kept in sessionStorage too.
+ * @prop {number} [props.searchTimeout=30000] - How long (ms) the default search client waits for a response before retrying or failing, 0 to wait indefinitely.
+ * @prop {number} [props.searchRetries=2] - How many times the default search client retries on 5xx / 429 responses (honoring Retry-After), network errors and timeouts.
+ * @prop {Object} [props.searchClient] - The search client, e.g. from createHttpSearchClient, used instead of searchApiUrl and searchApiBearerToken.
  * @prop {number} [props.partnerId] - The Kaltura account id (KMC>Integration Settings>Partner ID).
  * @prop {number} [props.uiConfId] - The Kaltura Player instance id (KMC>Studio).
- * @prop {string} [props.ks] - The Kaltura Session to pass when rendering the Kaltura Video Players.
+ * @prop {string} [props.ks] - The Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed).
+ * @prop {function} [props.ksProvider] - Async function returning a KS (or {ks, expiry}), called on start, before the KS expires and after KS errors.
+ * @prop {function} [props.onKsExpired] - Function to call when a KS related error was detected in one of the players.
  * @prop {string} [props.playerIdTemplate="kaltura_player"] - Naming convention to create player nodes: {playerIdTemplate}_{i} with i being an incrementing integer starting at 0.
  * @prop {boolean} [props.startInAutoPlay=false] - Should video players start with autoPlay?
  * @prop {boolean} [props.shouldPlayOnHover=true] - Should the video players play when the user hover over them?
  * @prop {string} [props.preLoad="auto"] - Should the video players start loading the video when rendering or upon first play?
  * @prop {number} [props.startingVolume=1] - The starting volume the video players (0-1).
+ * @prop {boolean} [props.lazyLoad=false] - Should gallery items only create their player when they near the viewport or are hovered / focused?
+ * @prop {number} [props.maxLivePlayers=4] - In lazyLoad mode, the maximum number of players that exist at once.
+ * @prop {Object} [props.playerPool] - A pool created with createPlayerPool, to share idle player instances with other components.
+ * @prop {number} [props.maxIdlePlayers=4] - How many idle player instances are kept for reuse by the next searches.
+ * @prop {string} [props.layout="row"] - The players gallery layout: row, grid, carousel, list or masonry.
+ * @prop {string} [props.gridMinColumnWidth="240px"] - In grid and masonry layouts, the minimum width of a column.
+ * @prop {number} [props.carouselItemsPerPage=3] - In carousel layout, how many players a page shows.
+ * @prop {boolean} [props.keepActiveItemCentered=false] - Should the playing player be scrolled to the center of the gallery rather than to its start?
+ * @prop {boolean} [props.exclusivePlayback=false] - Should playing a video (including from its player controls) pause all the others?
+ * @prop {boolean} [props.playThrough=false] - Should the next cited segment play when the playing one ends, highlighting its sentence as it goes?
+ * @prop {boolean} [props.groupByEntry=false] - Should the sentences citing the same entry share one player, seeking it to the segment they cite?
+ * @prop {Function} [props.renderItem] - Renders the content of a gallery item, see PlayersGallery.
+ * @prop {Function} [props.renderItemHeader] - Renders content above the player of a gallery item, see PlayersGallery.
+ * @prop {Function} [props.renderItemFooter] - Renders content below the player of a gallery item, in place of its title, see PlayersGallery.
+ * @prop {Function} [props.getPlayerProps] - (ref, index) => props overriding the defaults of a gallery item's Player.
+ * @prop {string} [props.previewMode="player"] - player, or sprite / frames to show thumbnail previews that scrub through the segment on hover, and only create a player when one is played.
+ * @prop {number} [props.previewFrameCount=10] - In preview mode, how many frames of the segment to scrub through.
+ * @prop {boolean} [props.enableCollection=false] - Can gallery items and sentences be selected into a clip collection, shown in a tray with its exports?
+ * @prop {string} [props.collectionStorageKey="react_kaltura_clip_collection"] - The localStorage key the clip collection persists under.
+ * @prop {Function} [props.onCollectionChange] - Function to call when the user changes the clip collection, receives the clips.
+ * @prop {string} [props.collectionShareBaseUrl] - The URL the collection share link points to, defaults to the current page.
  *
  * @state {string} searchQuery - The current search query.
  * @state {string} lastSearchQuery - The last search query that was sent.
  * @state {boolean} isSearching - Indicates whether the search is in progress.
+ * @state {Array<Object>} turns - In conversational mode, the turns of the conversation: {id, query, context, answer, isGalleryCollapsed}.
+ * @state {string|null} conversationId - In conversational mode, the id of the conversation, as returned by the search API.
  *
  * @example
  * ```jsx
@@ -44,12 +133,26 @@ import "./EmbeddedKalturaSearchView.css";
  * @returns {JSX.Element} Returns a search input field and the `SearchResultsWithGallery` component,
  * along with some additional UI elements, all wrapped in a div element.
  *
- * @throws Will throw an error if the required props (`partnerId`, `uiConfId`, `ks`) are not provided.
+ * @throws Will throw an error if the required props (`partnerId`, `uiConfId`, and `ks` or `ksProvider`) are not provided.
  */
 const EmbeddedKalturaSearchView = (props) => {
   const [searchQuery, setSearchQuery] = useState("");
   const [lastSearchQuery, setLastSearchQuery] = useState("");
   const [isSearching, setIsSearching] = useState(false);
+  const [isSuggestionsOpen, setIsSuggestionsOpen] = useState(false);
+  const [activeSuggestionIndex, setActiveSuggestionIndex] = useState(-1);
+  const [suggestions, setSuggestions] = useState([]);
+  const [turns, setTurns] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const nextTurnIdRef = useRef(0);
+  const latestTurnRef = useRef(null);
+  const searchHistory = useSearchHistory({
+    storageKey:
+      props.searchHistoryStorageKey || DEFAULT_SEARCH_HISTORY_STORAGE_KEY,
+    maxQueries: props.maxSearchHistory || DEFAULT_MAX_SEARCH_HISTORY,
+  });
+  const enableSearchHistory = props.enableSearchHistory !== false;
+  const getSuggestions = props.getSuggestions;
 
   useEffect(() => {
     if (lastSearchQuery) {
@@ -57,37 +160,314 @@ const EmbeddedKalturaSearchView = (props) => {
     }
   }, [lastSearchQuery]);
 
+  /**
+   * Ask getSuggestions for the typed prefix, once typing pauses, keeping only the answer for the latest prefix
+   */
+  useEffect(() => {
+    if (!getSuggestions) {
+      setSuggestions([]);
+      return;
+    }
+    let isCurrent = true;
+    const timer = setTimeout(() => {
+      Promise.resolve(getSuggestions(searchQuery.trim()))
+        .then((queries) => {
+          if (isCurrent) {
+            setSuggestions(Array.isArray(queries) ? queries : []);
+          }
+        })
+        .catch((e) => {
+          console.error("Failed to get search suggestions: ", e);
+        });
+    }, SUGGESTIONS_DELAY);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, getSuggestions]);
+
+  /**
+   * Bring a new turn of the conversation into view
+   */
+  useEffect(() => {
+    if (latestTurnRef.current && latestTurnRef.current.scrollIntoView) {
+      latestTurnRef.current.scrollIntoView({
+        block: "start",
+        behavior: "smooth",
+      });
+    }
+  }, [turns.length]);
+
+  /**
+   * The dropdown items: the recent searches matching the input, then the suggested queries that aren't recent searches
+   */
+  const prefix = searchQuery.trim().toLowerCase();
+  const recentQueries = enableSearchHistory
+    ? searchHistory.history.filter((query) =>
+        query.toLowerCase().includes(prefix)
+      )
+    : [];
+  const suggestionItems = [
+    ...recentQueries.map((query) => ({ query, isRecent: true })),
+    ...suggestions
+      .filter(
+        (query, index) =>
+          typeof query === "string" &&
+          ![...recentQueries, ...suggestions.slice(0, index)].some(
+            (other) =>
+              typeof other === "string" &&
+              other.toLowerCase() === query.toLowerCase()
+          )
+      )
+      .slice(0, MAX_SUGGESTIONS)
+      .map((query) => ({ query, isRecent: false })),
+  ];
+  const isSuggestionsListShown =
+    isSuggestionsOpen && suggestionItems.length > 0;
+  const suggestionsListId = `${
+    props.playerIdTemplate || "kaltura_player"
+  }_search_suggestions`;
+
+  const closeSuggestions = () => {
+    setIsSuggestionsOpen(false);
+    setActiveSuggestionIndex(-1);
+  };
+
   const handleInputChange = (event) => {
     setSearchQuery(event.target.value);
+    setIsSuggestionsOpen(true);
+    setActiveSuggestionIndex(-1);
   };
 
   const handleKeyDown = (event) => {
-    if (event.key === "Enter") {
-      handleSearchClick();
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (!isSuggestionsListShown) {
+        setIsSuggestionsOpen(true);
+        return;
+      }
+      // from the last item ArrowDown goes back to the typed text, as does ArrowUp from the first item
+      const count = suggestionItems.length;
+      setActiveSuggestionIndex(
+        event.key === "ArrowDown"
+          ? activeSuggestionIndex + 1 < count
+            ? activeSuggestionIndex + 1
+            : -1
+          : activeSuggestionIndex === -1
+          ? count - 1
+          : activeSuggestionIndex - 1
+      );
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      submitSearch(
+        isSuggestionsListShown && activeSuggestionIndex !== -1
+          ? suggestionItems[activeSuggestionIndex].query
+          : searchQuery
+      );
+    } else if (
+      event.key === "Delete" &&
+      isSuggestionsListShown &&
+      activeSuggestionIndex !== -1 &&
+      suggestionItems[activeSuggestionIndex].isRecent
+    ) {
+      event.preventDefault();
+      searchHistory.removeQuery(suggestionItems[activeSuggestionIndex].query);
+      setActiveSuggestionIndex(
+        Math.min(activeSuggestionIndex, suggestionItems.length - 2)
+      );
+    } else if (event.key === "Escape") {
+      if (isSuggestionsListShown) {
+        closeSuggestions();
+      } else if (isSearching) {
+        handleCancelClick();
+      }
+    } else if (event.key === "Tab") {
+      closeSuggestions();
     }
   };
 
-  const handleSearchClick = () => {
-    if (searchQuery.trim() !== "" && searchQuery !== lastSearchQuery) {
+  /**
+   * Search for a query (typed, picked in the dropdown or an example prompt), and add it to the recent searches
+   */
+  const submitSearch = (query) => {
+    setSearchQuery(query);
+    closeSuggestions();
+    if (query.trim() === "") return;
+    if (enableSearchHistory) {
+      searchHistory.addQuery(query);
+    }
+    if (props.conversational) {
+      addTurn(query);
+    } else if (query !== lastSearchQuery) {
       setIsSearching(true);
-      setLastSearchQuery(searchQuery);
+      setLastSearchQuery(query);
     }
   };
 
+  /**
+   * Ask a question of the conversation, as a new turn of the thread (superseding the one still being answered, if any)
+   */
+  const addTurn = (query) => {
+    const turn = {
+      id: nextTurnIdRef.current++,
+      query,
+      context: getConversationContext(turns, conversationId, maxContextTurns),
+      answer: null,
+      isGalleryCollapsed: false,
+    };
+    setTurns([
+      ...turns.map((previousTurn) =>
+        collapseOlderTurns
+          ? { ...previousTurn, isGalleryCollapsed: true }
+          : previousTurn
+      ),
+      turn,
+    ]);
+    setIsSearching(true);
+    // the input is ready for a follow-up question
+    setSearchQuery("");
+  };
+
+  /**
+   * Keep the answer of a turn (and the conversation id the search API returned), for the context of the follow-up questions
+   */
+  const onTurnResults = (turnId, data) => {
+    setTurns((turns) =>
+      turns.map((turn) =>
+        turn.id === turnId ? { ...turn, answer: data.model_answer } : turn
+      )
+    );
+    if (data.conversation_id) {
+      setConversationId(data.conversation_id);
+    }
+  };
+
+  const toggleTurnGallery = (turnId) =>
+    setTurns((turns) =>
+      turns.map((turn) =>
+        turn.id === turnId
+          ? { ...turn, isGalleryCollapsed: !turn.isGalleryCollapsed }
+          : turn
+      )
+    );
+
+  const startNewConversation = () => {
+    setIsSearching(false);
+    setTurns([]);
+    setConversationId(null);
+    setLastSearchQuery("");
+    setSearchQuery("");
+  };
+
+  const handleSearchClick = () => submitSearch(searchQuery);
+
+  const handleCancelClick = () => {
+    setIsSearching(false);
+    // so that the cancelled query can be submitted again
+    setLastSearchQuery("");
+  };
+
   const {
     kalturaServiceUrl = "https://cdnapi-ev.kaltura.com",
     searchApiUrl = "http://localhost/search_api_mock.json",
     searchApiBearerToken = "",
+    searchClient = null,
+    searchCache = null,
+    searchCacheTtl = DEFAULT_SEARCH_CACHE_TTL,
+    searchCacheStaleTtl = DEFAULT_SEARCH_CACHE_STALE_TTL,
+    searchCacheSize = DEFAULT_SEARCH_CACHE_SIZE,
+    persistSearchCache = false,
+    searchTimeout = DEFAULT_SEARCH_TIMEOUT,
+    searchRetries = DEFAULT_SEARCH_RETRIES,
     partnerId,
     uiConfId,
     ks,
+    ksProvider,
+    onKsExpired,
     startInAutoPlay = false,
     shouldPlayOnHover = true,
     playerIdTemplate = "kaltura_player",
     preLoad = "auto",
     startingVolume = 1,
+    lazyLoad = false,
+    maxLivePlayers = 4,
+    playerPool = null,
+    maxIdlePlayers = 4,
+    layout = "row",
+    gridMinColumnWidth = "240px",
+    carouselItemsPerPage = 3,
+    keepActiveItemCentered = false,
+    exclusivePlayback = false,
+    playThrough = false,
+    groupByEntry = false,
+    renderItem = null,
+    renderItemHeader = null,
+    renderItemFooter = null,
+    getPlayerProps = null,
+    previewMode = "player",
+    previewFrameCount = 10,
+    enableCollection = false,
+    collectionStorageKey = DEFAULT_CLIP_COLLECTION_STORAGE_KEY,
+    onCollectionChange = null,
+    collectionShareBaseUrl = null,
+    examplePrompts = DEFAULT_EXAMPLE_PROMPTS,
+    maxContextTurns = 5,
+    collapseOlderTurns = true,
   } = props;
 
+  // shared by the turns of a conversation, so that their players and responses are reused across them
+  const sharedPlayerPool = usePlayerPool(playerPool, maxIdlePlayers);
+  const sharedSearchCache = useSearchCache(searchCache, {
+    ttl: searchCacheTtl,
+    staleTtl: searchCacheStaleTtl,
+    maxEntries: searchCacheSize,
+    persist: persistSearchCache,
+  });
+
+  /**
+   * The props of the search results, of the single search or of each turn of the conversation
+   */
+  const resultsProps = {
+    setIsSearching,
+    autoPlay: startInAutoPlay,
+    kalturaServiceUrl,
+    searchApiUrl,
+    searchApiBearerToken,
+    searchClient,
+    searchCache: sharedSearchCache,
+    searchCacheTtl,
+    searchTimeout,
+    searchRetries,
+    partnerId,
+    uiConfId,
+    preLoad,
+    startingVolume,
+    ks,
+    ksProvider,
+    onKsExpired,
+    shouldPlayOnHover,
+    lazyLoad,
+    maxLivePlayers,
+    playerPool: sharedPlayerPool,
+    layout,
+    gridMinColumnWidth,
+    carouselItemsPerPage,
+    keepActiveItemCentered,
+    exclusivePlayback,
+    playThrough,
+    groupByEntry,
+    renderItem,
+    renderItemHeader,
+    renderItemFooter,
+    getPlayerProps,
+    previewMode,
+    previewFrameCount,
+    enableCollection,
+    collectionStorageKey,
+    onCollectionChange,
+    collectionShareBaseUrl,
+  };
+
   /**
    * Render the embedded search view component.
    */
@@ -101,6 +481,21 @@ const EmbeddedKalturaSearchView = (props) => {
             value={searchQuery}
             onChange={handleInputChange}
             onKeyDown={handleKeyDown}
+            onFocus={() => setIsSuggestionsOpen(true)}
+            onBlur={closeSuggestions}
+            role="combobox"
+            aria-label="Search"
+            aria-autocomplete="list"
+            aria-expanded={isSuggestionsListShown}
+            aria-controls={suggestionsListId}
+            aria-activedescendant={
+              isSuggestionsListShown && activeSuggestionIndex !== -1
+                ? getSuggestionOptionId(
+                    suggestionsListId,
+                    activeSuggestionIndex
+                  )
+                : undefined
+            }
           />
           <button
             className="react_kaltura_embedded_search_prompt_submit"
@@ -108,25 +503,89 @@ const EmbeddedKalturaSearchView = (props) => {
           >
             <div className="react_kaltura_embedded_search_prompt_submit_svg"></div>
           </button>
+          {isSearching && (
+            <button
+              className="react_kaltura_embedded_search_prompt_cancel"
+              onClick={handleCancelClick}
+            >
+              Cancel
+            </button>
+          )}
         </div>
+        {isSuggestionsListShown && (
+          <SearchSuggestions
+            id={suggestionsListId}
+            items={suggestionItems}
+            activeIndex={activeSuggestionIndex}
+            onSelect={submitSearch}
+            onRemove={(query) => {
+              searchHistory.removeQuery(query);
+              setActiveSuggestionIndex(-1);
+            }}
+            onClear={searchHistory.clearHistory}
+          />
+        )}
+        {props.conversational && turns.length > 0 && (
+          <button
+            className="react_kaltura_embedded_search_new_conversation"
+            onClick={startNewConversation}
+          >
+            New conversation
+          </button>
+        )}
       </div>
-      <SearchResultsWithGallery
-        setIsSearching={setIsSearching}
-        searchQuery={lastSearchQuery}
-        isSearching={isSearching}
-        playerIdTemplate={`${playerIdTemplate}`}
-        autoPlay={startInAutoPlay}
-        kalturaServiceUrl={kalturaServiceUrl}
-        searchApiUrl={searchApiUrl}
-        searchApiBearerToken={searchApiBearerToken}
-        partnerId={partnerId}
-        uiConfId={uiConfId}
-        preLoad={preLoad}
-        startingVolume={startingVolume}
-        ks={ks}
-        shouldPlayOnHover={shouldPlayOnHover}
-      />
-      {lastSearchQuery && (
+      {props.conversational && turns.length > 0 ? (
+        <div
+          className="react_kaltura_embedded_search_thread"
+          role="log"
+          aria-label="Conversation"
+        >
+          {turns.map((turn, index) => {
+            const isLatestTurn = index === turns.length - 1;
+            return (
+              <div
+                key={turn.id}
+                className="react_kaltura_embedded_search_turn"
+                ref={isLatestTurn ? latestTurnRef : null}
+              >
+                <div className="react_kaltura_embedded_search_turn_question">
+                  {turn.query}
+                </div>
+                <button
+                  className="react_kaltura_embedded_search_turn_toggle"
+                  aria-expanded={!turn.isGalleryCollapsed}
+                  onClick={() => toggleTurnGallery(turn.id)}
+                >
+                  {turn.isGalleryCollapsed ? "Show videos" : "Hide videos"}
+                </button>
+                <SearchResultsWithGallery
+                  {...resultsProps}
+                  searchQuery={turn.query}
+                  searchContext={turn.context}
+                  // only the latest turn is searching, asking a follow-up question cancels the previous one
+                  isSearching={isLatestTurn && isSearching}
+                  playerIdTemplate={`${playerIdTemplate}_turn_${turn.id}`}
+                  isGalleryCollapsed={turn.isGalleryCollapsed}
+                  // the clip collection is shared by the turns, its tray is shown once, below the latest turn
+                  showCollectionTray={isLatestTurn}
+                  onResults={(data) => onTurnResults(turn.id, data)}
+                  examplePrompts={[]}
+                />
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <SearchResultsWithGallery
+          {...resultsProps}
+          searchQuery={lastSearchQuery}
+          isSearching={isSearching}
+          playerIdTemplate={`${playerIdTemplate}`}
+          examplePrompts={examplePrompts}
+          onExamplePromptClick={submitSearch}
+        />
+      )}
+      {(lastSearchQuery || turns.length > 0) && (
         <p>Hover the results to watch the respective video</p>
       )}
     </div>
@@ -135,27 +594,118 @@ const EmbeddedKalturaSearchView = (props) => {
 
 EmbeddedKalturaSearchView.propTypes = {
   kalturaServiceUrl: PropTypes.string, // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
+  enableSearchHistory: PropTypes.bool, // should the searches be kept in localStorage, and offered in the input dropdown?
+  searchHistoryStorageKey: PropTypes.string, // the localStorage key the search history is kept under
+  maxSearchHistory: PropTypes.number, // how many recent searches to keep
+  getSuggestions: PropTypes.func, // (prefix) => suggested queries (or a Promise of them) for the input dropdown, e.g. curated or popular questions. pass a stable function
+  examplePrompts: PropTypes.arrayOf(PropTypes.string), // the example prompts shown (clickable) before the first search
+  conversational: PropTypes.bool, // should each question add a turn to a conversation thread (follow-up questions being searched with the conversation so far) rather than replace the previous answer?
+  maxContextTurns: PropTypes.number, // in conversational mode, how many previous turns a follow-up question is sent with (when the search API didn't return a conversation id)
+  collapseOlderTurns: PropTypes.bool, // in conversational mode, should the players galleries of the previous turns be collapsed (releasing their players) when a question is asked?
   searchApiUrl: PropTypes.string, // the URL to use for making the search API call, defaults to: http://localhost/search_api_mock.json
   searchApiBearerToken: PropTypes.string, // the bearer token for using the AI search API, defaults to: ''
+  searchClient: PropTypes.shape({
+    // the search client, e.g. from createHttpSearchClient (an HTTP client of searchApiUrl and searchApiBearerToken is used otherwise)
+    search: PropTypes.func.isRequired, // (query, {onUpdate, signal, context}) => Promise resolving with {model_answer, ref[]}, streaming clients call onUpdate with the response so far
+    getCacheKey: PropTypes.func, // (query, context) => the cache key of a search, defaults to getSearchCacheKey
+  }),
+  searchCache: PropTypes.shape({
+    // a cache created with createSearchCache, to share with other components or invalidate / clear from outside (a cache of its own is used otherwise)
+    get: PropTypes.func.isRequired,
+    set: PropTypes.func.isRequired,
+    invalidate: PropTypes.func.isRequired,
+    clear: PropTypes.func.isRequired,
+  }),
+  searchCacheTtl: PropTypes.number, // how long (ms) the own search cache serves a response without calling the search API, 0 to not cache
+  searchCacheStaleTtl: PropTypes.number, // how long (ms) past its TTL the own search cache serves a response, while revalidating it in the background
+  searchCacheSize: PropTypes.number, // how many responses the own search cache keeps (the least recently used are dropped)
+  persistSearchCache: PropTypes.bool, // should the own search cache be kept in sessionStorage too (e.g. for navigating back to a search)?
+  searchTimeout: PropTypes.number, // how long (ms) the default search client waits for a response (or the next chunk of a streamed one) before retrying or failing, 0 to wait indefinitely
+  searchRetries: PropTypes.number, // how many times the default search client retries on 5xx / 429 responses (honoring Retry-After), network errors and timeouts, with an exponential backoff
   partnerId: PropTypes.number.isRequired, // or string, based on the actual data type
   uiConfId: PropTypes.number.isRequired, // or string, based on the actual data type
-  ks: PropTypes.string.isRequired, // the Kaltura Session to pass when rendering the Kaltura Video Players
+  ks: PropTypes.string, // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider: PropTypes.func, // async function returning a KS (or {ks, expiry} with expiry as a unix timestamp in seconds), called on start, before the KS expires and after KS errors. pass a stable function
+  onKsExpired: PropTypes.func, // function to call when a KS related error (e.g. an expired KS) was detected in one of the players, or ksProvider failed (it's retried with a backoff)
   playerIdTemplate: PropTypes.string, // VideoList will use this naming conversion to create player nodes: {playerIdTemplate}_{i} i being incrementing integer starting 0
   startInAutoPlay: PropTypes.bool, // should video players start with autoPlay?
   shouldPlayOnHover: PropTypes.bool, // should the video players play when the user hover over them and pause when the user mouse leaves the boundaries of the player?
   preLoad: PropTypes.string, // should the video players start loading the video when rendering (true) or upon first play (false)? Note: if you're hiding the video thumbnail in CSS this is recommended to be true.
   startingVolume: PropTypes.number, // what should be the volume the video players will start with (0-1)
+  lazyLoad: PropTypes.bool, // should gallery items show a poster card, and only create their player when they near the viewport or are hovered / focused?
+  maxLivePlayers: PropTypes.number, // in lazyLoad mode, the maximum number of players that exist at once (the least recently activated are destroyed first)
+  playerPool: PropTypes.shape({
+    // a pool created with createPlayerPool, to share idle player instances with other components (a pool of its own is used otherwise)
+    acquire: PropTypes.func.isRequired,
+    release: PropTypes.func.isRequired,
+    getStats: PropTypes.func.isRequired,
+  }),
+  maxIdlePlayers: PropTypes.number, // how many idle player instances are kept for reuse by the next searches (ignored when playerPool is passed)
+  layout: PropTypes.oneOf(["row", "grid", "carousel", "list", "masonry"]), // how to lay out the players gallery: row (a horizontal strip), grid (responsive columns), carousel (pages with prev / next controls and dots), list (vertical) or masonry
+  gridMinColumnWidth: PropTypes.string, // in grid and masonry layouts, the minimum width of a column, the number of columns follows the gallery width
+  carouselItemsPerPage: PropTypes.number, // in carousel layout, how many players a page shows
+  keepActiveItemCentered: PropTypes.bool, // should the playing player be scrolled to the center of the gallery rather than to its start?
+  exclusivePlayback: PropTypes.bool, // should playing a video (including from its player controls) pause all the others?
+  playThrough: PropTypes.bool, // should the next cited segment play when the playing one ends, highlighting its sentence as it goes?
+  groupByEntry: PropTypes.bool, // should the sentences citing the same entry share one player, with a marker on its seek bar for each cited segment?
+  renderItem: PropTypes.func, // renders the content of a gallery item (in place of its player and title), see PlayersGallery
+  renderItemHeader: PropTypes.func, // renders content above the player of a gallery item, see PlayersGallery
+  renderItemFooter: PropTypes.func, // renders content below the player of a gallery item, in place of its title, see PlayersGallery
+  getPlayerProps: PropTypes.func, // (ref, index) => props overriding the defaults of a gallery item's Player
+  previewMode: PropTypes.oneOf(["player", "sprite", "frames"]), // player, or thumbnail previews scrubbing through the segment on hover (from a sprite or one thumbnail per frame), only creating a player when one is played
+  previewFrameCount: PropTypes.number, // in preview mode, how many frames of the segment to scrub through
+  enableCollection: PropTypes.bool, // can gallery items and sentences be selected into a clip collection, shown in a tray with its exports (JSON, M3U, Kaltura playlist, share link)?
+  collectionStorageKey: PropTypes.string, // the localStorage key the clip collection persists under (across searches and reloads)
+  onCollectionChange: PropTypes.func, // function to call when the user changes the clip collection, receives the clips
+  collectionShareBaseUrl: PropTypes.string, // the URL the collection share link points to, defaults to the current page
 };
 
 EmbeddedKalturaSearchView.defaultProps = {
+  enableSearchHistory: true,
+  searchHistoryStorageKey: DEFAULT_SEARCH_HISTORY_STORAGE_KEY,
+  maxSearchHistory: DEFAULT_MAX_SEARCH_HISTORY,
+  getSuggestions: null,
+  examplePrompts: DEFAULT_EXAMPLE_PROMPTS,
+  conversational: false,
+  maxContextTurns: 5,
+  collapseOlderTurns: true,
   playerIdTemplate: "kaltura_player",
   kalturaServiceUrl: "https://cdnapi-ev.kaltura.com",
   searchApiUrl: "http://localhost:8001/search",
   searchApiBearerToken: "",
+  searchClient: null,
+  searchCache: null,
+  searchCacheTtl: DEFAULT_SEARCH_CACHE_TTL,
+  searchCacheStaleTtl: DEFAULT_SEARCH_CACHE_STALE_TTL,
+  searchCacheSize: DEFAULT_SEARCH_CACHE_SIZE,
+  persistSearchCache: false,
+  searchTimeout: DEFAULT_SEARCH_TIMEOUT,
+  searchRetries: DEFAULT_SEARCH_RETRIES,
   startInAutoPlay: false,
   shouldPlayOnHover: true,
   preLoad: "auto",
   startingVolume: 1,
+  lazyLoad: false,
+  maxLivePlayers: 4,
+  playerPool: null,
+  maxIdlePlayers: 4,
+  layout: "row",
+  gridMinColumnWidth: "240px",
+  carouselItemsPerPage: 3,
+  keepActiveItemCentered: false,
+  exclusivePlayback: false,
+  playThrough: false,
+  groupByEntry: false,
+  renderItem: null,
+  renderItemHeader: null,
+  renderItemFooter: null,
+  getPlayerProps: null,
+  previewMode: "player",
+  previewFrameCount: 10,
+  enableCollection: false,
+  collectionStorageKey: DEFAULT_CLIP_COLLECTION_STORAGE_KEY,
+  onCollectionChange: null,
+  collectionShareBaseUrl: null,
 };
 
 export default EmbeddedKalturaSearchView;
@@ -0,0 +1,414 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { DEFAULT_KALTURA_URL } from "../utils/kalturaPlayerLoader";
+import { fetchKalturaCaptions, parseCaptions } from "../utils/captions";
+import "./InteractiveTranscript.css";
+
+/**
+ * Format a cue start time for display, e.g. 1:02:03 or 02:03
+ *
+ * @param {number} time - Time in seconds.
+ * @returns {string} - The formatted time.
+ */
+const formatCueTime = (time) => {
+  const totalSeconds = Math.floor(time);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return (
+    (hours > 0 ? hours + ":" : "") +
+    minutes.toString().padStart(2, "0") +
+    ":" +
+    seconds.toString().padStart(2, "0")
+  );
+};
+
+/**
+ * Escape a string to be used literally in a regular expression.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @component
+ * @name InteractiveTranscript
+ * @description A "read along" transcript of a Kaltura entry, synchronized with a Player.
+ * Loads the entry captions (SRT/WebVTT/DFXP) from captionUrl or the Kaltura caption API, highlights and scrolls to the active cue
+ * as the player plays, seeks the player when a cue is clicked, and supports searching the transcript text.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.entryId - The id of the KalturaEntry whose transcript to show.
+ * @param {Object} [props.player] - The Player handle to synchronize with (e.g. `player` from useKalturaPlayer, or a Player ref's current value).
+ * @param {number} [props.currentTime] - The current playback time in seconds, overrides the time read from the player.
+ * @param {string} [props.captionUrl] - A URL to load the caption file from, instead of the Kaltura caption API.
+ * @param {string} [props.captionFormat] - The format of the caption file (srt, webvtt or dfxp), detected from its contents if not passed.
+ * @param {string} [props.language] - The preferred caption language (e.g. English) or language code (e.g. en), when using the Kaltura caption API.
+ * @param {string} [props.kalturaServiceUrl="https://cdnapi-ev.kaltura.com"] - The URL to access the Kaltura service on.
+ * @param {number} [props.partnerId] - The Kaltura account id (KMC>Integration Settings>Partner ID), required when using the Kaltura caption API.
+ * @param {string} [props.ks] - The Kaltura Session, required when using the Kaltura caption API.
+ * @param {boolean} [props.autoScroll=true] - Should the transcript scroll to the active cue as the player plays?
+ * @param {boolean} [props.showSearch=true] - Should the transcript search box be shown?
+ * @param {function} [props.onCueClick] - Function to call when a cue is clicked, receives the cue.
+ * @param {function} [props.onError] - Function to call when the captions failed to load.
+ *
+ * @example
+ * ```jsx
+ * const { playerRef, player } = useKalturaPlayer();
+ * <Player ref={playerRef} entryId="1_abcd1234" {...playerProps} />
+ * <InteractiveTranscript player={player} entryId="1_abcd1234" partnerId={123456} ks="kaltura_session" />
+ * ```
+ *
+ * @returns {JSX.Element} A rendered InteractiveTranscript component.
+ */
+const InteractiveTranscript = (props) => {
+  const cuesContainerRef = useRef(null);
+  const cueRefs = useRef({});
+
+  const [cues, setCues] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [playerTime, setPlayerTime] = useState(0);
+  const [searchText, setSearchText] = useState("");
+  const [activeHitIndex, setActiveHitIndex] = useState(0);
+
+  const currentTime =
+    props.currentTime !== null && props.currentTime !== undefined
+      ? props.currentTime
+      : playerTime;
+
+  /**
+   * Load and parse the captions when the entry or caption source changes.
+   */
+  useEffect(() => {
+    let isCancelled = false;
+    setCues([]);
+    setError(null);
+    setIsLoading(true);
+
+    const captionsPromise = props.captionUrl
+      ? fetch(props.captionUrl).then((response) => {
+          if (response.ok) {
+            return response.text().then((text) => ({
+              text,
+              format: props.captionFormat,
+            }));
+          } else {
+            throw new Error("Failed to load the captions");
+          }
+        })
+      : fetchKalturaCaptions({
+          kalturaServiceUrl: props.kalturaServiceUrl,
+          partnerId: props.partnerId,
+          ks: props.ks,
+          entryId: props.entryId,
+          language: props.language,
+        });
+
+    captionsPromise
+      .then(({ text, format }) => {
+        if (!isCancelled) {
+          setCues(parseCaptions(text, props.captionFormat || format));
+          setIsLoading(false);
+        }
+      })
+      .catch((error) => {
+        if (!isCancelled) {
+          setError(error);
+          setIsLoading(false);
+          if (props.onError) {
+            props.onError(error);
+          }
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [
+    props.entryId,
+    props.captionUrl,
+    props.captionFormat,
+    props.language,
+    props.kalturaServiceUrl,
+    props.partnerId,
+    props.ks,
+  ]);
+
+  /**
+   * Follow the player's time updates.
+   */
+  useEffect(() => {
+    if (!props.player || !props.player.getPlayerInstance) {
+      return;
+    }
+
+    let instance = null;
+    let isCancelled = false;
+    const handleTimeUpdate = () => setPlayerTime(instance.currentTime);
+
+    props.player.getPlayerInstance().then((playerInstance) => {
+      if (!isCancelled && playerInstance) {
+        instance = playerInstance;
+        instance.addEventListener(instance.Event.TIME_UPDATE, handleTimeUpdate);
+      }
+    });
+
+    return () => {
+      isCancelled = true;
+      if (instance) {
+        instance.removeEventListener(
+          instance.Event.TIME_UPDATE,
+          handleTimeUpdate
+        );
+      }
+    };
+  }, [props.player]);
+
+  const activeCueIndex = useMemo(
+    () =>
+      cues.findIndex(
+        (cue) => currentTime >= cue.startTime && currentTime < cue.endTime
+      ),
+    [cues, currentTime]
+  );
+
+  const searchHits = useMemo(() => {
+    const query = searchText.trim().toLowerCase();
+    return query === ""
+      ? []
+      : cues
+          .filter((cue) => cue.text.toLowerCase().includes(query))
+          .map((cue) => cue.id);
+  }, [cues, searchText]);
+
+  /**
+   * Scroll a cue into view within the transcript (without scrolling the page).
+   *
+   * @param {number} cueId - The id of the cue to scroll to.
+   */
+  const scrollCueIntoView = (cueId) => {
+    const cueElement = cueRefs.current[cueId];
+    if (cuesContainerRef.current && cueElement) {
+      const rect = cueElement.getBoundingClientRect();
+      const containerRect = cuesContainerRef.current.getBoundingClientRect();
+      const relativeTopPosition =
+        rect.top - containerRect.top + cuesContainerRef.current.scrollTop;
+      cuesContainerRef.current.scrollTop =
+        relativeTopPosition - containerRect.height / 3;
+    }
+  };
+
+  /**
+   * Keep the active cue in view while playing, unless the user is navigating search hits.
+   */
+  useEffect(() => {
+    if (props.autoScroll && activeCueIndex !== -1 && searchHits.length === 0) {
+      scrollCueIntoView(cues[activeCueIndex].id);
+    }
+  }, [activeCueIndex]);
+
+  /**
+   * Go to the first hit whenever the search results change.
+   */
+  useEffect(() => {
+    setActiveHitIndex(0);
+    if (searchHits.length > 0) {
+      scrollCueIntoView(searchHits[0]);
+    }
+  }, [searchHits]);
+
+  /**
+   * Move to the next (1) or previous (-1) search hit.
+   *
+   * @param {number} direction - 1 for next, -1 for previous.
+   */
+  const navigateSearchHits = (direction) => {
+    if (searchHits.length === 0) {
+      return;
+    }
+    const hitIndex =
+      (activeHitIndex + direction + searchHits.length) % searchHits.length;
+    setActiveHitIndex(hitIndex);
+    scrollCueIntoView(searchHits[hitIndex]);
+  };
+
+  const handleSearchKeyDown = (event) => {
+    if (event.key === "Enter") {
+      navigateSearchHits(event.shiftKey ? -1 : 1);
+    }
+  };
+
+  /**
+   * Seek the player to a cue when it's clicked.
+   *
+   * @param {Object} cue - The clicked cue.
+   */
+  const handleCueClick = (cue) => {
+    if (props.player && props.player.seek) {
+      props.player.seek(cue.startTime);
+    }
+    if (props.onCueClick) {
+      props.onCueClick(cue);
+    }
+  };
+
+  /**
+   * Render the cue text, with the search text marked.
+   *
+   * @param {string} text - The cue text.
+   * @returns {Array<React.ReactNode>|string}
+   */
+  const renderCueText = (text) => {
+    const query = searchText.trim();
+    if (query === "") {
+      return text;
+    }
+    return text
+      .split(new RegExp(`(${escapeRegExp(query)})`, "i"))
+      .map((part, i) =>
+        i % 2 === 1 ? (
+          <mark
+            key={i}
+            className="react_kaltura_interactive_transcript_search_match"
+          >
+            {part}
+          </mark>
+        ) : (
+          part
+        )
+      );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="react_kaltura_interactive_transcript_msg_loading react_kaltura_interactive_transcript_msg">
+        Loading transcript...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="react_kaltura_interactive_transcript_msg_error react_kaltura_interactive_transcript_msg">
+        Error: {error.message}
+      </div>
+    );
+  }
+
+  /**
+   * Render the transcript.
+   */
+  return (
+    <div className="react_kaltura_interactive_transcript">
+      {props.showSearch && (
+        <div className="react_kaltura_interactive_transcript_search">
+          <input
+            className="react_kaltura_interactive_transcript_search_input"
+            type="search"
+            placeholder="Search transcript"
+            aria-label="Search transcript"
+            value={searchText}
+            onChange={(event) => setSearchText(event.target.value)}
+            onKeyDown={handleSearchKeyDown}
+          />
+          <span
+            className="react_kaltura_interactive_transcript_search_count"
+            aria-live="polite"
+          >
+            {searchText.trim() !== "" &&
+              (searchHits.length > 0
+                ? `${activeHitIndex + 1}/${searchHits.length}`
+                : "0/0")}
+          </span>
+          <button
+            className="react_kaltura_interactive_transcript_search_prev"
+            aria-label="Previous match"
+            disabled={searchHits.length === 0}
+            onClick={() => navigateSearchHits(-1)}
+          >
+            &#8593;
+          </button>
+          <button
+            className="react_kaltura_interactive_transcript_search_next"
+            aria-label="Next match"
+            disabled={searchHits.length === 0}
+            onClick={() => navigateSearchHits(1)}
+          >
+            &#8595;
+          </button>
+        </div>
+      )}
+      <div
+        className="react_kaltura_interactive_transcript_cues"
+        ref={cuesContainerRef}
+      >
+        {cues.map((cue, index) => (
+          <div
+            key={cue.id}
+            ref={(element) => (cueRefs.current[cue.id] = element)}
+            className={[
+              "react_kaltura_interactive_transcript_cue",
+              index === activeCueIndex
+                ? "react_kaltura_interactive_transcript_cue_active"
+                : "",
+              searchHits[activeHitIndex] === cue.id
+                ? "react_kaltura_interactive_transcript_cue_search_hit"
+                : "",
+            ]
+              .filter((className) => className !== "")
+              .join(" ")}
+            role="button"
+            tabIndex={0}
+            onClick={() => handleCueClick(cue)}
+            onKeyDown={(event) => {
+              if (event.key === "Enter") {
+                handleCueClick(cue);
+              }
+            }}
+          >
+            <span className="react_kaltura_interactive_transcript_cue_time">
+              {formatCueTime(cue.startTime)}
+            </span>
+            <span className="react_kaltura_interactive_transcript_cue_text">
+              {renderCueText(cue.text)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+InteractiveTranscript.propTypes = {
+  entryId: PropTypes.string.isRequired, // the id of the KalturaEntry whose transcript to show
+  player: PropTypes.object, // the Player handle to synchronize with (e.g. `player` from useKalturaPlayer, or a Player ref's current value)
+  currentTime: PropTypes.number, // the current playback time in seconds, overrides the time read from the player
+  captionUrl: PropTypes.string, // a URL to load the caption file from, instead of the Kaltura caption API
+  captionFormat: PropTypes.oneOf(["srt", "webvtt", "dfxp"]), // the format of the caption file, detected from its contents if not passed
+  language: PropTypes.string, // the preferred caption language (e.g. English) or language code (e.g. en), when using the Kaltura caption API
+  kalturaServiceUrl: PropTypes.string, // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
+  partnerId: PropTypes.number, // the Kaltura account id (KMC>Integration Settings>Partner ID), required when using the Kaltura caption API
+  ks: PropTypes.string, // the Kaltura Session, required when using the Kaltura caption API
+  autoScroll: PropTypes.bool, // should the transcript scroll to the active cue as the player plays?
+  showSearch: PropTypes.bool, // should the transcript search box be shown?
+  onCueClick: PropTypes.func, // function to call when a cue is clicked, receives the cue
+  onError: PropTypes.func, // function to call when the captions failed to load
+};
+
+InteractiveTranscript.defaultProps = {
+  player: null,
+  currentTime: null,
+  captionUrl: null,
+  captionFormat: null,
+  language: null,
+  kalturaServiceUrl: DEFAULT_KALTURA_URL,
+  ks: "",
+  autoScroll: true,
+  showSearch: true,
+  onCueClick: null,
+  onError: null,
+};
+
+export default InteractiveTranscript;
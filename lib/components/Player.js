@@ -5,14 +5,135 @@ import React, {
   forwardRef,
   useImperativeHandle,
 } from "react";
+import { createPortal } from "react-dom";
 import PropTypes from "prop-types";
+import {
+  DEFAULT_KALTURA_URL,
+  loadKalturaPlayer,
+} from "../utils/kalturaPlayerLoader";
+import { addTimelineMarkers } from "../utils/timeline";
+import useKalturaSession from "../hooks/useKalturaSession";
 import "./Player.css";
 
-// static flag to only load the Kaltura embedPlaykitJS script only once across many instances of the player
-// note that it assumes that this component will only be used against one account and uiConf ID across a given app
-// if more than one account or player uiConf are to be used, this should change to an array of URLs.
-let scriptLoadedGlobally = false;
-const DEFAULT_KALTURA_URL = "https://cdnapi-ev.kaltura.com";
+// the player UI presets that UI components apply to, unless they specify their own
+const DEFAULT_UI_PRESETS = ["Playback", "Live", "Idle"];
+
+// maps the Player event callback props to the kaltura-player-js event names (paths in instance.Event) they listen to
+// note that onReady listens to TRACKS_CHANGED, which is what the kaltura-player-js ready() promise resolves on,
+// it fires again when the tracks change so onReady is only called for the first one of each media (see bindPlayerEvents)
+const PLAYER_EVENT_CALLBACKS = {
+  onError: "ERROR",
+  onReady: "TRACKS_CHANGED",
+  onMediaLoaded: "MEDIA_LOADED",
+  onFirstPlay: "FIRST_PLAY",
+  onPlay: "PLAY",
+  onPause: "PAUSE",
+  onEnded: "ENDED",
+  onTimeUpdate: "TIME_UPDATE",
+  onSeeked: "SEEKED",
+  onVolumeChange: "VOLUME_CHANGE",
+  onRateChange: "RATE_CHANGE",
+  onPlaylistItemChange: "Playlist.PLAYLIST_ITEM_CHANGED",
+};
+
+/**
+ * Resolve a kaltura-player-js event name from its path in instance.Event, e.g. "PLAY" or "Playlist.PLAYLIST_ITEM_CHANGED".
+ * Namespaced events are also looked up at the top level, as some player versions flatten them.
+ *
+ * @param {Object} instance - The kaltura-player-js instance.
+ * @param {string} eventPath - The path of the event in instance.Event.
+ * @returns {string|undefined} - The event name to listen to, if this player version has it.
+ */
+const getEventName = (instance, eventPath) => {
+  const keys = eventPath.split(".");
+  return (
+    keys.reduce((events, key) => events && events[key], instance.Event) ||
+    instance.Event[keys[keys.length - 1]]
+  );
+};
+
+/**
+ * Get the ad-hoc playlist entries from props, normalized to objects.
+ *
+ * @param {Object} props - The Player props.
+ * @returns {Array<{entryId: string, startTime: ?number, endTime: ?number}>} - The entries, empty if not in ad-hoc playlist mode.
+ */
+const getPlaylistEntries = (props) =>
+  (props.playlistEntries || []).map((entry) =>
+    typeof entry === "string" ? { entryId: entry } : entry
+  );
+
+/**
+ * Get the kaltura-player-js playlist options from props.
+ *
+ * @param {Object} props - The Player props.
+ * @returns {{autoContinue: boolean, loop: boolean}}
+ */
+const getPlaylistOptions = (props) => ({
+  autoContinue: props.playlistAutoContinue,
+  loop: props.playlistLoop,
+});
+
+/**
+ * Is the Player in playlist mode (a Kaltura playlist id or an ad-hoc list of entries) rather than single entry mode?
+ *
+ * @param {Object} props - The Player props.
+ * @returns {boolean}
+ */
+const isPlaylistMode = (props) =>
+  !!props.playlistId || getPlaylistEntries(props).length > 0;
+
+/**
+ * Create a promise along with its resolve function, used to let imperative calls wait for the player instance.
+ *
+ * @returns {{promise: Promise, resolve: Function, isResolved: boolean}} - The deferred object.
+ */
+const createDeferred = () => {
+  const deferred = { isResolved: false };
+  deferred.promise = new Promise((resolve) => {
+    deferred.resolve = (value) => {
+      deferred.isResolved = true;
+      resolve(value);
+    };
+  });
+  return deferred;
+};
+
+/**
+ * Get the key a Player's instance is pooled under, instances are only reused by Players that would set them up the same way.
+ * Players with uiComponents aren't pooled, as the components are bound to the Player that set the instance up.
+ *
+ * @param {Object} props - The Player props.
+ * @returns {string|null} - The pool key, or null if the instance can't be pooled.
+ */
+const getPlayerPoolKey = (props) =>
+  props.playerPool && (props.uiComponents || []).length === 0
+    ? JSON.stringify([
+        props.kalturaServiceUrl,
+        props.partnerId,
+        props.uiConfId,
+        props.autoPlay,
+        props.preLoad,
+        props.hideLoadingSpinner,
+        props.hideBigPlayButton,
+      ])
+    : null;
+
+/**
+ * Find a track in a list of kaltura-player-js tracks.
+ *
+ * @param {Array<Object>} tracks - The tracks returned by instance.getTracks.
+ * @param {(Object|number|string)} track - A track object, its index, or its language (for audio and caption tracks).
+ * @returns {Object|undefined} - The matching track, if any.
+ */
+const findTrack = (tracks, track) =>
+  tracks.find(
+    (t) =>
+      t === track ||
+      (typeof track === "number" && t.index === track) ||
+      (typeof track === "string" && t.language === track) ||
+      (track && typeof track === "object" && t.index === track.index)
+  );
 
 /**
  * Player component for loading and interacting with the Kaltura Player v7 (aka [kaltura-player-js](https://github.com/kaltura/kaltura-player-js))
@@ -24,6 +145,55 @@ const DEFAULT_KALTURA_URL = "https://cdnapi-ev.kaltura.com";
 const Player = forwardRef((props, ref) => {
   const playerContainerRef = useRef(null);
   const [playerInstance, setPlayerInstance] = useState(null);
+  // the current instance, for the unmount cleanup (which can't rely on the state it closed over)
+  const playerInstanceRef = useRef(null);
+  // the pool (and pool key) the current instance goes back to when it's replaced or the component unmounts
+  const playerPoolRef = useRef({ pool: null, key: null });
+  const unbindPlayerEventsRef = useRef(null);
+  // the KS the player instance currently uses, to hot-swap it when a new one arrives
+  const appliedKsRef = useRef(null);
+  const session = useKalturaSession({
+    ks: props.ks,
+    ksProvider: props.ksProvider,
+    onKsExpired: props.onKsExpired,
+    onError: props.onError,
+  });
+  const [playlistItemIndex, setPlaylistItemIndex] = useState(0);
+  // DOM nodes that the player UI created for the replaced / added uiComponents, keyed by label, to render their React content into
+  const [uiComponentContainers, setUiComponentContainers] = useState({});
+  const playerInstanceDeferredRef = useRef(null);
+  // the entry loaded in the player (outside of playlist mode), so that a startTime change on it seeks instead of reloading the media
+  const loadedEntryIdRef = useRef(null);
+  // was onReady called for the loaded media? reset whenever new media (an entry, a playlist or its next item) is loaded
+  const isMediaReadyRef = useRef(false);
+  if (playerInstanceDeferredRef.current === null) {
+    playerInstanceDeferredRef.current = createDeferred();
+  }
+
+  // in playlist mode, the segment to play is the active entry's startTime / endTime (if any) rather than the props'
+  const playlistEntries = getPlaylistEntries(props);
+  const playlistEntriesKey = JSON.stringify(playlistEntries);
+  const activePlaylistEntry = isPlaylistMode(props)
+    ? playlistEntries[playlistItemIndex] || {}
+    : null;
+  const segmentStartTime = activePlaylistEntry
+    ? activePlaylistEntry.startTime || 0
+    : props.startTime;
+  const segmentEndTime = activePlaylistEntry
+    ? activePlaylistEntry.endTime
+    : props.endTime;
+
+  /**
+   * Run an action against the player instance, waiting for the instance to be set up if it isn't ready yet.
+   * If the component unmounts before the instance was ready, or the player script failed to load (or to set up), the action is skipped and resolves with undefined.
+   *
+   * @param {Function} action - Receives the player instance, its return value is the resolved value.
+   * @returns {Promise} - Resolves with the return value of the action.
+   */
+  const withPlayerInstance = (action) =>
+    playerInstanceDeferredRef.current.promise.then((instance) =>
+      instance ? action(instance) : undefined
+    );
 
   useEffect(() => {
     if (playerInstance) {
@@ -41,83 +211,652 @@ const Player = forwardRef((props, ref) => {
 
   /**
    * expose methods for parent components
+   * @see useKalturaPlayer for a hook that wraps this handle with reactive playback state
    */
-  useImperativeHandle(ref, () =>
+  const createPlayerHandle = () =>
     ref
       ? {
           /**
            * Play the Kaltura player.
            *
            * @param {number} seekTo - The position to seek to in seconds.
+           * @returns {Promise<void>}
            */
-          playKalturaPlayer: (seekTo = null) => {
-            if (playerInstance) {
+          playKalturaPlayer: (seekTo = null) =>
+            withPlayerInstance((instance) => {
               if (seekTo !== null) {
-                playerInstance.currentTime = seekTo;
+                instance.currentTime = seekTo;
               }
-              playerInstance.play();
-            }
-          },
+              instance.play();
+            }),
 
           /**
            * Pause the Kaltura player.
+           *
+           * @returns {Promise<void>}
            */
-          pauseKalturaPlayer: () => {
-            if (playerInstance) {
-              playerInstance.pause();
-            }
-          },
+          pauseKalturaPlayer: () =>
+            withPlayerInstance((instance) => {
+              instance.pause();
+            }),
+
+          /**
+           * Seek the Kaltura player.
+           *
+           * @param {number} time - The position to seek to in seconds.
+           * @returns {Promise<void>}
+           */
+          seek: (time) =>
+            withPlayerInstance((instance) => {
+              instance.currentTime = time;
+            }),
+
+          /**
+           * @returns {Promise<number>} - The current playback position in seconds.
+           */
+          getCurrentTime: () =>
+            withPlayerInstance((instance) => instance.currentTime),
+
+          /**
+           * @returns {Promise<number>} - The duration of the loaded media in seconds.
+           */
+          getDuration: () =>
+            withPlayerInstance((instance) => instance.duration),
+
+          /**
+           * @param {number} volume - The volume to set (0-1).
+           * @returns {Promise<void>}
+           */
+          setVolume: (volume) =>
+            withPlayerInstance((instance) => {
+              instance.volume = volume;
+            }),
+
+          /**
+           * @returns {Promise<number>} - The current volume (0-1).
+           */
+          getVolume: () => withPlayerInstance((instance) => instance.volume),
+
+          /**
+           * @returns {Promise<void>}
+           */
+          mute: () =>
+            withPlayerInstance((instance) => {
+              instance.muted = true;
+            }),
+
+          /**
+           * @returns {Promise<void>}
+           */
+          unmute: () =>
+            withPlayerInstance((instance) => {
+              instance.muted = false;
+            }),
+
+          /**
+           * @returns {Promise<boolean>} - Is the player muted?
+           */
+          isMuted: () => withPlayerInstance((instance) => instance.muted),
+
+          /**
+           * @param {number} rate - The playback rate to set (1 is normal speed).
+           * @returns {Promise<void>}
+           */
+          setPlaybackRate: (rate) =>
+            withPlayerInstance((instance) => {
+              instance.playbackRate = rate;
+            }),
+
+          /**
+           * @returns {Promise<number>} - The current playback rate.
+           */
+          getPlaybackRate: () =>
+            withPlayerInstance((instance) => instance.playbackRate),
+
+          /**
+           * @returns {Promise<void>}
+           */
+          enterFullscreen: () =>
+            withPlayerInstance((instance) => instance.enterFullscreen()),
+
+          /**
+           * @returns {Promise<void>}
+           */
+          exitFullscreen: () =>
+            withPlayerInstance((instance) => instance.exitFullscreen()),
+
+          /**
+           * @returns {Promise<void>}
+           */
+          enterPictureInPicture: () =>
+            withPlayerInstance((instance) => instance.enterPictureInPicture()),
+
+          /**
+           * @returns {Promise<void>}
+           */
+          exitPictureInPicture: () =>
+            withPlayerInstance((instance) => instance.exitPictureInPicture()),
+
+          /**
+           * @returns {Promise<Array<Object>>} - The audio tracks of the loaded media.
+           */
+          getAudioTracks: () =>
+            withPlayerInstance((instance) =>
+              instance.getTracks(instance.Track.AUDIO)
+            ),
+
+          /**
+           * @param {(Object|number|string)} track - The track object, its index or its language.
+           * @returns {Promise<boolean>} - Was a matching track found and selected?
+           */
+          selectAudioTrack: (track) =>
+            withPlayerInstance((instance) => {
+              const audioTrack = findTrack(
+                instance.getTracks(instance.Track.AUDIO),
+                track
+              );
+              if (audioTrack) {
+                instance.selectTrack(audioTrack);
+              }
+              return !!audioTrack;
+            }),
+
+          /**
+           * @returns {Promise<Array<Object>>} - The caption (text) tracks of the loaded media.
+           */
+          getCaptionTracks: () =>
+            withPlayerInstance((instance) =>
+              instance.getTracks(instance.Track.TEXT)
+            ),
+
+          /**
+           * @param {(Object|number|string|null)} track - The track object, its index or its language. null turns captions off.
+           * @returns {Promise<boolean>} - Was a matching track found and selected (or captions turned off)?
+           */
+          selectCaptionTrack: (track) =>
+            withPlayerInstance((instance) => {
+              if (track === null || track === "off") {
+                instance.hideTextTrack();
+                return true;
+              }
+              const textTrack = findTrack(
+                instance.getTracks(instance.Track.TEXT),
+                track
+              );
+              if (textTrack) {
+                instance.selectTrack(textTrack);
+              }
+              return !!textTrack;
+            }),
+
+          /**
+           * @returns {Promise<Array<Object>>} - The quality levels (video tracks) of the loaded media.
+           */
+          getQualityLevels: () =>
+            withPlayerInstance((instance) =>
+              instance.getTracks(instance.Track.VIDEO)
+            ),
+
+          /**
+           * @param {(Object|number|string)} quality - The video track object or its index. "auto" turns adaptive bitrate back on.
+           * @returns {Promise<boolean>} - Was a matching quality level found and selected?
+           */
+          selectQualityLevel: (quality) =>
+            withPlayerInstance((instance) => {
+              if (quality === "auto") {
+                instance.enableAdaptiveBitrate();
+                return true;
+              }
+              const videoTrack = findTrack(
+                instance.getTracks(instance.Track.VIDEO),
+                quality
+              );
+              if (videoTrack) {
+                instance.selectTrack(videoTrack);
+              }
+              return !!videoTrack;
+            }),
+
+          /**
+           * Load a different entry into the player.
+           *
+           * @param {string} entryId - The id of the KalturaEntry to load.
+           * @param {Object} [options] - kaltura-player-js media options, such as startTime and poster.
+           * @returns {Promise<void>}
+           */
+          loadEntry: (entryId, options = {}) =>
+            withPlayerInstance((instance) => {
+              isMediaReadyRef.current = false;
+              return instance.loadMedia({ entryId }, options);
+            }),
+
+          /**
+           * Play the next item of the playlist (playlist mode only).
+           *
+           * @returns {Promise<void>}
+           */
+          next: () =>
+            withPlayerInstance((instance) => instance.playlist.playNext()),
+
+          /**
+           * Play the previous item of the playlist (playlist mode only).
+           *
+           * @returns {Promise<void>}
+           */
+          previous: () =>
+            withPlayerInstance((instance) => instance.playlist.playPrev()),
+
+          /**
+           * Play a specific item of the playlist (playlist mode only).
+           *
+           * @param {number} index - The index of the item in the playlist.
+           * @returns {Promise<void>}
+           */
+          playItem: (index) =>
+            withPlayerInstance((instance) => instance.playlist.playItem(index)),
+
+          /**
+           * @returns {Promise<Object>} - The underlying kaltura-player-js instance, for anything not covered above.
+           */
+          getPlayerInstance: () => withPlayerInstance((instance) => instance),
         }
-      : {}
-  );
+      : {};
+  // only recreate the handle when the instance changes, so consumers (e.g. useKalturaPlayer) can tell a new instance was set up
+  useImperativeHandle(ref, createPlayerHandle, [playerInstance]);
 
   /**
    * Load Kaltura Player script and set it up.
+   * The script is loaded once per account / uiConf / service URL and shared across all Player instances using it.
+   * When using ksProvider, the setup waits for the first KS.
    */
   useEffect(() => {
-    const kalturaServiceUrl =
-      props.kalturaServiceUrl || props.kalturaServiceUrl === ""
-        ? DEFAULT_KALTURA_URL
-        : props.kalturaServiceUrl;
-
-    const scriptUrl = `${kalturaServiceUrl}/p/${props.partnerId}/embedPlaykitJs/uiconf_id/${props.uiConfId}`;
+    if (!session.isKsReady) {
+      return;
+    }
+    let isCancelled = false;
 
-    if (scriptLoadedGlobally) {
-      setupKalturaPlayer();
-    } else {
-      const script = document.createElement("script");
-      script.onerror = (e) => {
+    loadKalturaPlayer(props.kalturaServiceUrl, props.partnerId, props.uiConfId)
+      .then((kalturaPlayerLib) => {
+        if (!isCancelled) {
+          setupKalturaPlayer(kalturaPlayerLib);
+        }
+      })
+      .catch((e) => {
         console.error("Failed to load Kaltura player script: ", e);
-      };
-      script.src = scriptUrl;
-      script.onload = () => {
-        scriptLoadedGlobally = true;
-        setupKalturaPlayer();
-      };
-      document.body.appendChild(script);
+        if (isCancelled) {
+          return;
+        }
+        // let calls that are waiting for the player instance resolve without running, it won't be set up
+        if (!playerInstanceDeferredRef.current.isResolved) {
+          playerInstanceDeferredRef.current.resolve(null);
+        }
+        if (props.onError && typeof props.onError === "function") {
+          props.onError(e);
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [
+    props.kalturaServiceUrl,
+    props.partnerId,
+    props.uiConfId,
+    session.isKsReady,
+  ]);
+
+  /**
+   * Hot-swap a new KS (a changed ks prop, or a refreshed one from ksProvider) into the existing player instance.
+   */
+  useEffect(() => {
+    if (playerInstance && session.ks !== appliedKsRef.current) {
+      playerInstance.configure({ provider: { ks: session.ks } });
+      appliedKsRef.current = session.ks;
+    }
+  }, [playerInstance, session.ks]);
+
+  /**
+   * Detect KS related player errors, to notify onKsExpired and refresh the KS from ksProvider.
+   */
+  useEffect(() => {
+    if (!playerInstance) {
+      return;
+    }
+    playerInstance.addEventListener(
+      playerInstance.Event.ERROR,
+      session.handleError
+    );
+    return () => {
+      playerInstance.removeEventListener(
+        playerInstance.Event.ERROR,
+        session.handleError
+      );
+    };
+  }, [playerInstance, session.handleError]);
+
+  /**
+   * Rebind the player event callbacks whenever the instance or any of the callbacks change,
+   * and remove them when the instance is replaced or the component unmounts.
+   */
+  useEffect(() => {
+    if (!playerInstance) {
+      return;
+    }
+    if (unbindPlayerEventsRef.current) {
+      unbindPlayerEventsRef.current();
+    }
+    unbindPlayerEventsRef.current = bindPlayerEvents(playerInstance, props);
+
+    return () => {
+      if (unbindPlayerEventsRef.current) {
+        unbindPlayerEventsRef.current();
+        unbindPlayerEventsRef.current = null;
+      }
+    };
+  }, [
+    playerInstance,
+    ...Object.keys(PLAYER_EVENT_CALLBACKS).map(
+      (callbackName) => props[callbackName]
+    ),
+  ]);
+
+  /**
+   * Segment (clip) playback - stop (or loop back to startTime) when playback reaches endTime.
+   * Playing again from the end of the segment restarts it from startTime.
+   * In playlist mode the segment is the active entry's, and reaching its end continues to the next entry if playlistAutoContinue.
+   */
+  useEffect(() => {
+    if (
+      !playerInstance ||
+      segmentEndTime === null ||
+      segmentEndTime === undefined
+    ) {
+      return;
     }
-  }, [props.partnerId, props.uiConfId]);
+
+    const segmentStart = segmentStartTime || 0;
+    // makes sure onSegmentEnd fires once per pass, until playback is back within the segment
+    let hasReachedSegmentEnd = false;
+
+    const handleTimeUpdate = () => {
+      if (playerInstance.currentTime < segmentEndTime) {
+        hasReachedSegmentEnd = false;
+        return;
+      }
+      if (hasReachedSegmentEnd) {
+        return;
+      }
+      hasReachedSegmentEnd = true;
+      if (props.loopSegment) {
+        playerInstance.currentTime = segmentStart;
+      } else if (
+        activePlaylistEntry &&
+        props.playlistAutoContinue &&
+        (playerInstance.playlist.next || props.playlistLoop)
+      ) {
+        playerInstance.playlist.playNext();
+      } else {
+        playerInstance.pause();
+      }
+      if (props.onSegmentEnd && typeof props.onSegmentEnd === "function") {
+        props.onSegmentEnd({
+          startTime: segmentStart,
+          endTime: segmentEndTime,
+        });
+      }
+    };
+
+    const handlePlay = () => {
+      if (playerInstance.currentTime >= segmentEndTime) {
+        playerInstance.currentTime = segmentStart;
+      }
+    };
+
+    playerInstance.addEventListener(
+      playerInstance.Event.TIME_UPDATE,
+      handleTimeUpdate
+    );
+    playerInstance.addEventListener(playerInstance.Event.PLAY, handlePlay);
+
+    return () => {
+      playerInstance.removeEventListener(
+        playerInstance.Event.TIME_UPDATE,
+        handleTimeUpdate
+      );
+      playerInstance.removeEventListener(playerInstance.Event.PLAY, handlePlay);
+    };
+  }, [
+    playerInstance,
+    segmentStartTime,
+    segmentEndTime,
+    props.loopSegment,
+    props.onSegmentEnd,
+    props.playlistAutoContinue,
+    props.playlistLoop,
+  ]);
 
   /**
-   * Load media when the entryId prop changes.
+   * Show the segment (clip) range on the seek bar, as markers at startTime and endTime.
    */
   useEffect(() => {
-    if (playerInstance !== null) {
-      playerInstance.loadMedia({ entryId: props.entryId });
+    if (
+      !playerInstance ||
+      segmentEndTime === null ||
+      segmentEndTime === undefined
+    ) {
+      return;
     }
-  }, [props.entryId]);
+
+    let removeMarkers = null;
+    let isCancelled = false;
+
+    // the timeline only accepts markers once the media (and its duration) is loaded
+    playerInstance.ready().then(() => {
+      if (!isCancelled) {
+        removeMarkers = addTimelineMarkers(playerInstance, [
+          {
+            time: segmentStartTime || 0,
+            className: "react_kaltura_player_segment_start_marker",
+            color: "#ffffff",
+          },
+          {
+            time: segmentEndTime,
+            className: "react_kaltura_player_segment_end_marker",
+            color: "#ffffff",
+          },
+        ]);
+      }
+    });
+
+    return () => {
+      isCancelled = true;
+      if (removeMarkers) {
+        removeMarkers();
+      }
+    };
+  }, [
+    playerInstance,
+    props.entryId,
+    playlistItemIndex,
+    segmentStartTime,
+    segmentEndTime,
+  ]);
 
   /**
-   * Cleanup function to destroy player on component unmount.
+   * Show the markers passed by the markers prop on the seek bar, e.g. the chapters of an entry.
+   * They are compared by value, so that callers can pass a new array on every render.
    */
+  const markersKey = props.markers ? JSON.stringify(props.markers) : null;
   useEffect(() => {
+    if (!playerInstance || markersKey === null) {
+      return;
+    }
+
+    let removeMarkers = null;
+    let isCancelled = false;
+
+    // the timeline only accepts markers once the media (and its duration) is loaded
+    playerInstance.ready().then(() => {
+      if (!isCancelled) {
+        removeMarkers = addTimelineMarkers(
+          playerInstance,
+          JSON.parse(markersKey).map((marker) => ({
+            className: "react_kaltura_player_marker",
+            color: "#ffffff",
+            ...marker,
+          }))
+        );
+      }
+    });
+
     return () => {
-      if (playerInstance) {
-        playerInstance.destroy();
+      isCancelled = true;
+      if (removeMarkers) {
+        removeMarkers();
+      }
+    };
+  }, [playerInstance, props.entryId, markersKey]);
+
+  /**
+   * Track the active playlist item, and seek to its startTime (if any) once it loads.
+   */
+  useEffect(() => {
+    if (!playerInstance || !isPlaylistMode(props)) {
+      return;
+    }
+
+    let pendingSeekListener = null;
+    const removePendingSeekListener = () => {
+      if (pendingSeekListener) {
+        playerInstance.removeEventListener(
+          playerInstance.Event.LOADED_METADATA,
+          pendingSeekListener
+        );
+        pendingSeekListener = null;
+      }
+    };
+
+    const handlePlaylistItemChange = (event) => {
+      const index = event.payload.index;
+      const entry = playlistEntries[index];
+      isMediaReadyRef.current = false;
+      setPlaylistItemIndex(index);
+      removePendingSeekListener();
+      if (entry && entry.startTime) {
+        pendingSeekListener = () => {
+          removePendingSeekListener();
+          playerInstance.currentTime = entry.startTime;
+        };
+        playerInstance.addEventListener(
+          playerInstance.Event.LOADED_METADATA,
+          pendingSeekListener
+        );
       }
     };
+
+    const playlistItemChangedEvent = getEventName(
+      playerInstance,
+      PLAYER_EVENT_CALLBACKS.onPlaylistItemChange
+    );
+    playerInstance.addEventListener(
+      playlistItemChangedEvent,
+      handlePlaylistItemChange
+    );
+
+    return () => {
+      removePendingSeekListener();
+      playerInstance.removeEventListener(
+        playlistItemChangedEvent,
+        handlePlaylistItemChange
+      );
+    };
+  }, [playerInstance, props.playlistId, playlistEntriesKey]);
+
+  /**
+   * Seek to the startTime prop when it changes on the loaded entry (a new entry is loaded at its startTime by the effect below),
+   * e.g. when a gallery reuses its Players for a new result set citing another segment of the same entry.
+   * Runs before the load effect, so that a new entry isn't mistaken for the loaded one.
+   */
+  useEffect(() => {
+    if (
+      playerInstance !== null &&
+      !isPlaylistMode(props) &&
+      loadedEntryIdRef.current === props.entryId
+    ) {
+      playerInstance.currentTime = props.startTime;
+    }
+  }, [props.startTime]);
+
+  /**
+   * Load media when the entryId prop changes, e.g. when a gallery reuses its Players for a new result set, or when leaving playlist mode.
+   */
+  useEffect(() => {
+    if (playerInstance !== null && !isPlaylistMode(props)) {
+      loadedEntryIdRef.current = props.entryId;
+      isMediaReadyRef.current = false;
+      playerInstance.loadMedia(
+        { entryId: props.entryId },
+        { startTime: props.startTime, poster: props.posterImg }
+      );
+    }
+  }, [props.entryId, isPlaylistMode(props)]);
+
+  /**
+   * Reload the playlist when the playlist props change.
+   */
+  useEffect(() => {
+    if (playerInstance !== null && isPlaylistMode(props)) {
+      setPlaylistItemIndex(0);
+      loadPlaylist(playerInstance, props);
+    }
+  }, [props.playlistId, playlistEntriesKey]);
+
+  /**
+   * Apply the playlist options to the loaded playlist when they change, without reloading it (which would restart playback).
+   */
+  useEffect(() => {
+    if (playerInstance !== null && isPlaylistMode(props)) {
+      playerInstance.configure({
+        playlist: { options: getPlaylistOptions(props) },
+      });
+    }
+  }, [props.playlistAutoContinue, props.playlistLoop]);
+
+  /**
+   * Cleanup function to destroy player (or give it back to the playerPool) on component unmount.
+   */
+  useEffect(() => {
+    return () => {
+      releasePlayerInstance();
+      // let calls that are still waiting for the player instance (or made later) resolve without running
+      playerInstanceDeferredRef.current.resolve(null);
+    };
   }, []);
 
+  /**
+   * Let go of the current player instance: give it back to the playerPool if it's poolable, destroy it otherwise.
+   */
+  const releasePlayerInstance = () => {
+    const instance = playerInstanceRef.current;
+    const { pool, key } = playerPoolRef.current;
+    playerInstanceRef.current = null;
+    playerPoolRef.current = { pool: null, key: null };
+    // calls made from now on wait for the next instance, the released one may end up with another Player
+    if (playerInstanceDeferredRef.current.isResolved) {
+      playerInstanceDeferredRef.current = createDeferred();
+    }
+    if (!instance) {
+      return;
+    }
+    if (pool && key !== null) {
+      pool.release(key, instance);
+    } else if (pool) {
+      pool.destroy(instance);
+    } else {
+      instance.destroy();
+    }
+  };
+
   /**
    * Create a UI Component for Kaltura Player.
    * internal utility function to construct a remove component to remove elements from the player
@@ -127,20 +866,69 @@ const Player = forwardRef((props, ref) => {
    * @param {string} area - The area of the UI component.
    * @param {string} replaceComponent - The component to replace.
    */
-  const createUIComponent = (label, area, replaceComponent) => ({
+  const createUIComponent = (
+    label,
+    area,
+    replaceComponent,
+    presets = DEFAULT_UI_PRESETS
+  ) => ({
     label: `${label}_Removed`,
-    presets: ["Playback", "Live", "Idle"],
+    presets: presets,
     area: area,
     get: "remove",
     replaceComponent: replaceComponent,
   });
 
+  /**
+   * Create a UI Component for Kaltura Player that React content is rendered into through a portal.
+   * internal utility function, the player UI (preact) renders an empty container that is handed over to React once mounted
+   * @see Player.setupUIComponents for the function that uses this util
+   *
+   * @param {Object} kalturaPlayerLib - The KalturaPlayer library, providing the player UI preact.
+   * @param {Object} uiComponent - An item of the uiComponents prop with action "replace" or "add".
+   */
+  const createPortalUIComponent = (kalturaPlayerLib, uiComponent) => {
+    const h = kalturaPlayerLib.ui.preact
+      ? kalturaPlayerLib.ui.preact.h
+      : kalturaPlayerLib.ui.h;
+    const setContainer = (element) =>
+      setUiComponentContainers((containers) => {
+        const { [uiComponent.label]: previousElement, ...otherContainers } =
+          containers;
+        if (previousElement === element) {
+          return containers;
+        }
+        return element
+          ? { ...otherContainers, [uiComponent.label]: element }
+          : otherContainers;
+      });
+
+    return {
+      label: uiComponent.label,
+      presets: uiComponent.presets || DEFAULT_UI_PRESETS,
+      area: uiComponent.area,
+      get: () =>
+        h("div", {
+          className: "react_kaltura_player_ui_component",
+          "data-label": uiComponent.label,
+          ref: setContainer,
+        }),
+      replaceComponent:
+        uiComponent.action === "replace"
+          ? uiComponent.replaceComponent
+          : undefined,
+      beforeComponent: uiComponent.beforeComponent,
+      afterComponent: uiComponent.afterComponent,
+    };
+  };
+
   /**
    * Setup UI Components based on props.
    *
    * @param {Object} props - The props to base the UI setup on.
+   * @param {Object} kalturaPlayerLib - The KalturaPlayer library, used to build the replaced / added components.
    */
-  const setupUIComponents = (props) => {
+  const setupUIComponents = (props, kalturaPlayerLib) => {
     let uiComponentsArr = [];
 
     if (props.hideLoadingSpinner) {
@@ -159,56 +947,177 @@ const Player = forwardRef((props, ref) => {
       );
     }
 
+    (props.uiComponents || []).forEach((uiComponent) => {
+      if (uiComponent.action === "remove") {
+        uiComponentsArr.push(
+          createUIComponent(
+            uiComponent.label,
+            uiComponent.area,
+            uiComponent.replaceComponent,
+            uiComponent.presets
+          )
+        );
+      } else {
+        uiComponentsArr.push(
+          createPortalUIComponent(kalturaPlayerLib, uiComponent)
+        );
+      }
+    });
+
     return uiComponentsArr;
   };
 
   /**
-   * Set up Kaltura player instance. this assumes valid Kaltura config props were passed including partnerId and uiConfId
+   * Add listeners on the player instance for every event callback that was passed in props.
+   * @see PLAYER_EVENT_CALLBACKS for the supported callbacks
+   *
+   * @param {Object} instance - The kaltura-player-js instance.
+   * @param {Object} props - The props holding the event callbacks.
+   * @returns {Function} - A function that removes all the listeners that were added.
    */
-  const setupKalturaPlayer = () => {
-    if (window.KalturaPlayer && playerContainerRef.current) {
-      if (playerInstance) {
-        playerInstance.destroy();
-      }
+  const bindPlayerEvents = (instance, props) => {
+    const listeners = Object.entries(PLAYER_EVENT_CALLBACKS)
+      .filter(
+        ([callbackName, eventName]) =>
+          typeof props[callbackName] === "function" &&
+          getEventName(instance, eventName)
+      )
+      .map(([callbackName, eventName]) => {
+        const callback = props[callbackName];
+        const listener =
+          callbackName === "onReady"
+            ? (event) => {
+                // once per media, TRACKS_CHANGED fires again on track changes
+                if (!isMediaReadyRef.current) {
+                  isMediaReadyRef.current = true;
+                  callback(event);
+                }
+              }
+            : (event) => callback(event);
+        instance.addEventListener(getEventName(instance, eventName), listener);
+        return [getEventName(instance, eventName), listener];
+      });
 
-      const uiComponentsArr = setupUIComponents(props);
+    return () => {
+      listeners.forEach(([event, listener]) =>
+        instance.removeEventListener(event, listener)
+      );
+    };
+  };
 
-      const instance = window.KalturaPlayer.setup({
-        targetId: props.playerId,
-        log: {
-          level: "ERROR",
-          playerVersion: false,
-        },
-        provider: {
-          partnerId: props.partnerId,
-          uiConfId: props.uiConfId,
-          ks: props.ks,
-        },
-        playback: {
-          autoplay: props.autoPlay,
-          preload: props.preLoad,
-          volume: props.startingVolume,
-        },
-        ui: {
-          uiComponents: uiComponentsArr,
+  /**
+   * Load the playlist from props into the player instance, either a Kaltura playlist by its id or an ad-hoc list of entries.
+   *
+   * @param {Object} instance - The kaltura-player-js instance.
+   * @param {Object} props - The props holding playlistId or playlistEntries and the playlist options.
+   */
+  const loadPlaylist = (instance, props) => {
+    isMediaReadyRef.current = false;
+    const playlistConfig = { options: getPlaylistOptions(props) };
+    if (props.playlistId) {
+      instance.loadPlaylist({ playlistId: props.playlistId }, playlistConfig);
+    } else {
+      instance.loadPlaylistByEntryList(
+        {
+          entries: getPlaylistEntries(props).map(({ entryId }) => ({
+            entryId,
+          })),
         },
-      });
+        playlistConfig
+      );
+    }
+  };
 
-      instance.addEventListener(instance.Event.ERROR, (e) => {
-        if (props.onError && typeof props.onError === "function") {
-          props.onError(e);
-        }
-      });
+  /**
+   * Set up Kaltura player instance. this assumes valid Kaltura config props were passed including partnerId and uiConfId
+   *
+   * @param {Object} kalturaPlayerLib - The KalturaPlayer library loaded for this account and uiConf.
+   */
+  const setupKalturaPlayer = (kalturaPlayerLib) => {
+    if (kalturaPlayerLib && playerContainerRef.current) {
+      if (unbindPlayerEventsRef.current) {
+        unbindPlayerEventsRef.current();
+        unbindPlayerEventsRef.current = null;
+      }
+      releasePlayerInstance();
 
-      instance.loadMedia(
-        { entryId: props.entryId },
-        { startTime: props.startTime, poster: props.posterImg }
-      );
+      setUiComponentContainers({});
+      const poolKey = getPlayerPoolKey(props);
+      const pooledInstance = poolKey && props.playerPool.acquire(poolKey);
+      const instance = pooledInstance
+        ? reusePlayerInstance(pooledInstance)
+        : createPlayerInstance(kalturaPlayerLib);
+      if (props.playerPool && !pooledInstance) {
+        props.playerPool.add(instance);
+      }
+      playerInstanceRef.current = instance;
+      playerPoolRef.current = { pool: props.playerPool, key: poolKey };
+
+      // bind before loading the media so no early event is missed, the callbacks are rebound once the instance is set
+      unbindPlayerEventsRef.current = bindPlayerEvents(instance, props);
+
+      if (isPlaylistMode(props)) {
+        loadPlaylist(instance, props);
+      } else {
+        loadedEntryIdRef.current = props.entryId;
+        isMediaReadyRef.current = false;
+        instance.loadMedia(
+          { entryId: props.entryId },
+          { startTime: props.startTime, poster: props.posterImg }
+        );
+      }
 
       setPlayerInstance(instance);
+      playerInstanceDeferredRef.current.resolve(instance);
     }
   };
 
+  /**
+   * Set up a new kaltura-player-js instance in the player container.
+   *
+   * @param {Object} kalturaPlayerLib - The KalturaPlayer library loaded for this account and uiConf.
+   * @returns {Object} - The new instance.
+   */
+  const createPlayerInstance = (kalturaPlayerLib) => {
+    const uiComponentsArr = setupUIComponents(props, kalturaPlayerLib);
+
+    appliedKsRef.current = session.ks;
+    return kalturaPlayerLib.setup({
+      targetId: props.playerId,
+      log: {
+        level: "ERROR",
+        playerVersion: false,
+      },
+      provider: {
+        partnerId: props.partnerId,
+        uiConfId: props.uiConfId,
+        ks: session.ks,
+      },
+      playback: {
+        autoplay: props.autoPlay,
+        preload: props.preLoad,
+        volume: props.startingVolume,
+      },
+      ui: {
+        uiComponents: uiComponentsArr,
+      },
+    });
+  };
+
+  /**
+   * Move a pooled kaltura-player-js instance into the player container, and apply this Player's KS and volume.
+   *
+   * @param {Object} instance - The idle instance taken from the playerPool.
+   * @returns {Object} - The instance.
+   */
+  const reusePlayerInstance = (instance) => {
+    playerContainerRef.current.appendChild(instance.getView());
+    instance.configure({ provider: { ks: session.ks } });
+    appliedKsRef.current = session.ks;
+    instance.volume = props.startingVolume;
+    return instance;
+  };
+
   /**
    * Render the player.
    */
@@ -231,6 +1140,20 @@ const Player = forwardRef((props, ref) => {
         onMouseEnter={props.onMouseEnter}
         onMouseLeave={props.onMouseLeave}
       ></div>
+      {(props.uiComponents || [])
+        .filter(
+          (uiComponent) =>
+            uiComponent.action !== "remove" &&
+            typeof uiComponent.render === "function" &&
+            uiComponentContainers[uiComponent.label]
+        )
+        .map((uiComponent) =>
+          createPortal(
+            uiComponent.render(playerInstance),
+            uiComponentContainers[uiComponent.label],
+            uiComponent.label
+          )
+        )}
     </div>
   );
 });
@@ -240,18 +1163,75 @@ Player.propTypes = {
   partnerId: PropTypes.number.isRequired, // the Kaltura account id (KMC>Integration Settings>Partner ID)
   uniqueGuiId: PropTypes.string, // this is to ensure a unique identifier in the gui for better handling of lists and galleries
   uiConfId: PropTypes.number.isRequired, // the Kaltura Player instance id (KMC>Studio)
-  ks: PropTypes.string.isRequired, // the Kaltura Session to pass when rendering the Kaltura Video Players
-  entryId: PropTypes.string.isRequired, // the id of the KalturaEntry to load
+  ks: PropTypes.string, // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed), changing it updates the existing player
+  ksProvider: PropTypes.func, // async function returning a KS (or {ks, expiry} with expiry as a unix timestamp in seconds), called on start, before the KS expires and after KS errors. pass a stable function, components sharing it share the session
+  onKsExpired: PropTypes.func, // function to call when a KS related error (e.g. an expired KS) was detected, or ksProvider failed (it's retried with a backoff)
+  entryId: PropTypes.string, // the id of the KalturaEntry to load (required unless playlistId or playlistEntries are passed)
+  playlistId: PropTypes.string, // the id of a Kaltura playlist to load instead of a single entry
+  playlistEntries: PropTypes.arrayOf(
+    // an ad-hoc playlist to load instead of a single entry, either entry ids or objects with optional start / end times per entry
+    PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.shape({
+        entryId: PropTypes.string.isRequired, // the id of the KalturaEntry
+        startTime: PropTypes.number, // where to start playing this entry (seconds)
+        endTime: PropTypes.number, // where to stop playing this entry (seconds), continues to the next one if playlistAutoContinue
+      }),
+    ])
+  ),
+  playlistAutoContinue: PropTypes.bool, // in playlist mode, should the next item play automatically when the current one ends?
+  playlistLoop: PropTypes.bool, // in playlist mode, should the playlist start over after the last item?
+  onPlaylistItemChange: PropTypes.func, // function to call when the active playlist item changes, the event payload holds its index
   playerId: PropTypes.string.isRequired, // the id of the Kaltura Player instance that will be created (the id of the div that will be passed to KalturaPlayer.setup)
   autoPlay: PropTypes.bool, // should the video start playing immediately?
   preLoad: PropTypes.string, // should the video start loading immediately?
   startingVolume: PropTypes.number, // initial volume for the video player
   hideLoadingSpinner: PropTypes.bool, // should the loading spinner be hidden?
   hideBigPlayButton: PropTypes.bool, // should the big play button be hidden?
-  onError: PropTypes.func, // function to call when there's an error
+  playerPool: PropTypes.shape({
+    // a pool created with createPlayerPool, to reuse idle player instances (through loadMedia) instead of destroying and setting up new ones
+    acquire: PropTypes.func.isRequired,
+    add: PropTypes.func.isRequired,
+    release: PropTypes.func.isRequired,
+    destroy: PropTypes.func.isRequired,
+  }),
+  uiComponents: PropTypes.arrayOf(
+    // components to remove, replace or add in the player UI (applied when the player is set up)
+    PropTypes.shape({
+      label: PropTypes.string.isRequired, // a unique label for this component
+      action: PropTypes.oneOf(["remove", "replace", "add"]).isRequired, // what to do in the player UI
+      area: PropTypes.string.isRequired, // the player UI area, e.g. TopBarLeftControls, TopBarRightControls, BottomBarLeftControls, BottomBarRightControls, GuiArea, InteractiveArea, LoadingSpinner
+      presets: PropTypes.arrayOf(PropTypes.string), // the player UI presets this applies to, defaults to: Playback, Live, Idle
+      replaceComponent: PropTypes.string, // for remove and replace, the name of the player UI component to remove or replace, e.g. Spinner, PrePlaybackPlayOverlay, Fullscreen
+      beforeComponent: PropTypes.string, // for add, the name of the player UI component to add before
+      afterComponent: PropTypes.string, // for add, the name of the player UI component to add after
+      render: PropTypes.func, // for replace and add, receives the player instance (null until ready) and returns the React content, rendered through a portal so it keeps the app's context (without it the component is left empty)
+    })
+  ),
+  onError: PropTypes.func, // function to call when there's an error (including a failure to load the player script or to get a KS from ksProvider)
+  onReady: PropTypes.func, // function to call when the loaded media is ready for playback (its tracks are available)
+  onMediaLoaded: PropTypes.func, // function to call when the media (entry) was loaded into the player
+  onFirstPlay: PropTypes.func, // function to call when the media plays for the first time
+  onPlay: PropTypes.func, // function to call when playback starts or resumes
+  onPause: PropTypes.func, // function to call when playback is paused
+  onEnded: PropTypes.func, // function to call when playback reaches the end of the media
+  onTimeUpdate: PropTypes.func, // function to call when the current playback time changes
+  onSeeked: PropTypes.func, // function to call when a seek operation completes
+  onVolumeChange: PropTypes.func, // function to call when the volume or muted state changes
+  onRateChange: PropTypes.func, // function to call when the playback rate changes
   onMouseEnter: PropTypes.func, // function to call when mouse enters the player
   onMouseLeave: PropTypes.func, // function to call when mouse leaves the player
-  startTime: PropTypes.number, // starting time for the video
+  startTime: PropTypes.number, // starting time for the video (also the start of the segment when endTime is set)
+  endTime: PropTypes.number, // end time of the segment (clip) to play, playback pauses (or loops) when reaching it
+  loopSegment: PropTypes.bool, // when endTime is set, should playback loop back to startTime instead of pausing at the end of the segment?
+  onSegmentEnd: PropTypes.func, // function to call when playback reaches endTime, receives {startTime, endTime}
+  markers: PropTypes.arrayOf(
+    PropTypes.shape({
+      time: PropTypes.number.isRequired, // seconds
+      className: PropTypes.string, // defaults to react_kaltura_player_marker
+      color: PropTypes.string, // defaults to #ffffff
+    })
+  ), // markers to show on the seek bar, e.g. chapters
   posterImg: PropTypes.string, // URL of the image to show before the video starts
   width: PropTypes.string, // width of the player
   height: PropTypes.string, // height of the player
@@ -261,17 +1241,42 @@ Player.propTypes = {
 };
 
 Player.defaultProps = {
-  kalturaServiceUrl: "https://cdnapi-ev.kaltura.com",
+  kalturaServiceUrl: DEFAULT_KALTURA_URL,
   uniqueGuiId: null,
   autoPlay: false,
   preLoad: "auto",
   startingVolume: 1,
   hideLoadingSpinner: false,
   hideBigPlayButton: false,
+  uiComponents: [],
+  playerPool: null,
+  ks: null,
+  ksProvider: null,
+  onKsExpired: null,
   onError: null,
+  onReady: null,
+  onMediaLoaded: null,
+  onFirstPlay: null,
+  onPlay: null,
+  onPause: null,
+  onEnded: null,
+  onTimeUpdate: null,
+  onSeeked: null,
+  onVolumeChange: null,
+  onRateChange: null,
   onMouseEnter: null,
   onMouseLeave: null,
+  entryId: null,
+  playlistId: null,
+  playlistEntries: null,
+  playlistAutoContinue: true,
+  playlistLoop: false,
+  onPlaylistItemChange: null,
   startTime: 0,
+  endTime: null,
+  loopSegment: false,
+  onSegmentEnd: null,
+  markers: null,
   posterImg: "",
   width: "100%",
   height: "100%",
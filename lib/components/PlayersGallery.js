@@ -8,10 +8,165 @@ import React, {
 } from "react";
 import PropTypes from "prop-types";
 import Player from "./Player";
+import ThumbnailPreview, { DEFAULT_PREVIEW_RANGE } from "./ThumbnailPreview";
+import { DEFAULT_MAX_IDLE_PLAYERS } from "../utils/playerPool";
+import useKalturaSession from "../hooks/useKalturaSession";
+import usePlayerPool from "../hooks/usePlayerPool";
 import "./PlayersGallery.css";
 
 // how long (ms) should we wait before we treat mouseener as an intentional hover vs. just passing by
-const MOUSE_LEAVE_DELAY = 100;
+export const MOUSE_LEAVE_DELAY = 100;
+
+// in groupByEntry mode, the longest (seconds) time updates of a playing player are apart, a longer jump is a seek
+const MAX_TIME_UPDATE_GAP = 2;
+
+// the gallery layouts, and the axis the gallery scrolls along in each (to bring the active item into view)
+const LAYOUT_SCROLL_AXIS = {
+  row: "x",
+  carousel: "x",
+  grid: "y",
+  list: "y",
+  masonry: "y",
+};
+
+// keeps content available to screen readers (e.g. live region announcements) while hiding it visually
+export const VISUALLY_HIDDEN_STYLE = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  margin: "-1px",
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+// the player UI bars, taps on them are left to the player rather than toggling the gallery item playback
+const PLAYER_CONTROLS_SELECTOR = ".playkit-bottom-bar, .playkit-top-bar";
+// the selection checkbox of gallery items, taps on it select the item rather than toggling its playback
+const ITEM_SELECT_SELECTOR = ".react_kaltura_players_gallery_item_select";
+
+/**
+ * Get the DOM id of a gallery item, e.g. to reference it from the elements that control it (aria-controls).
+ *
+ * @param {string} playerIdTemplate - The playerIdTemplate of the gallery.
+ * @param {string} uniqueGuiId - The unique ID of the gallery item.
+ * @returns {string}
+ */
+export const getGalleryItemId = (playerIdTemplate, uniqueGuiId) =>
+  `${playerIdTemplate}_${uniqueGuiId}_item`;
+
+/**
+ * Get the refs a gallery renders, the ones citing an entry.
+ *
+ * @param {Array<Object>} refs - The refs of the search response.
+ * @returns {Array<Object>} - The refs with an entry_id.
+ */
+export const getGalleryRefs = (refs) =>
+  refs.filter((ref) => ref.entry_id !== null && ref.entry_id !== "");
+
+/**
+ * Group gallery refs by entry (groupByEntry mode): each ref is mapped to the uniqueGuiId of the first ref citing the same entry,
+ * whose gallery item (and player) all the refs of that entry share.
+ *
+ * @param {Array<Object>} refs - The refs, with their uniqueGuiId and entry_id.
+ * @returns {Object} - uniqueGuiId => the uniqueGuiId of the gallery item of its entry.
+ */
+export const getEntryGroupItemIds = (refs) => {
+  const firstRefIds = {};
+  return refs.reduce((acc, ref) => {
+    if (!(ref.entry_id in firstRefIds)) {
+      firstRefIds[ref.entry_id] = ref.uniqueGuiId;
+    }
+    acc[ref.uniqueGuiId] = firstRefIds[ref.entry_id];
+    return acc;
+  }, {});
+};
+
+/**
+ * Get the index of the item a navigation key moves the focus to, in a list of items (arrows move by one, Home / End to the edges).
+ *
+ * @param {string} key - The KeyboardEvent key.
+ * @param {number} index - The index of the focused item.
+ * @param {number} count - The number of items.
+ * @returns {number|null} - The index to move to, or null if the key isn't a navigation key.
+ */
+export const getRovingFocusIndex = (key, index, count) => {
+  switch (key) {
+    case "ArrowRight":
+    case "ArrowDown":
+      return Math.min(index + 1, count - 1);
+    case "ArrowLeft":
+    case "ArrowUp":
+      return Math.max(index - 1, 0);
+    case "Home":
+      return 0;
+    case "End":
+      return count - 1;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Scroll an element to a position, falling back to setting the scroll offsets where scrollTo isn't supported (e.g. jsdom).
+ *
+ * @param {HTMLElement} element - The scrolling element.
+ * @param {{left: number}|{top: number}} position - Where to scroll to.
+ * @param {string} behavior - smooth or auto.
+ */
+const scrollElementTo = (element, position, behavior) => {
+  if (typeof element.scrollTo === "function") {
+    element.scrollTo({ ...position, behavior });
+  } else if ("left" in position) {
+    element.scrollLeft = position.left;
+  } else {
+    element.scrollTop = position.top;
+  }
+};
+
+/**
+ * Get the minimal inline styles a gallery layout needs to work without any CSS, anything visual is left to the app's CSS.
+ *
+ * @param {string} layout - One of LAYOUT_SCROLL_AXIS keys.
+ * @param {Object} options
+ * @param {string} options.gridMinColumnWidth - The minimum width of grid and masonry columns.
+ * @param {number} options.carouselItemsPerPage - How many items a carousel page shows.
+ * @returns {{gallery: Object, item: Object}} - The styles of the gallery and of its items.
+ */
+const getLayoutStyles = (
+  layout,
+  { gridMinColumnWidth, carouselItemsPerPage }
+) => {
+  switch (layout) {
+    case "grid":
+      return {
+        gallery: {
+          display: "grid",
+          gridTemplateColumns: `repeat(auto-fill, minmax(${gridMinColumnWidth}, 1fr))`,
+        },
+        item: {},
+      };
+    case "carousel":
+      return {
+        gallery: { display: "flex", overflowX: "hidden" },
+        item: { flex: `0 0 ${100 / carouselItemsPerPage}%` },
+      };
+    case "list":
+      return {
+        gallery: { display: "flex", flexDirection: "column" },
+        item: {},
+      };
+    case "masonry":
+      return {
+        gallery: { columnWidth: gridMinColumnWidth },
+        item: { breakInside: "avoid" },
+      };
+    default:
+      return { gallery: {}, item: {} };
+  }
+};
 
 /**
  * A gallery of Kaltura Players utilizing simple divs and the Player component. You can use CSS to style and order the gallery.
@@ -28,10 +183,39 @@ const PlayersGallery = forwardRef(
       uiConfId,
       kalturaServiceUrl,
       ks,
+      ksProvider,
+      onKsExpired,
       preLoad,
       startingVolume,
       shouldPlayOnHover,
       onHover,
+      lazyLoad,
+      maxLivePlayers,
+      lazyLoadRootMargin,
+      lazyDestroyRootMargin,
+      playerPool,
+      maxIdlePlayers,
+      layout,
+      gridMinColumnWidth,
+      carouselItemsPerPage,
+      keepActiveItemCentered,
+      scrollBehavior,
+      ariaLabel,
+      itemAriaDescribedBy,
+      exclusivePlayback,
+      playThrough,
+      onActiveItemChange,
+      groupByEntry,
+      renderItem,
+      renderItemHeader,
+      renderItemFooter,
+      getPlayerProps,
+      previewMode,
+      previewFrameCount,
+      previewRange,
+      previewThumbnailWidth,
+      isItemSelected,
+      onItemSelectChange,
     },
     ref
   ) => {
@@ -41,6 +225,160 @@ const PlayersGallery = forwardRef(
     const [playingUniqueGuiId, setPlayingUniqueGuiId] = useState(null);
     const [mouseLeaveTimeout, setMouseLeaveTimeout] = useState(null);
     const galleryContainerRef = useRef(null);
+    const [carouselPage, setCarouselPage] = useState(0);
+    // roving focus: the one item that is in the tab order, arrow keys move it
+    const [focusedItemIndex, setFocusedItemIndex] = useState(0);
+    // what the live region announces to screen readers
+    const [announcement, setAnnouncement] = useState("");
+    // the pointer type of the last pointerenter / pointerdown, touch taps toggle playback instead of the (emulated) hover
+    const pointerTypeRef = useRef(null);
+    // is the gallery playing its items one after the other since playAll (until stopAll or the last item ends)?
+    const isPlayingAllRef = useRef(false);
+    // stable per item callbacks for the players, calling the latest item event handlers
+    const itemEventHandlersRef = useRef({});
+    const latestItemEventHandlersRef = useRef({});
+    // one session for the whole gallery, its players get the resolved KS (and the new one whenever it is refreshed)
+    const session = useKalturaSession({ ks, ksProvider, onKsExpired });
+    // players that unmount (lazyLoad eviction, a new result set) give their instances back to the pool, new ones reuse them
+    const pool = usePlayerPool(playerPool, maxIdlePlayers);
+    // in lazyLoad mode, the items that have a real Player (the others show a poster card), least recently activated first
+    const [livePlayerIds, setLivePlayerIds] = useState([]);
+    // plays requested on items whose Player wasn't created yet, uniqueGuiId => seekTime, run once the player is ready
+    const pendingPlaysRef = useRef({});
+    const playingUniqueGuiIdRef = useRef(null);
+    playingUniqueGuiIdRef.current = playingUniqueGuiId;
+    // the gallery item of the playing ref (its own, unless groupByEntry), which lazyLoad never destroys
+    const playingItemIdRef = useRef(null);
+    // in groupByEntry mode, the last time update of each shared player, to tell when playback crosses the end of a segment
+    const lastTimesRef = useRef({});
+
+    // in preview mode, items show a thumbnail scrub preview, and only get a real Player when the user plays them (click, Enter, tap)
+    const isPreviewMode = previewMode !== "player";
+    // in lazyLoad and preview modes, only some of the items have a real Player
+    const isDeferredMode = lazyLoad || isPreviewMode;
+
+    /**
+     * Is there a real Player for this item? always true unless in lazyLoad or preview mode.
+     * @param {string} uniqueGuiId - The unique ID of the gallery item
+     */
+    const isPlayerLive = (uniqueGuiId) =>
+      !isDeferredMode || livePlayerIds.includes(uniqueGuiId);
+
+    /**
+     * Create the real Player of an item (lazyLoad and preview modes), destroying the least recently activated ones above maxLivePlayers.
+     * The playing item and the one being activated are never destroyed.
+     * @param {string} uniqueGuiId - The unique ID of the gallery item
+     */
+    const activatePlayer = useCallback(
+      (uniqueGuiId) => {
+        if (!isDeferredMode) return;
+        setLivePlayerIds((ids) => {
+          if (ids[ids.length - 1] === uniqueGuiId) return ids;
+          const nextIds = [
+            ...ids.filter((id) => id !== uniqueGuiId),
+            uniqueGuiId,
+          ];
+          let i = 0;
+          while (nextIds.length > maxLivePlayers && i < nextIds.length) {
+            if (
+              nextIds[i] !== uniqueGuiId &&
+              nextIds[i] !== playingItemIdRef.current
+            ) {
+              delete pendingPlaysRef.current[nextIds[i]];
+              nextIds.splice(i, 1);
+            } else {
+              i++;
+            }
+          }
+          return nextIds;
+        });
+      },
+      [isDeferredMode, maxLivePlayers]
+    );
+
+    /**
+     * Destroy the real Player of an item (lazyLoad mode), unless it is playing.
+     * @param {string} uniqueGuiId - The unique ID of the gallery item
+     */
+    const deactivatePlayer = useCallback((uniqueGuiId) => {
+      if (uniqueGuiId === playingItemIdRef.current) return;
+      delete pendingPlaysRef.current[uniqueGuiId];
+      setLivePlayerIds((ids) =>
+        ids.includes(uniqueGuiId) ? ids.filter((id) => id !== uniqueGuiId) : ids
+      );
+    }, []);
+
+    /**
+     * In lazyLoad mode, create players for items entering (or near) the viewport, and destroy the ones far outside of it.
+     * In preview mode players are only created when played, but still destroyed far outside of the viewport.
+     */
+    useEffect(() => {
+      if (!lazyLoad || typeof IntersectionObserver === "undefined") return;
+      const nearObserver = new IntersectionObserver(
+        (entries) =>
+          entries
+            .filter((entry) => entry.isIntersecting && !isPreviewMode)
+            .forEach((entry) =>
+              activatePlayer(entry.target.dataset.uniqueguiid)
+            ),
+        { rootMargin: lazyLoadRootMargin }
+      );
+      const farObserver = new IntersectionObserver(
+        (entries) =>
+          entries
+            .filter((entry) => !entry.isIntersecting)
+            .forEach((entry) =>
+              deactivatePlayer(entry.target.dataset.uniqueguiid)
+            ),
+        { rootMargin: lazyDestroyRootMargin }
+      );
+      Object.values(containerRefs)
+        .filter((containerRef) => containerRef.current)
+        .forEach((containerRef) => {
+          nearObserver.observe(containerRef.current);
+          farObserver.observe(containerRef.current);
+        });
+      return () => {
+        nearObserver.disconnect();
+        farObserver.disconnect();
+      };
+    }, [
+      lazyLoad,
+      containerRefs,
+      lazyLoadRootMargin,
+      lazyDestroyRootMargin,
+      activatePlayer,
+      deactivatePlayer,
+      isPreviewMode,
+      session.isKsReady,
+    ]);
+
+    /**
+     * Run a play requested on a lazy item once its player is ready, unless it was canceled (paused or destroyed) meanwhile.
+     * @param {string} uniqueGuiId - The unique ID of the gallery item
+     */
+    const runPendingPlay = (uniqueGuiId) => {
+      const playerHandle =
+        playerRefs[uniqueGuiId] && playerRefs[uniqueGuiId].current;
+      if (!playerHandle) return;
+      playerHandle.getPlayerInstance().then((instance) => {
+        if (instance && uniqueGuiId in pendingPlaysRef.current) {
+          const seekTime = pendingPlaysRef.current[uniqueGuiId];
+          delete pendingPlaysRef.current[uniqueGuiId];
+          if (seekTime !== null) {
+            instance.currentTime = seekTime;
+          }
+          instance.play();
+        }
+      });
+    };
+
+    /**
+     * Run the plays that were requested before their players were created, once the players are rendered.
+     */
+    useEffect(() => {
+      Object.keys(pendingPlaysRef.current).forEach(runPendingPlay);
+    }, [livePlayerIds, playerRefs]);
 
     /**
      * Generates player and container refs and cleanup for the mouse leave timeout.
@@ -61,49 +399,359 @@ const PlayersGallery = forwardRef(
       };
     }, [data.ref]);
 
+    const visibleRefs = getGalleryRefs(data.ref);
+    // in groupByEntry mode the refs citing the same entry share one gallery item, otherwise every ref has its own
+    const entryGroupItemIds = groupByEntry
+      ? getEntryGroupItemIds(visibleRefs)
+      : null;
+    const galleryItems = groupByEntry
+      ? visibleRefs.filter(
+          (ref) => entryGroupItemIds[ref.uniqueGuiId] === ref.uniqueGuiId
+        )
+      : visibleRefs;
+
+    /**
+     * Get the gallery item (and player) a ref plays in.
+     * @param {?string} uniqueGuiId - The unique ID of the ref
+     * @returns {?string} - The unique ID of the gallery item
+     */
+    const getItemId = (uniqueGuiId) =>
+      (entryGroupItemIds && entryGroupItemIds[uniqueGuiId]) || uniqueGuiId;
+
+    /**
+     * Get the refs a gallery item plays: its own, or all the refs of its entry in groupByEntry mode.
+     * @param {string} itemId - The unique ID of the gallery item
+     */
+    const getItemRefs = (itemId) =>
+      visibleRefs.filter((ref) => getItemId(ref.uniqueGuiId) === itemId);
+
+    playingItemIdRef.current = getItemId(playingUniqueGuiId);
+    const carouselPageCount = Math.max(
+      1,
+      Math.ceil(galleryItems.length / carouselItemsPerPage)
+    );
+    const layoutStyles = getLayoutStyles(layout, {
+      gridMinColumnWidth,
+      carouselItemsPerPage,
+    });
+
+    /**
+     * Scroll the carousel to its current page.
+     */
+    useEffect(() => {
+      if (layout === "carousel" && galleryContainerRef.current) {
+        scrollElementTo(
+          galleryContainerRef.current,
+          { left: carouselPage * galleryContainerRef.current.clientWidth },
+          scrollBehavior
+        );
+      }
+    }, [layout, carouselPage, scrollBehavior]);
+
+    /**
+     * Keep the carousel page in range when the number of items changes.
+     */
+    useEffect(() => {
+      setCarouselPage((page) => Math.min(page, carouselPageCount - 1));
+    }, [carouselPageCount]);
+
+    /**
+     * Bring a gallery item into view, along the axis of the layout: to the start of the gallery (or its center with keepActiveItemCentered),
+     * or by moving to its page in carousel layout. Galleries that don't scroll themselves (e.g. a list growing with the page) scroll the page.
+     * @param {HTMLElement} playerElement - The gallery item container element
+     */
     const scrollPlayerIntoView = (playerElement) => {
-      if (galleryContainerRef.current) {
-        const rect = playerElement.getBoundingClientRect();
-        const containerRect = galleryContainerRef.current.getBoundingClientRect();
-        const relativeLeftPosition = rect.left - containerRect.left;
-        galleryContainerRef.current.scrollLeft = relativeLeftPosition;
+      const galleryElement = galleryContainerRef.current;
+      if (!galleryElement) return;
+      if (layout === "carousel") {
+        setCarouselPage(
+          Math.floor(
+            parseInt(playerElement.dataset.index) / carouselItemsPerPage
+          )
+        );
+        return;
       }
-    };   
+      const rect = playerElement.getBoundingClientRect();
+      const containerRect = galleryElement.getBoundingClientRect();
+      if (LAYOUT_SCROLL_AXIS[layout] === "x") {
+        const centerOffset = keepActiveItemCentered
+          ? (containerRect.width - rect.width) / 2
+          : 0;
+        scrollElementTo(
+          galleryElement,
+          {
+            left:
+              galleryElement.scrollLeft +
+              rect.left -
+              containerRect.left -
+              centerOffset,
+          },
+          scrollBehavior
+        );
+      } else if (galleryElement.scrollHeight > galleryElement.clientHeight) {
+        const centerOffset = keepActiveItemCentered
+          ? (containerRect.height - rect.height) / 2
+          : 0;
+        scrollElementTo(
+          galleryElement,
+          {
+            top:
+              galleryElement.scrollTop +
+              rect.top -
+              containerRect.top -
+              centerOffset,
+          },
+          scrollBehavior
+        );
+      } else if (playerElement.scrollIntoView) {
+        playerElement.scrollIntoView({
+          block: keepActiveItemCentered ? "center" : "nearest",
+          behavior: scrollBehavior,
+        });
+      }
+    };
 
     /**
      * Play a Kaltura player by its unique ID.
+     * In groupByEntry mode this can be the unique ID of any ref of the entry, playing it in the player the entry's refs share.
      * @param {string} uniqueGuiId - The unique ID of the Kaltura player
      * @param {?number} seekTime - The time to seek to in the player
      */
     const playKalturaPlayerByUniqueId = (uniqueGuiId, seekTime = null) => {
-      if (playerRefs[uniqueGuiId] && playerRefs[uniqueGuiId].current) {
-        playerRefs[uniqueGuiId].current.playKalturaPlayer(seekTime);
-        setPlayingUniqueGuiId(uniqueGuiId);
-        if (containerRefs[uniqueGuiId] && containerRefs[uniqueGuiId].current) {
-          scrollPlayerIntoView(containerRefs[uniqueGuiId].current);
+      const itemId = getItemId(uniqueGuiId);
+      if (exclusivePlayback) {
+        pauseOtherPlayers(itemId);
+      }
+      const playedRef = data.ref.find((ref) => ref.uniqueGuiId === uniqueGuiId);
+      if (
+        playedRef &&
+        playerRefs[itemId] &&
+        uniqueGuiId !== playingUniqueGuiId
+      ) {
+        setAnnouncement(`Playing: ${playedRef.segment_title.trim()}`);
+      }
+      if (isDeferredMode && playerRefs[itemId]) {
+        // the player of this item may not exist (or be ready) yet, create it and play once it's ready
+        pendingPlaysRef.current[itemId] = seekTime;
+        activatePlayer(itemId);
+        runPendingPlay(itemId);
+        setPlayingRef(uniqueGuiId);
+        if (containerRefs[itemId] && containerRefs[itemId].current) {
+          scrollPlayerIntoView(containerRefs[itemId].current);
+        }
+      } else if (playerRefs[itemId] && playerRefs[itemId].current) {
+        // set before playing, the player's play event must find this ref playing rather than the first of its entry
+        setPlayingRef(uniqueGuiId);
+        playerRefs[itemId].current.playKalturaPlayer(seekTime);
+        if (containerRefs[itemId] && containerRefs[itemId].current) {
+          scrollPlayerIntoView(containerRefs[itemId].current);
         }
       }
     };
 
+    /**
+     * Mark a ref as the playing one, right away for the player event handlers (which may run before the next render).
+     * @param {?string} uniqueGuiId - The unique ID of the ref, null when none is playing
+     */
+    const setPlayingRef = (uniqueGuiId) => {
+      playingUniqueGuiIdRef.current = uniqueGuiId;
+      playingItemIdRef.current = getItemId(uniqueGuiId);
+      setPlayingUniqueGuiId(uniqueGuiId);
+    };
+
     /**
      * Pause a Kaltura player by its unique ID.
      * @param {string} uniqueGuiId - The unique ID of the Kaltura player
      */
     const pauseKalturaPlayerByUniqueId = (uniqueGuiId) => {
-      if (playerRefs[uniqueGuiId] && playerRefs[uniqueGuiId].current) {
-        playerRefs[uniqueGuiId].current.pauseKalturaPlayer();
-        if (playingUniqueGuiId === uniqueGuiId) {
-          setPlayingUniqueGuiId(null);
+      const itemId = getItemId(uniqueGuiId);
+      const isPlayingItem = playingItemIdRef.current === itemId;
+      if (itemId in pendingPlaysRef.current) {
+        delete pendingPlaysRef.current[itemId];
+        if (isPlayingItem) {
+          setPlayingRef(null);
+        }
+      }
+      if (playerRefs[itemId] && playerRefs[itemId].current) {
+        playerRefs[itemId].current.pauseKalturaPlayer();
+        if (isPlayingItem) {
+          setPlayingRef(null);
+        }
+      }
+    };
+
+    /**
+     * Pause every player (and cancel every pending play) but the given one, for exclusive playback.
+     * @param {?string} uniqueGuiId - The unique ID of the player to leave alone, null to pause them all
+     */
+    const pauseOtherPlayers = (uniqueGuiId) => {
+      Object.keys(pendingPlaysRef.current)
+        .filter((id) => id !== uniqueGuiId)
+        .forEach((id) => delete pendingPlaysRef.current[id]);
+      Object.entries(playerRefs)
+        .filter(([id, playerRef]) => id !== uniqueGuiId && playerRef.current)
+        .forEach(([id, playerRef]) => playerRef.current.pauseKalturaPlayer());
+    };
+
+    /**
+     * Play the gallery item at an index of the gallery, from the start of its segment.
+     * @param {number} index - The index of the item in the gallery
+     */
+    const playItemAt = (index) => {
+      if (visibleRefs[index]) {
+        playKalturaPlayerByUniqueId(
+          visibleRefs[index].uniqueGuiId,
+          visibleRefs[index].time
+        );
+      }
+    };
+
+    /**
+     * @returns {number} - The index in the gallery of the playing item, -1 if none is playing.
+     */
+    const getPlayingItemIndex = () =>
+      visibleRefs.findIndex(
+        (ref) => ref.uniqueGuiId === playingUniqueGuiIdRef.current
+      );
+
+    /**
+     * Stop playing: pause every player and end playAll.
+     */
+    const stopAll = () => {
+      isPlayingAllRef.current = false;
+      pauseOtherPlayers(null);
+      setPlayingRef(null);
+    };
+
+    /**
+     * When a player starts playing (including from its own controls), pause the others in exclusivePlayback mode and mark it as the playing item.
+     * A shared player (groupByEntry) keeps the ref it was asked to play as the playing one.
+     * @param {string} uniqueGuiId - The unique ID of the player
+     */
+    const handleItemPlay = (uniqueGuiId) => {
+      if (exclusivePlayback) {
+        pauseOtherPlayers(uniqueGuiId);
+      }
+      if (playingItemIdRef.current !== uniqueGuiId) {
+        setPlayingRef(uniqueGuiId);
+      }
+    };
+
+    /**
+     * When the segment of an item ended, advance to the next item in playThrough mode (or since playAll), otherwise stop.
+     * @param {string} uniqueGuiId - The unique ID of the player, or of the ref whose segment ended in a shared player
+     */
+    const handleItemEnd = (uniqueGuiId) => {
+      const endedId =
+        playingItemIdRef.current === getItemId(uniqueGuiId)
+          ? playingUniqueGuiIdRef.current
+          : uniqueGuiId;
+      const index = visibleRefs.findIndex((ref) => ref.uniqueGuiId === endedId);
+      if (
+        (playThrough || isPlayingAllRef.current) &&
+        index !== -1 &&
+        index < visibleRefs.length - 1
+      ) {
+        playItemAt(index + 1);
+      } else {
+        isPlayingAllRef.current = false;
+        if (getItemRefs(getItemId(endedId)).length > 1) {
+          // shared players play on past the segments of their entry, pause them like the other players pause at endTime
+          pauseKalturaPlayerByUniqueId(endedId);
+        }
+        if (playingUniqueGuiIdRef.current === endedId) {
+          setPlayingRef(null);
         }
       }
     };
 
     /**
-     * Makes the play and pause functions accessible to parent components.
+     * Follow the playback of a shared player (groupByEntry), ending the playing ref's segment when playback crosses its end.
+     * Jumps (seeks) over the end don't count.
+     * @param {string} itemId - The unique ID of the gallery item
+     */
+    const handleItemTimeUpdate = (itemId) => {
+      const playerHandle = playerRefs[itemId] && playerRefs[itemId].current;
+      if (!playerHandle) return;
+      playerHandle.getCurrentTime().then((time) => {
+        const lastTime = lastTimesRef.current[itemId];
+        lastTimesRef.current[itemId] = time;
+        const playingRef = visibleRefs.find(
+          (ref) => ref.uniqueGuiId === playingUniqueGuiIdRef.current
+        );
+        if (
+          playingRef &&
+          getItemId(playingRef.uniqueGuiId) === itemId &&
+          playingRef.end !== undefined &&
+          playingRef.end !== null &&
+          lastTime !== undefined &&
+          lastTime < playingRef.end &&
+          time >= playingRef.end &&
+          time - lastTime < MAX_TIME_UPDATE_GAP
+        ) {
+          latestItemEventHandlersRef.current.handleItemEnd(
+            playingRef.uniqueGuiId
+          );
+        }
+      });
+    };
+
+    latestItemEventHandlersRef.current = {
+      handleItemPlay,
+      handleItemEnd,
+      handleItemTimeUpdate,
+    };
+
+    /**
+     * Get the (stable) callbacks a gallery item's player reports its playback with.
+     * @param {string} uniqueGuiId - The unique ID of the gallery item
+     */
+    const getItemEventHandlers = (uniqueGuiId) => {
+      if (!itemEventHandlersRef.current[uniqueGuiId]) {
+        itemEventHandlersRef.current[uniqueGuiId] = {
+          onPlay: () =>
+            latestItemEventHandlersRef.current.handleItemPlay(uniqueGuiId),
+          onEnd: () =>
+            latestItemEventHandlersRef.current.handleItemEnd(uniqueGuiId),
+          onTimeUpdate: () =>
+            latestItemEventHandlersRef.current.handleItemTimeUpdate(
+              uniqueGuiId
+            ),
+        };
+      }
+      return itemEventHandlersRef.current[uniqueGuiId];
+    };
+
+    /**
+     * Let the parent follow the playing item, e.g. to highlight the sentence citing it.
+     */
+    useEffect(() => {
+      if (onActiveItemChange) {
+        onActiveItemChange(
+          playingUniqueGuiId === null
+            ? null
+            : data.ref.findIndex(
+                (ref) => ref.uniqueGuiId === playingUniqueGuiId
+              )
+        );
+      }
+    }, [playingUniqueGuiId]);
+
+    /**
+     * Makes the playback functions (and the player pool stats, for debugging) accessible to parent components.
      */
     useImperativeHandle(ref, () => ({
       playKalturaPlayerByUniqueId,
       pauseKalturaPlayerByUniqueId,
+      playAll: () => {
+        isPlayingAllRef.current = true;
+        playItemAt(0);
+      },
+      stopAll,
+      next: () =>
+        playItemAt(Math.min(getPlayingItemIndex() + 1, visibleRefs.length - 1)),
+      previous: () => playItemAt(Math.max(getPlayingItemIndex() - 1, 0)),
+      getPlayerPoolStats: () => pool.getStats(),
     }));
 
     /**
@@ -113,24 +761,124 @@ const PlayersGallery = forwardRef(
      */
     const handleMouseEnter = useCallback(
       (event) => {
+        if (pointerTypeRef.current === "touch") return; // emulated after a tap, handled by handleClick
         const uniqueGuiId = event.currentTarget.dataset.uniqueguiid;
+        if (isPreviewMode && !isPlayerLive(uniqueGuiId)) return; // hovering a preview only scrubs it
         const index = data.ref.findIndex(
           (ref) => ref.uniqueGuiId === uniqueGuiId
         );
         if (mouseLeaveTimeout) clearTimeout(mouseLeaveTimeout);
+        activatePlayer(uniqueGuiId);
         setMouseLeaveTimeout(
           setTimeout(() => {
             if (shouldPlayOnHover) {
               playKalturaPlayerByUniqueId(uniqueGuiId);
             }
             setHoverVideoId(index);
-            onHover(index); // call the parent's hover event handler
+            if (onHover) onHover(index); // call the parent's hover event handler
           }, MOUSE_LEAVE_DELAY)
         );
       },
-      [data.ref, mouseLeaveTimeout, shouldPlayOnHover]
+      [
+        data.ref,
+        mouseLeaveTimeout,
+        shouldPlayOnHover,
+        activatePlayer,
+        isPreviewMode,
+        livePlayerIds,
+        playerRefs,
+      ]
     );
 
+    /**
+     * Handle focus within a gallery item, creating its player in lazyLoad mode.
+     * @param {Event} event - The focus event
+     */
+    const handleFocus = useCallback(
+      (event) => {
+        if (!isPreviewMode) {
+          activatePlayer(event.currentTarget.dataset.uniqueguiid);
+        }
+        setFocusedItemIndex(parseInt(event.currentTarget.dataset.index));
+      },
+      [activatePlayer, isPreviewMode]
+    );
+
+    /**
+     * Play a gallery item (or pause it if it's the playing one), the way hovering it does. Used by the keyboard and touch taps.
+     * @param {string} uniqueGuiId - The unique ID of the gallery item
+     */
+    const togglePlayback = (uniqueGuiId) => {
+      if (mouseLeaveTimeout) clearTimeout(mouseLeaveTimeout);
+      if (getItemId(playingUniqueGuiId) === uniqueGuiId) {
+        pauseKalturaPlayerByUniqueId(uniqueGuiId);
+        setHoverVideoId(null);
+        if (onHover) onHover(null);
+      } else {
+        const index = data.ref.findIndex(
+          (ref) => ref.uniqueGuiId === uniqueGuiId
+        );
+        playKalturaPlayerByUniqueId(uniqueGuiId);
+        setHoverVideoId(index);
+        if (onHover) onHover(index);
+      }
+    };
+
+    /**
+     * Handle the keyboard on a gallery item: arrow keys (and Home / End) move the focus between items, Enter / Space play and pause.
+     * Keys pressed within the player (e.g. on its controls) are left to the player.
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    const handleKeyDown = (event) => {
+      if (event.target !== event.currentTarget) return;
+      const uniqueGuiId = event.currentTarget.dataset.uniqueguiid;
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        togglePlayback(uniqueGuiId);
+        return;
+      }
+      const nextIndex = getRovingFocusIndex(
+        event.key,
+        parseInt(event.currentTarget.dataset.index),
+        galleryItems.length
+      );
+      if (nextIndex === null) return;
+      event.preventDefault();
+      setFocusedItemIndex(nextIndex);
+      const nextElement =
+        containerRefs[galleryItems[nextIndex].uniqueGuiId] &&
+        containerRefs[galleryItems[nextIndex].uniqueGuiId].current;
+      if (nextElement) {
+        nextElement.focus();
+        scrollPlayerIntoView(nextElement);
+      }
+    };
+
+    /**
+     * Remember the pointer type, so that taps (and the mouse events browsers emulate after them) aren't treated as hovers.
+     * @param {PointerEvent} event - The pointerenter or pointerdown event
+     */
+    const handlePointerType = (event) => {
+      pointerTypeRef.current = event.pointerType;
+    };
+
+    /**
+     * Tap to play / pause on touch devices, in place of hover. Taps on the player controls are left to the player.
+     * @param {MouseEvent} event - The click event
+     */
+    const handleClick = (event) => {
+      if (
+        pointerTypeRef.current !== "touch" ||
+        (event.target.closest &&
+          event.target.closest(
+            `${PLAYER_CONTROLS_SELECTOR}, ${ITEM_SELECT_SELECTOR}`
+          ))
+      ) {
+        return;
+      }
+      togglePlayback(event.currentTarget.dataset.uniqueguiid);
+    };
+
     /**
      * Handle mouse leave event when the user moves away from the currently hovered player.
      * We use a timeout of MOUSE_LEAVE_DELAY duration to prevent an accidental mouse move from causing a pause.
@@ -138,6 +886,7 @@ const PlayersGallery = forwardRef(
      */
     const handleMouseLeave = useCallback(
       (event) => {
+        if (pointerTypeRef.current === "touch") return; // emulated after a tap, handled by handleClick
         const uniqueGuiId = event.currentTarget.dataset.uniqueguiid;
         if (mouseLeaveTimeout) clearTimeout(mouseLeaveTimeout);
         setMouseLeaveTimeout(
@@ -146,37 +895,44 @@ const PlayersGallery = forwardRef(
               pauseKalturaPlayerByUniqueId(uniqueGuiId);
             }
             setHoverVideoId(null);
-            onHover(null); // call the parent's hover event handler
+            if (onHover) onHover(null); // call the parent's hover event handler
           }, MOUSE_LEAVE_DELAY)
         );
       },
-      [mouseLeaveTimeout, shouldPlayOnHover]
+      [mouseLeaveTimeout, shouldPlayOnHover, playerRefs]
     );
 
     /**
      * Render the Players Gallery.
      */
-    return (
-      <div 
-        className="react_kaltura_players_gallery"
+    const gallery = (
+      <div
+        className={`react_kaltura_players_gallery react_kaltura_players_gallery_${layout}`}
         ref={galleryContainerRef}
+        style={layoutStyles.gallery}
+        role="region"
+        aria-label={ariaLabel}
       >
-        {data.ref
-          .filter((ref) => ref.entry_id !== null && ref.entry_id !== "")
-          .map((ref, index) => (
-            <div
-              className={`react_kaltura_players_gallery_item_container ${
-                playingUniqueGuiId === ref.uniqueGuiId ? "highlight" : ""
-              }`}
-              ref={containerRefs[ref.uniqueGuiId]}
-              key={ref.uniqueGuiId}
-              data-uniqueguiid={ref.uniqueGuiId}
-              onMouseEnter={handleMouseEnter}
-              onMouseLeave={handleMouseLeave}
-              data-index={index}
-            >
+        {session.isKsReady &&
+          galleryItems.map((ref, index) => {
+            const itemRefs = getItemRefs(ref.uniqueGuiId);
+            // a player shared by several refs of an entry plays through them, with a marker for each on its seek bar
+            const isSharedPlayer = itemRefs.length > 1;
+            const itemTitle = itemRefs
+              .map((itemRef) => itemRef.segment_title.trim())
+              .join(" · ");
+            const player = isPlayerLive(ref.uniqueGuiId) ? (
               <Player
                 className="react_kaltura_players_gallery_item_player"
+                posterImg={ref.entry_thumbnail}
+                autoPlay={false}
+                preLoad={preLoad}
+                startingVolume={startingVolume}
+                hideLoadingSpinner={false}
+                hideBigPlayButton={true}
+                width="100%"
+                height="100%"
+                {...(getPlayerProps ? getPlayerProps(ref, index) : {})}
                 key={ref.uniqueGuiId}
                 uniqueGuiId={ref.uniqueGuiId}
                 ref={playerRefs[ref.uniqueGuiId]}
@@ -185,25 +941,220 @@ const PlayersGallery = forwardRef(
                 onMouseEnter={handleMouseEnter}
                 onMouseLeave={handleMouseLeave}
                 entryId={ref.entry_id}
-                posterImg={ref.entry_thumbnail}
-                autoPlay={false}
                 kalturaServiceUrl={kalturaServiceUrl}
                 partnerId={partnerId}
                 uiConfId={uiConfId}
                 startTime={ref.time}
-                preLoad={preLoad}
-                startingVolume={startingVolume}
-                ks={ks}
-                hideLoadingSpinner={false}
-                hideBigPlayButton={true}
-                width="100%"
-                height="100%"
+                endTime={isSharedPlayer ? null : ref.end}
+                markers={
+                  isSharedPlayer
+                    ? itemRefs.map((itemRef) => ({
+                        time: itemRef.time,
+                        className:
+                          "react_kaltura_players_gallery_item_chapter_marker",
+                      }))
+                    : null
+                }
+                onPlay={getItemEventHandlers(ref.uniqueGuiId).onPlay}
+                onTimeUpdate={
+                  isSharedPlayer
+                    ? getItemEventHandlers(ref.uniqueGuiId).onTimeUpdate
+                    : null
+                }
+                onSegmentEnd={
+                  !isSharedPlayer && ref.end !== undefined && ref.end !== null
+                    ? getItemEventHandlers(ref.uniqueGuiId).onEnd
+                    : null
+                }
+                onEnded={
+                  !isSharedPlayer && ref.end !== undefined && ref.end !== null
+                    ? null
+                    : getItemEventHandlers(ref.uniqueGuiId).onEnd
+                }
+                ks={session.ks}
+                onError={session.handleError}
+                playerPool={pool}
+              />
+            ) : isPreviewMode ? (
+              <ThumbnailPreview
+                entryId={ref.entry_id}
+                partnerId={partnerId}
+                kalturaServiceUrl={kalturaServiceUrl}
+                startTime={ref.time}
+                endTime={
+                  ref.end !== undefined && ref.end !== null
+                    ? ref.end
+                    : ref.time + previewRange
+                }
+                frameCount={previewFrameCount}
+                mode={previewMode}
+                thumbnailWidth={previewThumbnailWidth}
+                ariaLabel={`Play ${itemTitle}`}
+                onClick={() =>
+                  playKalturaPlayerByUniqueId(ref.uniqueGuiId, ref.time)
+                }
               />
-              <span className="react_kaltura_players_gallery_item_title">
-                {ref.segment_title}
-              </span>
-            </div>
+            ) : (
+              <button
+                className="react_kaltura_players_gallery_item_poster"
+                style={{ width: "100%", height: "100%" }}
+                aria-label={`Play ${itemTitle}`}
+                onClick={() =>
+                  playKalturaPlayerByUniqueId(ref.uniqueGuiId, ref.time)
+                }
+              >
+                <img
+                  src={ref.entry_thumbnail}
+                  alt=""
+                  style={{
+                    width: "100%",
+                    height: "100%",
+                    objectFit: "cover",
+                  }}
+                />
+              </button>
+            );
+            // an item is selected when all the refs it plays are (one, unless groupByEntry)
+            const isSelected =
+              isItemSelected !== null &&
+              itemRefs.every((itemRef) => isItemSelected(itemRef));
+            const toggleSelected = () =>
+              itemRefs.forEach((itemRef) =>
+                onItemSelectChange(itemRef, !isSelected)
+              );
+            // what the custom item renderers get to build a card around the item
+            const itemRenderProps = {
+              ref,
+              refs: itemRefs,
+              index,
+              isPlaying: playingItemIdRef.current === ref.uniqueGuiId,
+              isHovered:
+                hoverVideoId !== null &&
+                data.ref[hoverVideoId] !== undefined &&
+                data.ref[hoverVideoId].uniqueGuiId === ref.uniqueGuiId,
+              playerRef: playerRefs[ref.uniqueGuiId],
+              player,
+              isSelected,
+              toggleSelected: onItemSelectChange ? toggleSelected : null,
+            };
+            return (
+              <div
+                className={`react_kaltura_players_gallery_item_container ${
+                  playingItemIdRef.current === ref.uniqueGuiId
+                    ? "highlight"
+                    : ""
+                }`}
+                style={layoutStyles.item}
+                ref={containerRefs[ref.uniqueGuiId]}
+                key={ref.uniqueGuiId}
+                id={getGalleryItemId(playerIdTemplate, ref.uniqueGuiId)}
+                role="group"
+                aria-roledescription="video segment"
+                aria-label={`${index + 1}. ${itemTitle}`}
+                aria-describedby={
+                  itemAriaDescribedBy
+                    ? itemAriaDescribedBy(ref, index)
+                    : undefined
+                }
+                aria-current={
+                  playingItemIdRef.current === ref.uniqueGuiId
+                    ? "true"
+                    : undefined
+                }
+                tabIndex={
+                  index === Math.min(focusedItemIndex, galleryItems.length - 1)
+                    ? 0
+                    : -1
+                }
+                data-uniqueguiid={ref.uniqueGuiId}
+                onMouseEnter={handleMouseEnter}
+                onMouseLeave={handleMouseLeave}
+                onFocus={handleFocus}
+                onKeyDown={handleKeyDown}
+                onPointerEnter={handlePointerType}
+                onPointerDown={handlePointerType}
+                onClick={handleClick}
+                data-index={index}
+              >
+                {renderItem ? (
+                  renderItem(itemRenderProps)
+                ) : (
+                  <React.Fragment>
+                    {onItemSelectChange && (
+                      <label className="react_kaltura_players_gallery_item_select">
+                        <input
+                          type="checkbox"
+                          checked={isSelected}
+                          onChange={toggleSelected}
+                          aria-label={`Select ${itemTitle}`}
+                        />
+                      </label>
+                    )}
+                    {renderItemHeader && renderItemHeader(itemRenderProps)}
+                    {player}
+                    {renderItemFooter ? (
+                      renderItemFooter(itemRenderProps)
+                    ) : (
+                      <span className="react_kaltura_players_gallery_item_title">
+                        {isSharedPlayer ? itemTitle : ref.segment_title}
+                      </span>
+                    )}
+                  </React.Fragment>
+                )}
+              </div>
+            );
+          })}
+        <div
+          className="react_kaltura_players_gallery_live_region"
+          aria-live="polite"
+          style={VISUALLY_HIDDEN_STYLE}
+        >
+          {announcement}
+        </div>
+      </div>
+    );
+
+    if (layout !== "carousel") {
+      return gallery;
+    }
+
+    /**
+     * In carousel layout, the gallery pages are wrapped with prev / next controls and page dots.
+     */
+    return (
+      <div className="react_kaltura_players_gallery_carousel_container">
+        <button
+          className="react_kaltura_players_gallery_carousel_prev"
+          aria-label="Previous page"
+          disabled={carouselPage === 0}
+          onClick={() => setCarouselPage((page) => Math.max(page - 1, 0))}
+        >
+          ‹
+        </button>
+        {gallery}
+        <button
+          className="react_kaltura_players_gallery_carousel_next"
+          aria-label="Next page"
+          disabled={carouselPage >= carouselPageCount - 1}
+          onClick={() =>
+            setCarouselPage((page) => Math.min(page + 1, carouselPageCount - 1))
+          }
+        >
+          ›
+        </button>
+        <div className="react_kaltura_players_gallery_carousel_dots">
+          {Array.from({ length: carouselPageCount }, (_, page) => (
+            <button
+              key={page}
+              className={`react_kaltura_players_gallery_carousel_dot ${
+                page === carouselPage ? "active" : ""
+              }`}
+              aria-label={`Page ${page + 1}`}
+              aria-current={page === carouselPage ? "true" : undefined}
+              onClick={() => setCarouselPage(page)}
+            />
           ))}
+        </div>
       </div>
     );
   }
@@ -224,6 +1175,7 @@ PlayersGallery.propTypes = {
         entry_id: PropTypes.string.isRequired, // the Kaltura Entry ID of the best reference video that correlates to this particular sentence from the AI model's answer
         segment_title: PropTypes.string.isRequired, // a title corresponding to this video segment, to show the primary topic discussed
         time: PropTypes.number.isRequired, // integer, seconds, indicates the start time in the video entry, where the segment that best correlates to this particular sentence from the AI model's answer can be found
+        end: PropTypes.number, // optional, seconds, indicates the end time of that segment in the video entry, when provided playback stops at the end of the segment
         score: PropTypes.number.isRequired, // float, between 0 to 1, indicates the confidence score for how relevant this particular video segment really was to this particular sentence from the model_answer. 0 is very confident, 1 is not confident at all.
       })
     ).isRequired,
@@ -232,11 +1184,45 @@ PlayersGallery.propTypes = {
   kalturaServiceUrl: PropTypes.string, // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
   partnerId: PropTypes.number.isRequired, // the Kaltura account id (KMC>Integration Settings>Partner ID)
   uiConfId: PropTypes.number.isRequired, // the Kaltura Player instance id (KMC>Studio)
-  ks: PropTypes.string.isRequired, // the Kaltura Session to pass when rendering the Kaltura Video Players
+  ks: PropTypes.string, // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider: PropTypes.func, // async function returning a KS (or {ks, expiry} with expiry as a unix timestamp in seconds), called on start, before the KS expires and after KS errors. pass a stable function
+  onKsExpired: PropTypes.func, // function to call when a KS related error (e.g. an expired KS) was detected in one of the players, or ksProvider failed (it's retried with a backoff)
   preLoad: PropTypes.string, // should the video players start loading the video when rendering (true) or upon first play (false)? Note: if you're hiding the video thumbnail in CSS this is recommended to be true.
   startingVolume: PropTypes.number, // what should be the volume the video players will start with (0-1)
   shouldPlayOnHover: PropTypes.bool, // should the video players play when the user hover over them and pause when the user mouse leaves the boundaries of the player?
   onHover: PropTypes.func, // an optional function that the parent can call in order to handle the event of hovering a specific gallery item (if index is not null) or when the mouse leaved the item and hover ends (if index is null)
+  lazyLoad: PropTypes.bool, // should items show a poster card, and only create their player when they enter the viewport or are hovered / focused?
+  maxLivePlayers: PropTypes.number, // in lazyLoad mode, the maximum number of players that exist at once (the least recently activated are destroyed first)
+  lazyLoadRootMargin: PropTypes.string, // in lazyLoad mode, how close to the viewport (IntersectionObserver rootMargin) an item should be for its player to be created
+  lazyDestroyRootMargin: PropTypes.string, // in lazyLoad mode, how far outside the viewport (IntersectionObserver rootMargin) an item should be for its player to be destroyed
+  playerPool: PropTypes.shape({
+    // a pool created with createPlayerPool, to share idle player instances with other components (a pool of its own is used otherwise)
+    acquire: PropTypes.func.isRequired,
+    release: PropTypes.func.isRequired,
+    getStats: PropTypes.func.isRequired,
+  }),
+  maxIdlePlayers: PropTypes.number, // how many idle player instances the gallery's own pool keeps for reuse (ignored when playerPool is passed)
+  layout: PropTypes.oneOf(Object.keys(LAYOUT_SCROLL_AXIS)), // how to lay out the gallery: row (a horizontal strip), grid (responsive columns), carousel (pages with prev / next controls and dots), list (vertical) or masonry
+  gridMinColumnWidth: PropTypes.string, // in grid and masonry layouts, the minimum width of a column, the number of columns follows the gallery width
+  carouselItemsPerPage: PropTypes.number, // in carousel layout, how many items a page shows
+  keepActiveItemCentered: PropTypes.bool, // should the playing item be scrolled to the center of the gallery rather than to its start?
+  scrollBehavior: PropTypes.oneOf(["smooth", "auto"]), // how to scroll the playing item into view (smooth or instant)
+  ariaLabel: PropTypes.string, // the accessible name of the gallery, for screen readers
+  itemAriaDescribedBy: PropTypes.func, // receives a gallery item (and its index) and returns the id(s) of the elements describing it (e.g. the sentence citing it), space separated
+  exclusivePlayback: PropTypes.bool, // should playing an item (including from its player controls) pause all the others?
+  playThrough: PropTypes.bool, // should the next item play (from its time) when the segment of the playing one ends? (playAll does this until stopAll)
+  onActiveItemChange: PropTypes.func, // an optional function to call when the playing item changes, receives its index in data.ref (null when none is playing)
+  groupByEntry: PropTypes.bool, // should the refs citing the same entry share one player, with a marker on its seek bar for each cited segment?
+  renderItem: PropTypes.func, // renders the content of a gallery item (in place of its player and title), receives {ref, refs, index, isPlaying, isHovered, playerRef, player, isSelected, toggleSelected}, player being the default player element (or poster card / thumbnail preview)
+  renderItemHeader: PropTypes.func, // renders content above the player of a gallery item (e.g. a score badge), receives the same as renderItem
+  renderItemFooter: PropTypes.func, // renders content below the player of a gallery item, in place of its title (e.g. speaker names and links), receives the same as renderItem
+  getPlayerProps: PropTypes.func, // (ref, index) => props overriding the defaults of a gallery item's Player (e.g. hideBigPlayButton, uiComponents), the playback wiring of the gallery can't be overridden
+  previewMode: PropTypes.oneOf(["player", "sprite", "frames"]), // player (every item has a Player, see lazyLoad), or a thumbnail preview scrubbing through frames of the segment on hover, from one sprite image (sprite) or one thumbnail per frame (frames), items only get a Player when played
+  previewFrameCount: PropTypes.number, // in preview mode, how many frames of the segment to scrub through
+  previewRange: PropTypes.number, // in preview mode, how long (seconds) the previewed range is for refs without an end
+  previewThumbnailWidth: PropTypes.number, // in preview mode, the width of the preview frames in pixels
+  isItemSelected: PropTypes.func, // (ref) => is the ref selected? e.g. in a clip collection
+  onItemSelectChange: PropTypes.func, // when passed, items show a selection checkbox, function to call when it changes, receives (ref, selected)
 };
 
 PlayersGallery.defaultProps = {
@@ -245,6 +1231,33 @@ PlayersGallery.defaultProps = {
   preLoad: "auto",
   startingVolume: 1,
   shouldPlayOnHover: false,
+  lazyLoad: false,
+  maxLivePlayers: 4,
+  lazyLoadRootMargin: "200px",
+  lazyDestroyRootMargin: "1000px",
+  playerPool: null,
+  maxIdlePlayers: DEFAULT_MAX_IDLE_PLAYERS,
+  layout: "row",
+  gridMinColumnWidth: "240px",
+  carouselItemsPerPage: 3,
+  keepActiveItemCentered: false,
+  scrollBehavior: "smooth",
+  ariaLabel: "Video segments",
+  itemAriaDescribedBy: null,
+  exclusivePlayback: false,
+  playThrough: false,
+  onActiveItemChange: null,
+  groupByEntry: false,
+  renderItem: null,
+  renderItemHeader: null,
+  renderItemFooter: null,
+  getPlayerProps: null,
+  previewMode: "player",
+  previewFrameCount: 10,
+  previewRange: DEFAULT_PREVIEW_RANGE,
+  previewThumbnailWidth: 320,
+  isItemSelected: null,
+  onItemSelectChange: null,
 };
 
 export default React.memo(PlayersGallery);
@@ -1,28 +1,134 @@
 import React, { useEffect, useState, useRef } from "react";
 import PropTypes from "prop-types";
-import { v4 as uuidv4 } from "uuid";
-import PlayersGallery from "./PlayersGallery";
+import PlayersGallery, {
+  getEntryGroupItemIds,
+  getGalleryItemId,
+  getGalleryRefs,
+  getRovingFocusIndex,
+} from "./PlayersGallery";
+import ClipCollection from "./ClipCollection";
+import usePlayerPool from "../hooks/usePlayerPool";
+import useSearchCache from "../hooks/useSearchCache";
+import useClipCollection from "../hooks/useClipCollection";
+import { getEntryThumbnailUrl } from "../utils/thumbnails";
+import { DEFAULT_CLIP_COLLECTION_STORAGE_KEY } from "../utils/clipCollection";
+import { DEFAULT_MAX_IDLE_PLAYERS } from "../utils/playerPool";
+import {
+  createHttpSearchClient,
+  DEFAULT_SEARCH_TIMEOUT,
+  DEFAULT_SEARCH_RETRIES,
+} from "../utils/searchClient";
+import {
+  getSearchCacheKey,
+  DEFAULT_SEARCH_CACHE_TTL,
+  DEFAULT_SEARCH_CACHE_STALE_TTL,
+  DEFAULT_SEARCH_CACHE_SIZE,
+} from "../utils/searchCache";
 import "./SearchResultsWithGallery.css";
 
+/**
+ * Format a time in seconds for the footnotes, e.g. 01:02:03, 02:03 or 3sec
+ *
+ * @param {number} time - Time in seconds.
+ * @returns {string} - The formatted time.
+ */
+const formatFootnoteTime = (time) => {
+  let dateObj = new Date(parseInt(time) * 1000);
+  let hours = parseInt(dateObj.getUTCHours());
+  let minutes = parseInt(dateObj.getUTCMinutes());
+  let seconds = parseInt(dateObj.getSeconds());
+  return (
+    (hours > 0 ? hours.toString().padStart(2, "0") + ":" : "") +
+    (minutes > 0 ? minutes.toString().padStart(2, "0") + ":" : "") +
+    (hours + minutes > 0
+      ? seconds.toString().padStart(2, "0")
+      : seconds + "sec")
+  );
+};
+
+// the example prompts of the hint shown before the first search by default
+export const DEFAULT_EXAMPLE_PROMPTS = [
+  "What are the key topics discussed across all videos?",
+];
+
+/**
+ * Get the end of a streamed answer that no ref cites yet, i.e. the text after the last cited sentence.
+ *
+ * @param {Object} data - The search response received so far.
+ * @returns {string} - The text not cited yet.
+ */
+const getUncitedAnswerText = (data) => {
+  const answer = data.model_answer || "";
+  let position = 0;
+  data.ref.forEach((ref) => {
+    const sentence = (ref.sentence_from_model_answer || "").trim();
+    const index = sentence !== "" ? answer.indexOf(sentence, position) : -1;
+    if (index !== -1) {
+      position = index + sentence.length;
+    }
+  });
+  return answer.slice(position).trim();
+};
+
 /**
  * @component
  * @name SearchResultsWithGallery
  * @description Simple view for displaying search results with an integrated Kaltura Players gallery and interactive search sentences.
  * The search results data is fetched from a server based on the 'searchQuery' prop.
+ * Responses are cached (in memory, or in sessionStorage too with persistSearchCache): a fresh cached response is shown without
+ * calling the search API, a stale one is shown while it's revalidated in the background.
+ * Streamed (SSE or NDJSON) answers render progressively: sentences and their gallery cards are added as their refs arrive, with a typing indicator and a "Stop generating" control.
  *
  * @param {Object} props - Component properties.
  * @param {string} props.searchQuery - The text to be searched in Kaltura using the AI search API.
  * @param {string} props.searchApiBearerToken - The bearer token for using the AI search API.
- * @param {boolean} props.isSearching - If true, the component will start fetching new data. If false, it will not render the results yet.
+ * @param {boolean} props.isSearching - If true, the component will start fetching new data. If false, it will not render the results yet. Setting it back to false while searching cancels the search.
  * @param {function} [props.setIsSearching] - Function to set isSearching state in parent component.
  * @param {string} [props.searchApiUrl="http://localhost/search_api_mock.json"] - The URL to use for making the search API call.
+ * @param {Object} [props.searchClient] - The search client, any object with a search(query, {onUpdate, signal, context}) method resolving with {model_answer, ref[]} (and calling onUpdate with the response so far, when streaming), e.g. from createHttpSearchClient. Defaults to an HTTP client of searchApiUrl and searchApiBearerToken.
+ * @param {Object} [props.searchContext] - What the search client sends along with the query, e.g. {conversationId} or {history: [{question, answer}]} for a follow-up question. Part of the cache key.
+ * @param {function} [props.onResults] - Function to call with the results of a search (once complete, cached or revalidated) and its query.
+ * @param {number} [props.searchTimeout=30000] - How long (ms) the default search client waits for a response before retrying or failing, 0 to wait indefinitely.
+ * @param {number} [props.searchRetries=2] - How many times the default search client retries on 5xx / 429 responses (honoring Retry-After), network errors and timeouts, with an exponential backoff.
+ * @param {Object} [props.searchCache] - A cache created with createSearchCache, to share with other components or invalidate / clear from outside.
+ * @param {number} [props.searchCacheTtl=300000] - How long (ms) the component's own cache serves a response without calling the search API, 0 to not cache.
+ * @param {number} [props.searchCacheStaleTtl=3600000] - How long (ms) past its TTL the component's own cache serves a response, while revalidating it in the background.
+ * @param {number} [props.searchCacheSize=20] - How many responses the component's own cache keeps.
+ * @param {boolean} [props.persistSearchCache=false] - If true, the component's own cache is kept in sessionStorage too, e.g. for navigating back to a search.
  * @param {string} [props.kalturaServiceUrl="https://cdnapi-ev.kaltura.com"] - The URL to access the Kaltura service on.
  * @param {(number|string)} props.partnerId - The Kaltura account id (KMC>Integration Settings>Partner ID).
  * @param {(number|string)} props.uiConfId - The Kaltura Player instance id (KMC>Studio).
- * @param {string} props.ks - The Kaltura Session to pass when rendering the Kaltura Video Players.
+ * @param {string} [props.ks] - The Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed).
+ * @param {function} [props.ksProvider] - Async function returning a KS (or {ks, expiry}), called on start, before the KS expires and after KS errors.
+ * @param {function} [props.onKsExpired] - Function to call when a KS related error was detected in one of the players.
  * @param {string} [props.playerIdTemplate="kaltura_player"] - Naming convention to create player nodes: {playerIdTemplate}_{i} with i being an incrementing integer starting at 0.
  * @param {boolean} [props.startInAutoPlay=false] - If true, video players will start with autoPlay.
  * @param {boolean} [props.shouldPlayOnHover=true] - If true, the video players will play when the user hovers over them and pause when the user's mouse leaves the boundaries of the player.
+ * @param {boolean} [props.lazyLoad=false] - If true, gallery items show a poster card and only create their player when they near the viewport or are hovered / focused.
+ * @param {number} [props.maxLivePlayers=4] - In lazyLoad mode, the maximum number of players that exist at once.
+ * @param {Object} [props.playerPool] - A pool created with createPlayerPool, to share idle player instances with other components.
+ * @param {number} [props.maxIdlePlayers=4] - How many idle player instances the component's own pool keeps for the next searches.
+ * @param {string} [props.layout="row"] - The players gallery layout: row, grid, carousel, list or masonry.
+ * @param {string} [props.gridMinColumnWidth="240px"] - In grid and masonry layouts, the minimum width of a column.
+ * @param {number} [props.carouselItemsPerPage=3] - In carousel layout, how many players a page shows.
+ * @param {boolean} [props.keepActiveItemCentered=false] - If true, the playing player is scrolled to the center of the gallery rather than to its start.
+ * @param {boolean} [props.exclusivePlayback=false] - If true, playing a video (including from its player controls) pauses all the others.
+ * @param {boolean} [props.playThrough=false] - If true, the next cited segment plays when the playing one ends, highlighting its sentence as it goes.
+ * @param {boolean} [props.groupByEntry=false] - If true, the sentences citing the same entry share one player, seeking it to the segment they cite.
+ * @param {Function} [props.renderItem] - Renders the content of a gallery item, see PlayersGallery.
+ * @param {Function} [props.renderItemHeader] - Renders content above the player of a gallery item, see PlayersGallery.
+ * @param {Function} [props.renderItemFooter] - Renders content below the player of a gallery item, in place of its title, see PlayersGallery.
+ * @param {Function} [props.getPlayerProps] - (ref, index) => props overriding the defaults of a gallery item's Player.
+ * @param {string} [props.previewMode="player"] - player, or sprite / frames to show thumbnail previews that scrub through the segment on hover, and only create a player when one is played.
+ * @param {number} [props.previewFrameCount=10] - In preview mode, how many frames of the segment to scrub through.
+ * @param {boolean} [props.enableCollection=false] - If true, gallery items and sentences can be selected into a clip collection, shown in a tray with its exports.
+ * @param {string} [props.collectionStorageKey="react_kaltura_clip_collection"] - The localStorage key the clip collection persists under (across searches and reloads).
+ * @param {Function} [props.onCollectionChange] - Function to call when the user changes the clip collection, receives the clips.
+ * @param {string} [props.collectionShareBaseUrl] - The URL the collection share link points to, defaults to the current page.
+ * @param {Array<string>} [props.examplePrompts] - The example prompts of the hint shown before the first search.
+ * @param {function} [props.onExamplePromptClick] - Function to call when an example prompt is clicked, receives it. If passed, the example prompts are buttons.
+ * @param {boolean} [props.isGalleryCollapsed=false] - If true, the players gallery isn't rendered (its players are released), only the answer and its footnotes.
+ * @param {boolean} [props.showCollectionTray=true] - If false, the clip collection tray isn't rendered (the clips can still be selected), e.g. when another view shows it.
  * @param {string} [props.preLoad="auto"] - If true, the video players will start loading the video when rendering, if false, upon first play. Note: if you're hiding the video thumbnail in CSS, this is recommended to be true.
  * @param {number} [props.startingVolume=1] - The starting volume of the video players (range: 0-1).
  *
@@ -32,6 +138,8 @@ import "./SearchResultsWithGallery.css";
  * @state {number|null} highlightedIndex - The index of the currently highlighted sentence.
  * @state {boolean} isFetched - Indicates whether the data has been fetched.
  * @state {boolean} isHovering - Indicates whether the mouse is currently hovering over a sentence.
+ * @state {string|null} answerStream - streaming while a streamed answer is arriving, stopped if the user stopped it, otherwise null.
+ * @state {boolean} isCancelled - Indicates whether the last search was cancelled (or superseded by the parent).
  *
  * @example
  * ```jsx
@@ -51,6 +159,14 @@ import "./SearchResultsWithGallery.css";
  */
 const SearchResultsWithGallery = (props) => {
   const videoListRef = useRef();
+  // outlives the gallery (which unmounts while searching), so the players of a result set are reused by the next one
+  const playerPool = usePlayerPool(props.playerPool, props.maxIdlePlayers);
+  const searchCache = useSearchCache(props.searchCache, {
+    ttl: props.searchCacheTtl,
+    staleTtl: props.searchCacheStaleTtl,
+    maxEntries: props.searchCacheSize,
+    persist: props.persistSearchCache,
+  });
 
   const [data, setData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -59,6 +175,23 @@ const SearchResultsWithGallery = (props) => {
   const [isFetched, setIsFetched] = useState(false);
   const [footnotes, setFootnotes] = useState([]);
   const [isHovering, setIsHovering] = useState(false);
+  const [answerStream, setAnswerStream] = useState(null);
+  const [isCancelled, setIsCancelled] = useState(false);
+  // aborts the search in progress (null when there's none): superseded by a new search, cancelled or stopped generating
+  const abortControllerRef = useRef(null);
+  // aborts the background revalidation of stale cached results, superseded by a new search
+  const revalidationControllerRef = useRef(null);
+  // roving focus: the one sentence that is in the tab order, arrow keys move it
+  const [focusedSentenceIndex, setFocusedSentenceIndex] = useState(0);
+  const sentencesContainerRef = useRef(null);
+  // the pointer type of the last pointerenter / pointerdown, touch taps toggle playback instead of the (emulated) hover
+  const pointerTypeRef = useRef(null);
+  // the query of the displayed results, which the clips selected from them are saved with
+  const resultsQueryRef = useRef(props.searchQuery);
+  const collection = useClipCollection({
+    storageKey: props.collectionStorageKey,
+    onCollectionChange: props.onCollectionChange,
+  });
 
   /**
    * Effect hook for fetching search results when 'isSearching' prop changes to true
@@ -67,78 +200,204 @@ const SearchResultsWithGallery = (props) => {
     if (props.isSearching) {
       setIsFetched(false);
       fetchResults();
+    } else if (abortControllerRef.current) {
+      // the parent cancelled the search
+      cancelSearch();
     }
   }, [props.isSearching, props.searchQuery]);
 
+  /**
+   * Abort the search in progress on unmount
+   */
+  useEffect(
+    () => () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+      if (revalidationControllerRef.current) {
+        revalidationControllerRef.current.abort();
+      }
+    },
+    []
+  );
+
   /**
    * Perform a search API call, fetch the search results, and process the response
    */
   const fetchResults = () => {
+    resultsQueryRef.current = props.searchQuery;
+    setAnswerStream(null);
+    setIsCancelled(false);
+    // a new search supersedes the one in progress, so that a stale answer can't overwrite it
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    if (revalidationControllerRef.current) {
+      revalidationControllerRef.current.abort();
+      revalidationControllerRef.current = null;
+    }
+    const searchClient =
+      props.searchClient ||
+      createHttpSearchClient({
+        url: props.searchApiUrl,
+        bearerToken: props.searchApiBearerToken,
+        timeout: props.searchTimeout,
+        retries: props.searchRetries,
+      });
+    const searchContext = props.searchContext || {};
+    const cacheKey = searchClient.getCacheKey
+      ? searchClient.getCacheKey(props.searchQuery, searchContext)
+      : getSearchCacheKey(props.searchQuery, searchContext);
+    const cached = searchCache ? searchCache.get(cacheKey) : null;
+    if (cached) {
+      showResults(cached.data);
+      setIsLoading(false);
+      setError(null);
+      setIsFetched(true);
+      props.setIsSearching(false);
+      if (props.onResults) {
+        props.onResults(cached.data, props.searchQuery);
+      }
+      if (cached.isStale) {
+        revalidateResults(
+          searchClient,
+          cacheKey,
+          props.searchQuery,
+          searchContext
+        );
+      }
+      return;
+    }
+
     setData(null);
     setIsLoading(true);
-    fetch(
-      props.searchApiUrl && props.searchApiUrl !== ""
-        ? props.searchApiUrl
-        : "http://localhost/search",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: "Bearer " + props?.searchApiBearerToken,
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    searchClient
+      .search(props.searchQuery, {
+        signal: abortController.signal,
+        context: searchContext,
+        onUpdate: (partialData) => {
+          if (abortController.signal.aborted) return;
+          showResults(partialData);
+          setIsLoading(false);
+          setAnswerStream("streaming");
         },
-        body: JSON.stringify({
-          searchquery: props.searchQuery,
-          index: "Virtually_Live_2022",
-        }),
-      }
-    )
-      .then((response) => {
-        if (response.ok) {
-          return response.json();
-        } else {
-          throw new Error("Something went wrong ...");
-        }
       })
       .then((data) => {
-        const thumbnailRefs = [];
-        data.ref = data.ref.map((ref) => {
-          thumbnailRefs.push(React.createRef());
-          ref.entry_thumbnail = `${props.kalturaServiceUrl}/p/${props.partnerId}/thumbnail/entry_id/${ref.entry_id}/vid_sec/${ref.time}`;
-          ref.uniqueGuiId = uuidv4();
-          return ref;
-        });
-        setFootnotes(
-          data.ref.map((ref) => {
-              let dateObj = new Date(parseInt(ref.time) * 1000);
-              let hours = parseInt(dateObj.getUTCHours());
-              let minutes = parseInt(dateObj.getUTCMinutes());
-              let seconds = parseInt(dateObj.getSeconds());
-              let timeString = 
-                  (hours > 0 ? hours.toString().padStart(2, '0') + ':' : '') + 
-                  (minutes > 0 ? minutes.toString().padStart(2, '0') + ':' : '') + 
-                  ((hours + minutes > 0) ? seconds.toString().padStart(2, '0') : seconds + 'sec');
-              return `Source Video: ${ref.entry_id}, at time: ${timeString}: "${ref.video_transcript_segment}"`;
-          })
-        );      
-        setData(data);
+        // a custom search client may resolve without honoring the abort
+        if (abortController.signal.aborted) return;
+        abortControllerRef.current = null;
+        if (searchCache) {
+          searchCache.set(cacheKey, data, props.searchQuery);
+        }
+        showResults(data);
         setIsLoading(false);
+        setAnswerStream(null);
         setError(null);
         setIsFetched(true);
         props.setIsSearching(false);
+        if (props.onResults) {
+          props.onResults(data, props.searchQuery);
+        }
       })
       .catch((error) => {
+        if (abortController.signal.aborted) return; // superseded or cancelled, the answer so far (if any) stays
+        abortControllerRef.current = null;
         setError(error);
         setIsLoading(false);
+        setAnswerStream(null);
         props.setIsSearching(false);
       });
   };
 
+  /**
+   * Refresh stale cached results in the background (without the loading state, or streaming), and show the fresh ones
+   */
+  const revalidateResults = (searchClient, cacheKey, query, context) => {
+    const revalidationController = new AbortController();
+    revalidationControllerRef.current = revalidationController;
+    searchClient
+      .search(query, { signal: revalidationController.signal, context })
+      .then((data) => {
+        if (revalidationController.signal.aborted) return;
+        revalidationControllerRef.current = null;
+        searchCache.set(cacheKey, data, query);
+        showResults(data);
+        if (props.onResults) {
+          props.onResults(data, query);
+        }
+      })
+      .catch(() => {
+        // the stale results stay
+      });
+  };
+
+  /**
+   * Process the refs of a (complete, partially streamed or cached) search response, and show it
+   */
+  const showResults = (data) => {
+    // ids of the cited segments, counting the segments cited more than once
+    const segmentIdCounts = {};
+    data.ref = data.ref.map((ref) => {
+      ref.entry_thumbnail = getEntryThumbnailUrl({
+        kalturaServiceUrl: props.kalturaServiceUrl,
+        partnerId: props.partnerId,
+        entryId: ref.entry_id,
+        time: ref.time,
+      });
+      // derived from the cited segment (rather than random, or its position), so that showing the same results again,
+      // from the cache or revalidated, never remounts their players
+      const segmentId = `${ref.entry_id}_${Math.round((ref.time || 0) * 1000)}`;
+      segmentIdCounts[segmentId] = (segmentIdCounts[segmentId] || 0) + 1;
+      ref.uniqueGuiId =
+        segmentIdCounts[segmentId] > 1
+          ? `${segmentId}_${segmentIdCounts[segmentId]}`
+          : segmentId;
+      return ref;
+    });
+    setFootnotes(
+      data.ref.map((ref) => {
+        let timeString = formatFootnoteTime(ref.time);
+        if (ref.end !== undefined && ref.end !== null) {
+          timeString += ` - ${formatFootnoteTime(ref.end)}`;
+        }
+        return `Source Video: ${ref.entry_id}, at time: ${timeString}: "${ref.video_transcript_segment}"`;
+      })
+    );
+    setData(data);
+  };
+
+  /**
+   * Abort the search in progress, keeping the part of a streamed answer that arrived
+   */
+  const cancelSearch = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    setIsCancelled(true);
+    setIsLoading(false);
+    setAnswerStream((stream) => (stream === "streaming" ? "stopped" : stream));
+  };
+
+  /**
+   * Stop generating a streamed answer, keeping the part that arrived
+   */
+  const stopGenerating = () => {
+    cancelSearch();
+    setIsFetched(true);
+    props.setIsSearching(false);
+  };
+
   /**
    * when a specific sentence is hovered, or when the respective video correlated to this sentence is hovered, highlight the sentence
    */
   const highlightSentence = (index) => {
     setHighlightedIndex(index);
-    if (data && data.ref && data.ref[index]) {
+    // no gallery while it's collapsed
+    if (videoListRef.current && data && data.ref && data.ref[index]) {
       videoListRef.current.playKalturaPlayerByUniqueId(
         data.ref[index].uniqueGuiId,
         data.ref[index].time
@@ -151,6 +410,7 @@ const SearchResultsWithGallery = (props) => {
    */
   const removeHighlight = () => {
     if (
+      videoListRef.current &&
       highlightedIndex !== null &&
       data &&
       data.ref &&
@@ -167,6 +427,7 @@ const SearchResultsWithGallery = (props) => {
    * when a specific sentence was hovered on
    */
   const onMouseEnter = (index) => {
+    if (pointerTypeRef.current === "touch") return; // emulated after a tap, handled by onSentenceClick
     setIsHovering(true);
     highlightSentence(index);
   };
@@ -175,20 +436,111 @@ const SearchResultsWithGallery = (props) => {
    * when the mouse leaves the currently hovered sentence
    */
   const onMouseLeave = () => {
+    if (pointerTypeRef.current === "touch") return; // emulated after a tap, handled by onSentenceClick
     setIsHovering(false);
     if (highlightedIndex !== null) {
       removeHighlight();
     }
   };
 
+  /**
+   * play the segment cited by a sentence, or pause it if it's the highlighted one (keyboard and touch, in place of hover)
+   */
+  const toggleSentence = (index) => {
+    if (index === highlightedIndex) {
+      removeHighlight();
+    } else {
+      removeHighlight();
+      highlightSentence(index);
+    }
+  };
+
+  /**
+   * arrow keys (and Home / End) move the focus between sentences, Enter / Space play and pause the cited segment
+   */
+  const onSentenceKeyDown = (event, index) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      toggleSentence(index);
+      return;
+    }
+    const nextIndex = getRovingFocusIndex(event.key, index, data.ref.length);
+    if (nextIndex === null) return;
+    event.preventDefault();
+    setFocusedSentenceIndex(nextIndex);
+    const sentences = sentencesContainerRef.current.querySelectorAll(
+      "[data-sentence-index]"
+    );
+    if (sentences[nextIndex]) {
+      sentences[nextIndex].focus();
+    }
+  };
+
+  /**
+   * remember the pointer type, so that taps (and the mouse events browsers emulate after them) aren't treated as hovers
+   */
+  const onPointerType = (event) => {
+    pointerTypeRef.current = event.pointerType;
+  };
+
+  /**
+   * tap to play / pause the cited segment on touch devices, in place of hover
+   */
+  const onSentenceClick = (index) => {
+    if (pointerTypeRef.current === "touch") {
+      toggleSentence(index);
+    }
+  };
+
+  const getSentenceId = (index) =>
+    `${props.playerIdTemplate}_sentence_${index}`;
+  const getFootnoteId = (index) =>
+    `${props.playerIdTemplate}_footnote_${index}`;
+
+  /**
+   * the indexes of the other sentences citing the same entry, which share its player in groupByEntry mode
+   */
+  const getSameEntryIndexes = (index) =>
+    data.ref
+      .map((ref, i) => i)
+      .filter(
+        (i) =>
+          i !== index &&
+          data.ref[i].entry_id &&
+          data.ref[i].entry_id === data.ref[index].entry_id
+      );
+
+  /**
+   * add the segment cited by a ref to the clip collection, or remove it
+   */
+  const onClipSelectChange = (ref, selected) =>
+    collection.toggleClip(ref, resultsQueryRef.current, selected);
+
+  /**
+   * the clip collection tray, it stays while searching so the collection persists across searches
+   */
+  const collectionTray = props.enableCollection && props.showCollectionTray && (
+    <ClipCollection
+      clips={collection.clips}
+      onRemove={collection.removeClip}
+      onClear={collection.clearClips}
+      kalturaServiceUrl={props.kalturaServiceUrl}
+      partnerId={props.partnerId}
+      shareBaseUrl={props.collectionShareBaseUrl}
+    />
+  );
+
   /**
    * when a search is executed and we're waiting for response, present a loading message
    */
   if (isLoading) {
     return (
-      <div className="react_kaltura_search_results_msg_loading react_kaltura_search_results_msg">
-        Loading...
-      </div>
+      <React.Fragment>
+        <div className="react_kaltura_search_results_msg_loading react_kaltura_search_results_msg">
+          Loading...
+        </div>
+        {collectionTray}
+      </React.Fragment>
     );
   }
 
@@ -197,9 +549,26 @@ const SearchResultsWithGallery = (props) => {
    */
   if (error) {
     return (
-      <div className="react_kaltura_search_results_msg_error react_kaltura_search_results_msg">
-        Error: {error.message}
-      </div>
+      <React.Fragment>
+        <div className="react_kaltura_search_results_msg_error react_kaltura_search_results_msg">
+          Error: {error.message}
+        </div>
+        {collectionTray}
+      </React.Fragment>
+    );
+  }
+
+  /**
+   * when a search was cancelled before any of its answer arrived, say so
+   */
+  if (!data && isCancelled) {
+    return (
+      <React.Fragment>
+        <div className="react_kaltura_search_results_msg react_kaltura_search_results_msg_cancelled">
+          The search was cancelled.
+        </div>
+        {collectionTray}
+      </React.Fragment>
     );
   }
 
@@ -208,13 +577,37 @@ const SearchResultsWithGallery = (props) => {
    */
   if (!data) {
     return (
-      <div className="react_kaltura_search_results_msg react_kaltura_search_results_msg_hint">
-        Ask a question. For example: What are the key topics discussed across
-        all videos?
-      </div>
+      <React.Fragment>
+        <div className="react_kaltura_search_results_msg react_kaltura_search_results_msg_hint">
+          Ask a question.
+          {props.examplePrompts.length > 0 && " For example:"}
+          {props.onExamplePromptClick ? (
+            <ul className="react_kaltura_search_results_example_prompts">
+              {props.examplePrompts.map((prompt) => (
+                <li key={prompt}>
+                  <button
+                    className="react_kaltura_search_results_example_prompt"
+                    onClick={() => props.onExamplePromptClick(prompt)}
+                  >
+                    {prompt}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            props.examplePrompts.map((prompt) => " " + prompt).join("")
+          )}
+        </div>
+        {collectionTray}
+      </React.Fragment>
     );
   }
 
+  // in groupByEntry mode, the gallery item of each sentence's ref, grouped the way the gallery groups the refs it renders
+  const entryGroupItemIds = props.groupByEntry
+    ? getEntryGroupItemIds(getGalleryRefs(data?.ref || []))
+    : null;
+
   /**
    * Render the search results view.
    */
@@ -223,51 +616,157 @@ const SearchResultsWithGallery = (props) => {
       className="react_kaltura_search_results_container"
       onMouseLeave={() => onMouseLeave()}
     >
-      <PlayersGallery
-        ref={videoListRef}
-        data={data}
-        playerIdTemplate={`${props.playerIdTemplate}`}
-        autoPlay={props.startInAutoPlay}
-        kalturaServiceUrl={props.kalturaServiceUrl}
-        partnerId={props.partnerId}
-        uiConfId={props.uiConfId}
-        preLoad={props.preLoad}
-        startingVolume={props.startingVolume}
-        ks={props.ks}
-        shouldPlayOnHover={props.shouldPlayOnHover}
-        onHover={highlightSentence}
-      />
-      <div className="react_kaltura_search_results_sentences_container">
+      {!props.isGalleryCollapsed && (
+        <PlayersGallery
+          ref={videoListRef}
+          data={data}
+          playerIdTemplate={`${props.playerIdTemplate}`}
+          autoPlay={props.startInAutoPlay}
+          kalturaServiceUrl={props.kalturaServiceUrl}
+          partnerId={props.partnerId}
+          uiConfId={props.uiConfId}
+          preLoad={props.preLoad}
+          startingVolume={props.startingVolume}
+          ks={props.ks}
+          ksProvider={props.ksProvider}
+          onKsExpired={props.onKsExpired}
+          shouldPlayOnHover={props.shouldPlayOnHover}
+          lazyLoad={props.lazyLoad}
+          maxLivePlayers={props.maxLivePlayers}
+          playerPool={playerPool}
+          layout={props.layout}
+          gridMinColumnWidth={props.gridMinColumnWidth}
+          carouselItemsPerPage={props.carouselItemsPerPage}
+          keepActiveItemCentered={props.keepActiveItemCentered}
+          itemAriaDescribedBy={(ref) => {
+            const index = data.ref.findIndex((r) => r === ref);
+            return [
+              index,
+              ...(props.groupByEntry ? getSameEntryIndexes(index) : []),
+            ]
+              .map(getSentenceId)
+              .join(" ");
+          }}
+          exclusivePlayback={props.exclusivePlayback}
+          playThrough={props.playThrough}
+          groupByEntry={props.groupByEntry}
+          renderItem={props.renderItem}
+          renderItemHeader={props.renderItemHeader}
+          renderItemFooter={props.renderItemFooter}
+          getPlayerProps={props.getPlayerProps}
+          previewMode={props.previewMode}
+          previewFrameCount={props.previewFrameCount}
+          isItemSelected={
+            props.enableCollection ? collection.isClipSelected : null
+          }
+          onItemSelectChange={
+            props.enableCollection ? onClipSelectChange : null
+          }
+          onActiveItemChange={setHighlightedIndex}
+          onHover={highlightSentence}
+        />
+      )}
+      <div
+        className="react_kaltura_search_results_sentences_container"
+        ref={sentencesContainerRef}
+        role="group"
+        aria-label="Answer"
+        aria-busy={answerStream === "streaming"}
+      >
         {(data?.ref || []).map((refObj, index) => (
-          <div
-            key={index}
-            className={
-              index === highlightedIndex
-                ? "react_kaltura_search_results_sentence_highlighted"
-                : "react_kaltura_search_results_sentence"
-            }
-            onMouseEnter={() => onMouseEnter(index)}
-            onMouseLeave={() => onMouseLeave()}
-          >
-            <span className="react_kaltura_search_results_sentence_clear">
-              {refObj.sentence_from_model_answer
-                .split("\n")
-                .map((text, i) =>
-                  i > 0 ? <React.Fragment key={i}>{text}</React.Fragment> : text
-                )}
-              <sup
-                onMouseEnter={() => setHighlightedIndex(index)}
-                onMouseLeave={() => setHighlightedIndex(null)}
-              >
-                [{index + 1}]
-              </sup>
+          <React.Fragment key={index}>
+            {props.enableCollection && refObj.entry_id && (
+              <label className="react_kaltura_search_results_sentence_select">
+                <input
+                  type="checkbox"
+                  checked={collection.isClipSelected(refObj)}
+                  onChange={(event) =>
+                    onClipSelectChange(refObj, event.target.checked)
+                  }
+                  aria-label={`Select the clip cited by [${index + 1}]`}
+                />
+              </label>
+            )}
+            <div
+              id={getSentenceId(index)}
+              className={
+                index === highlightedIndex
+                  ? "react_kaltura_search_results_sentence_highlighted"
+                  : "react_kaltura_search_results_sentence"
+              }
+              role="button"
+              tabIndex={
+                index === Math.min(focusedSentenceIndex, data.ref.length - 1)
+                  ? 0
+                  : -1
+              }
+              aria-pressed={index === highlightedIndex}
+              aria-controls={
+                refObj.entry_id && !props.isGalleryCollapsed
+                  ? getGalleryItemId(
+                      props.playerIdTemplate,
+                      props.groupByEntry
+                        ? entryGroupItemIds[refObj.uniqueGuiId]
+                        : refObj.uniqueGuiId
+                    )
+                  : undefined
+              }
+              aria-describedby={getFootnoteId(index)}
+              data-sentence-index={index}
+              onMouseEnter={() => onMouseEnter(index)}
+              onMouseLeave={() => onMouseLeave()}
+              onPointerEnter={onPointerType}
+              onPointerDown={onPointerType}
+              onClick={() => onSentenceClick(index)}
+              onKeyDown={(event) => onSentenceKeyDown(event, index)}
+              onFocus={() => setFocusedSentenceIndex(index)}
+            >
+              <span className="react_kaltura_search_results_sentence_clear">
+                {refObj.sentence_from_model_answer
+                  .split("\n")
+                  .map((text, i) =>
+                    i > 0 ? (
+                      <React.Fragment key={i}>{text}</React.Fragment>
+                    ) : (
+                      text
+                    )
+                  )}
+                <sup
+                  onMouseEnter={() => setHighlightedIndex(index)}
+                  onMouseLeave={() => setHighlightedIndex(null)}
+                >
+                  [{index + 1}]
+                </sup>
+              </span>
+            </div>
+          </React.Fragment>
+        ))}
+        {answerStream !== null && getUncitedAnswerText(data) !== "" && (
+          <div className="react_kaltura_search_results_sentence_pending">
+            {getUncitedAnswerText(data)}
+          </div>
+        )}
+        {answerStream === "streaming" && (
+          <div className="react_kaltura_search_results_streaming">
+            <span
+              className="react_kaltura_search_results_typing_indicator"
+              aria-hidden="true"
+            >
+              ...
             </span>
+            <button
+              className="react_kaltura_search_results_stop"
+              onClick={stopGenerating}
+            >
+              Stop generating
+            </button>
           </div>
-        ))}
+        )}
         <div className="react_kaltura_search_results_footnotes_container">
           {footnotes.map((footnote, index) => (
             <div
               key={index}
+              id={getFootnoteId(index)}
               className={
                 index === highlightedIndex
                   ? "react_kaltura_search_results_footnote_highlighted"
@@ -275,38 +774,136 @@ const SearchResultsWithGallery = (props) => {
               }
             >
               <sup>[{index + 1}]</sup> {footnote}
+              {props.groupByEntry && getSameEntryIndexes(index).length > 0 && (
+                <span className="react_kaltura_search_results_footnote_group">
+                  {" "}
+                  (same video as{" "}
+                  {getSameEntryIndexes(index)
+                    .map((i) => `[${i + 1}]`)
+                    .join(", ")}
+                  )
+                </span>
+              )}
             </div>
           ))}
         </div>
       </div>
+      {collectionTray}
     </div>
   );
 };
 
 SearchResultsWithGallery.propTypes = {
   searchQuery: PropTypes.string.isRequired, // what text should be searched in Kaltura using the AI search API?
-  isSearching: PropTypes.bool.isRequired, // if true will start fetching new data, if false will not render the results yet
+  isSearching: PropTypes.bool.isRequired, // if true will start fetching new data, if false will not render the results yet. setting it back to false while searching cancels the search
   setIsSearching: PropTypes.func, // Function to set isSearching state in parent component
   searchApiUrl: PropTypes.string, // the URL to use for making the search API call, defaults to: http://localhost/search_api_mock.json
+  searchClient: PropTypes.shape({
+    // the search client, e.g. from createHttpSearchClient (an HTTP client of searchApiUrl and searchApiBearerToken is used otherwise)
+    search: PropTypes.func.isRequired, // (query, {onUpdate, signal, context}) => Promise resolving with {model_answer, ref[]}, streaming clients call onUpdate with the response so far
+    getCacheKey: PropTypes.func, // (query, context) => the cache key of a search, defaults to getSearchCacheKey
+  }),
+  searchContext: PropTypes.object, // what the search client sends along with the query, e.g. {conversationId} or {history: [{question, answer}]} for a follow-up question (part of the cache key)
+  onResults: PropTypes.func, // function to call with the results of a search (once complete, cached or revalidated) and its query
+  searchCache: PropTypes.shape({
+    // a cache created with createSearchCache, to share with other components or invalidate / clear from outside (a cache of its own is used otherwise)
+    get: PropTypes.func.isRequired,
+    set: PropTypes.func.isRequired,
+    invalidate: PropTypes.func.isRequired,
+    clear: PropTypes.func.isRequired,
+  }),
+  searchCacheTtl: PropTypes.number, // how long (ms) the component's own cache serves a response without calling the search API, 0 to not cache
+  searchCacheStaleTtl: PropTypes.number, // how long (ms) past its TTL the component's own cache serves a response, while revalidating it in the background
+  searchCacheSize: PropTypes.number, // how many responses the component's own cache keeps (the least recently used are dropped)
+  persistSearchCache: PropTypes.bool, // should the component's own cache be kept in sessionStorage too (e.g. for navigating back to a search)?
+  searchTimeout: PropTypes.number, // how long (ms) the default search client waits for a response (or the next chunk of a streamed one) before retrying or failing, 0 to wait indefinitely
+  searchRetries: PropTypes.number, // how many times the default search client retries on 5xx / 429 responses (honoring Retry-After), network errors and timeouts, with an exponential backoff
   kalturaServiceUrl: PropTypes.string, // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
   partnerId: PropTypes.number.isRequired, // or string, based on the actual data type
   uiConfId: PropTypes.number.isRequired, // or string, based on the actual data type
-  ks: PropTypes.string.isRequired, // the Kaltura Session to pass when rendering the Kaltura Video Players
+  ks: PropTypes.string, // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider: PropTypes.func, // async function returning a KS (or {ks, expiry} with expiry as a unix timestamp in seconds), called on start, before the KS expires and after KS errors. pass a stable function
+  onKsExpired: PropTypes.func, // function to call when a KS related error (e.g. an expired KS) was detected in one of the players, or ksProvider failed (it's retried with a backoff)
   playerIdTemplate: PropTypes.string, // PlayersGallery will use this naming conversion to create player nodes: {playerIdTemplate}_{i} i being incrementing integer starting 0
   startInAutoPlay: PropTypes.bool, // should video players start with autoPlay?
   shouldPlayOnHover: PropTypes.bool, // should the video players play when the user hover over them and pause when the user mouse leaves the boundaries of the player?
   preLoad: PropTypes.string, // should the video players start loading the video when rendering (true) or upon first play (false)? Note: if you're hiding the video thumbnail in CSS this is recommended to be true.
   startingVolume: PropTypes.number, // what should be the volume the video players will start with (0-1)
+  lazyLoad: PropTypes.bool, // should gallery items show a poster card, and only create their player when they near the viewport or are hovered / focused?
+  maxLivePlayers: PropTypes.number, // in lazyLoad mode, the maximum number of players that exist at once (the least recently activated are destroyed first)
+  playerPool: PropTypes.shape({
+    // a pool created with createPlayerPool, to share idle player instances with other components (a pool of its own is used otherwise)
+    acquire: PropTypes.func.isRequired,
+    release: PropTypes.func.isRequired,
+    getStats: PropTypes.func.isRequired,
+  }),
+  maxIdlePlayers: PropTypes.number, // how many idle player instances the component's own pool keeps for the next searches (ignored when playerPool is passed)
+  layout: PropTypes.oneOf(["row", "grid", "carousel", "list", "masonry"]), // how to lay out the players gallery: row (a horizontal strip), grid (responsive columns), carousel (pages with prev / next controls and dots), list (vertical) or masonry
+  gridMinColumnWidth: PropTypes.string, // in grid and masonry layouts, the minimum width of a column, the number of columns follows the gallery width
+  carouselItemsPerPage: PropTypes.number, // in carousel layout, how many players a page shows
+  keepActiveItemCentered: PropTypes.bool, // should the playing player be scrolled to the center of the gallery rather than to its start?
+  exclusivePlayback: PropTypes.bool, // should playing a video (including from its player controls) pause all the others?
+  playThrough: PropTypes.bool, // should the next cited segment play when the playing one ends, highlighting its sentence as it goes?
+  groupByEntry: PropTypes.bool, // should the sentences citing the same entry share one player, with a marker on its seek bar for each cited segment?
+  renderItem: PropTypes.func, // renders the content of a gallery item (in place of its player and title), see PlayersGallery
+  renderItemHeader: PropTypes.func, // renders content above the player of a gallery item, see PlayersGallery
+  renderItemFooter: PropTypes.func, // renders content below the player of a gallery item, in place of its title, see PlayersGallery
+  getPlayerProps: PropTypes.func, // (ref, index) => props overriding the defaults of a gallery item's Player
+  previewMode: PropTypes.oneOf(["player", "sprite", "frames"]), // player, or thumbnail previews scrubbing through the segment on hover (from a sprite or one thumbnail per frame), only creating a player when one is played
+  previewFrameCount: PropTypes.number, // in preview mode, how many frames of the segment to scrub through
+  enableCollection: PropTypes.bool, // can gallery items and sentences be selected into a clip collection, shown in a tray with its exports (JSON, M3U, Kaltura playlist, share link)?
+  collectionStorageKey: PropTypes.string, // the localStorage key the clip collection persists under (across searches and reloads)
+  onCollectionChange: PropTypes.func, // function to call when the user changes the clip collection, receives the clips
+  collectionShareBaseUrl: PropTypes.string, // the URL the collection share link points to, defaults to the current page
+  examplePrompts: PropTypes.arrayOf(PropTypes.string), // the example prompts of the hint shown before the first search
+  onExamplePromptClick: PropTypes.func, // function to call when an example prompt is clicked (e.g. to search it), receives it. if passed, the example prompts are buttons
+  isGalleryCollapsed: PropTypes.bool, // should the players gallery be left out (releasing its players), showing only the answer and its footnotes?
+  showCollectionTray: PropTypes.bool, // should the clip collection tray be rendered? (the clips can still be selected, e.g. when another view shows the tray)
 };
 
 SearchResultsWithGallery.defaultProps = {
   playerIdTemplate: "kaltura_player",
   kalturaServiceUrl: "https://cdnapi-ev.kaltura.com",
   searchApiUrl: "http://localhost/search_api_mock.json",
+  searchClient: null,
+  searchContext: null,
+  onResults: null,
+  searchCache: null,
+  searchCacheTtl: DEFAULT_SEARCH_CACHE_TTL,
+  searchCacheStaleTtl: DEFAULT_SEARCH_CACHE_STALE_TTL,
+  searchCacheSize: DEFAULT_SEARCH_CACHE_SIZE,
+  persistSearchCache: false,
+  searchTimeout: DEFAULT_SEARCH_TIMEOUT,
+  searchRetries: DEFAULT_SEARCH_RETRIES,
   startInAutoPlay: false,
   shouldPlayOnHover: true,
   preLoad: "auto",
   startingVolume: 1,
+  lazyLoad: false,
+  maxLivePlayers: 4,
+  playerPool: null,
+  maxIdlePlayers: DEFAULT_MAX_IDLE_PLAYERS,
+  layout: "row",
+  gridMinColumnWidth: "240px",
+  carouselItemsPerPage: 3,
+  keepActiveItemCentered: false,
+  exclusivePlayback: false,
+  playThrough: false,
+  groupByEntry: false,
+  renderItem: null,
+  renderItemHeader: null,
+  renderItemFooter: null,
+  getPlayerProps: null,
+  previewMode: "player",
+  previewFrameCount: 10,
+  enableCollection: false,
+  collectionStorageKey: DEFAULT_CLIP_COLLECTION_STORAGE_KEY,
+  onCollectionChange: null,
+  collectionShareBaseUrl: null,
+  examplePrompts: DEFAULT_EXAMPLE_PROMPTS,
+  onExamplePromptClick: null,
+  isGalleryCollapsed: false,
+  showCollectionTray: true,
 };
 
 export default SearchResultsWithGallery;
@@ -0,0 +1,117 @@
+import React from "react";
+import PropTypes from "prop-types";
+import "./SearchSuggestions.css";
+
+/**
+ * Get the DOM id of an option of a suggestions list, e.g. for the aria-activedescendant of the input it completes.
+ *
+ * @param {string} listId - The id of the list.
+ * @param {number} index - The index of the option.
+ * @returns {string}
+ */
+export const getSuggestionOptionId = (listId, index) =>
+  `${listId}_option_${index}`;
+
+/**
+ * @component
+ * @name SearchSuggestions
+ * @description A dropdown list (listbox) of search suggestions for a search input (combobox): the recent searches,
+ * which can be removed one by one or cleared, and suggested queries. The input keeps the focus and the keyboard navigation,
+ * the list shows the active option.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.id - The DOM id of the list, for the aria-controls of the input.
+ * @param {Array<{query: string, isRecent: boolean}>} props.items - The suggestions, recent searches or suggested queries.
+ * @param {number} [props.activeIndex=-1] - The index of the active (keyboard navigated) suggestion, -1 for none.
+ * @param {function} props.onSelect - Function to call when a suggestion is picked, receives its query.
+ * @param {function} [props.onRemove] - Function to call when a recent search is removed, receives its query.
+ * @param {function} [props.onClear] - Function to call when the recent searches are cleared.
+ *
+ * @returns {JSX.Element} A rendered SearchSuggestions component.
+ */
+const SearchSuggestions = (props) => {
+  const hasRecent = props.items.some((item) => item.isRecent);
+
+  return (
+    <div
+      className="react_kaltura_search_suggestions"
+      // keep the focus (and the open list) in the input when the list is clicked
+      onMouseDown={(event) => event.preventDefault()}
+    >
+      <ul
+        id={props.id}
+        className="react_kaltura_search_suggestions_list"
+        role="listbox"
+        aria-label="Search suggestions"
+      >
+        {props.items.map((item, index) => (
+          <li
+            key={`${item.isRecent ? "recent" : "suggestion"}_${item.query}`}
+            id={getSuggestionOptionId(props.id, index)}
+            className={[
+              item.isRecent
+                ? "react_kaltura_search_suggestions_recent"
+                : "react_kaltura_search_suggestions_suggestion",
+              index === props.activeIndex
+                ? "react_kaltura_search_suggestions_active"
+                : "",
+            ]
+              .filter(Boolean)
+              .join(" ")}
+            role="option"
+            aria-selected={index === props.activeIndex}
+            onClick={() => props.onSelect(item.query)}
+          >
+            <span className="react_kaltura_search_suggestions_query">
+              {item.query}
+            </span>
+            {item.isRecent && props.onRemove && (
+              <button
+                className="react_kaltura_search_suggestions_remove"
+                tabIndex={-1}
+                aria-label={`Remove "${item.query}" from the recent searches`}
+                onClick={(event) => {
+                  event.stopPropagation();
+                  props.onRemove(item.query);
+                }}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {hasRecent && props.onClear && (
+        <button
+          className="react_kaltura_search_suggestions_clear"
+          tabIndex={-1}
+          onClick={props.onClear}
+        >
+          Clear recent searches
+        </button>
+      )}
+    </div>
+  );
+};
+
+SearchSuggestions.propTypes = {
+  id: PropTypes.string.isRequired, // the DOM id of the list, for the aria-controls of the input
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      query: PropTypes.string.isRequired, // the suggested query
+      isRecent: PropTypes.bool, // is it a recent search (rather than a suggested query)?
+    })
+  ).isRequired, // the suggestions, recent searches first
+  activeIndex: PropTypes.number, // the index of the active (keyboard navigated) suggestion, -1 for none
+  onSelect: PropTypes.func.isRequired, // function to call when a suggestion is picked, receives its query
+  onRemove: PropTypes.func, // function to call when a recent search is removed, receives its query
+  onClear: PropTypes.func, // function to call when the recent searches are cleared
+};
+
+SearchSuggestions.defaultProps = {
+  activeIndex: -1,
+  onRemove: null,
+  onClear: null,
+};
+
+export default SearchSuggestions;
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { DEFAULT_KALTURA_URL } from "../utils/kalturaPlayerLoader";
+import {
+  getEntryThumbnailUrl,
+  getEntryThumbnailSpriteUrl,
+  getPreviewFrameTimes,
+} from "../utils/thumbnails";
+import "./ThumbnailPreview.css";
+
+// how long (seconds) the previewed range is when no endTime is passed
+export const DEFAULT_PREVIEW_RANGE = 20;
+
+/**
+ * @component
+ * @name ThumbnailPreview
+ * @description A lightweight preview of an entry segment, built from the Kaltura thumbnail API instead of a video player.
+ * Shows the frame at startTime, and scrubs through frames of the segment as the mouse moves across it.
+ * The frames come from a single sprite image (sprite mode) or one thumbnail per frame (frames mode), loaded on the first hover.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.entryId - The id of the KalturaEntry to preview.
+ * @param {number} props.partnerId - The Kaltura account id (KMC>Integration Settings>Partner ID).
+ * @param {string} [props.kalturaServiceUrl="https://cdnapi-ev.kaltura.com"] - The URL to access the Kaltura service on.
+ * @param {number} [props.startTime=0] - The start of the previewed segment, in seconds.
+ * @param {number} [props.endTime] - The end of the previewed segment, in seconds, defaults to startTime + DEFAULT_PREVIEW_RANGE.
+ * @param {number} [props.frameCount=10] - How many frames to scrub through.
+ * @param {string} [props.mode="sprite"] - sprite (one image with all the frames) or frames (one image per frame).
+ * @param {number} [props.thumbnailWidth=320] - The width of the frames in pixels.
+ * @param {string} [props.ariaLabel] - The accessible name of the preview, e.g. what clicking it plays.
+ * @param {function} [props.onClick] - Function to call when the preview is clicked, e.g. to replace it with a Player.
+ *
+ * @example
+ * ```jsx
+ * <ThumbnailPreview entryId="1_abcd1234" partnerId={123456} startTime={30} endTime={45} onClick={() => setShowPlayer(true)} />
+ * ```
+ *
+ * @returns {JSX.Element} A rendered ThumbnailPreview component.
+ */
+const ThumbnailPreview = (props) => {
+  // the frames are only loaded once the preview is hovered, until then it shows a single thumbnail
+  const [isScrubbing, setIsScrubbing] = useState(false);
+  const [frameIndex, setFrameIndex] = useState(0);
+
+  const startTime = props.startTime || 0;
+  const endTime =
+    props.endTime !== null && props.endTime !== undefined
+      ? props.endTime
+      : startTime + DEFAULT_PREVIEW_RANGE;
+  const thumbnailOptions = {
+    kalturaServiceUrl: props.kalturaServiceUrl,
+    partnerId: props.partnerId,
+    entryId: props.entryId,
+    width: props.thumbnailWidth,
+  };
+  const frameUrls =
+    props.mode === "frames"
+      ? getPreviewFrameTimes(startTime, endTime, props.frameCount).map((time) =>
+          getEntryThumbnailUrl({ ...thumbnailOptions, time })
+        )
+      : [];
+
+  /**
+   * Preload the frames (frames mode) on the first hover, so that scrubbing doesn't wait for each of them.
+   */
+  useEffect(() => {
+    if (isScrubbing && typeof Image !== "undefined") {
+      frameUrls.forEach((url) => {
+        new Image().src = url;
+      });
+    }
+  }, [isScrubbing, frameUrls.join(" ")]);
+
+  /**
+   * Show the frame under the mouse: the frames are laid out evenly across the width of the preview.
+   * @param {MouseEvent} event - The mouse move event
+   */
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const position =
+      rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+    setIsScrubbing(true);
+    setFrameIndex(
+      Math.max(
+        0,
+        Math.min(props.frameCount - 1, Math.floor(position * props.frameCount))
+      )
+    );
+  };
+
+  let frame;
+  if (!isScrubbing) {
+    frame = (
+      <img
+        className="react_kaltura_thumbnail_preview_frame"
+        src={getEntryThumbnailUrl({ ...thumbnailOptions, time: startTime })}
+        alt=""
+        style={{ width: "100%", height: "100%", objectFit: "cover" }}
+      />
+    );
+  } else if (props.mode === "frames") {
+    frame = (
+      <img
+        className="react_kaltura_thumbnail_preview_frame"
+        src={frameUrls[frameIndex]}
+        alt=""
+        style={{ width: "100%", height: "100%", objectFit: "cover" }}
+      />
+    );
+  } else {
+    frame = (
+      <div
+        className="react_kaltura_thumbnail_preview_frame"
+        style={{
+          width: "100%",
+          height: "100%",
+          backgroundImage: `url("${getEntryThumbnailSpriteUrl({
+            ...thumbnailOptions,
+            startTime,
+            endTime,
+            frameCount: props.frameCount,
+          })}")`,
+          backgroundSize: `${props.frameCount * 100}% 100%`,
+          backgroundPosition: `${
+            props.frameCount > 1
+              ? (frameIndex / (props.frameCount - 1)) * 100
+              : 0
+          }% 0`,
+        }}
+      />
+    );
+  }
+
+  return (
+    <button
+      className="react_kaltura_thumbnail_preview"
+      style={{
+        position: "relative",
+        width: "100%",
+        height: "100%",
+        padding: 0,
+        border: 0,
+        overflow: "hidden",
+      }}
+      aria-label={props.ariaLabel}
+      onClick={props.onClick}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setFrameIndex(0)}
+    >
+      {frame}
+      <div
+        className="react_kaltura_thumbnail_preview_progress"
+        style={{
+          position: "absolute",
+          left: 0,
+          bottom: 0,
+          width: `${
+            isScrubbing ? ((frameIndex + 1) / props.frameCount) * 100 : 0
+          }%`,
+        }}
+      />
+    </button>
+  );
+};
+
+ThumbnailPreview.propTypes = {
+  entryId: PropTypes.string.isRequired, // the id of the KalturaEntry to preview
+  partnerId: PropTypes.number.isRequired, // the Kaltura account id (KMC>Integration Settings>Partner ID)
+  kalturaServiceUrl: PropTypes.string, // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
+  startTime: PropTypes.number, // the start of the previewed segment, in seconds
+  endTime: PropTypes.number, // the end of the previewed segment, in seconds, defaults to startTime + 20
+  frameCount: PropTypes.number, // how many frames to scrub through
+  mode: PropTypes.oneOf(["sprite", "frames"]), // sprite (one image with all the frames, one request) or frames (one image per frame)
+  thumbnailWidth: PropTypes.number, // the width of the frames in pixels
+  ariaLabel: PropTypes.string, // the accessible name of the preview, e.g. what clicking it plays
+  onClick: PropTypes.func, // function to call when the preview is clicked, e.g. to replace it with a Player
+};
+
+ThumbnailPreview.defaultProps = {
+  kalturaServiceUrl: DEFAULT_KALTURA_URL,
+  startTime: 0,
+  endTime: null,
+  frameCount: 10,
+  mode: "sprite",
+  thumbnailWidth: 320,
+  ariaLabel: undefined,
+  onClick: null,
+};
+
+export default ThumbnailPreview;
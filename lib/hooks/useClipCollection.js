@@ -0,0 +1,91 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  createClip,
+  getClipId,
+  loadClipCollection,
+  saveClipCollection,
+} from "../utils/clipCollection";
+
+// dispatched on window when a collection changes, so that the components showing it in the same page stay in sync
+// (the storage event only reaches other tabs)
+const CLIP_COLLECTION_CHANGE_EVENT = "react_kaltura_clip_collection_change";
+
+/**
+ * Hook keeping a collection of clips (cited segments the user selected), persisted in localStorage so that it survives
+ * new searches and page reloads, and kept in sync with other tabs and the other components using the same storageKey.
+ *
+ * @param {Object} options
+ * @param {string} options.storageKey - The localStorage key to keep the collection under.
+ * @param {Function} [options.onCollectionChange] - Function to call when the user changes the collection, receives the clips.
+ * @returns {{clips: Array<Object>, isClipSelected: Function, toggleClip: Function, removeClip: Function, clearClips: Function}}
+ */
+const useClipCollection = ({ storageKey, onCollectionChange }) => {
+  const [clips, setClips] = useState(() => loadClipCollection(storageKey));
+  const clipsRef = useRef(clips);
+  clipsRef.current = clips;
+
+  useEffect(() => {
+    setClips(loadClipCollection(storageKey));
+    const handleStorage = (event) => {
+      if (event.key === storageKey) {
+        setClips(loadClipCollection(storageKey));
+      }
+    };
+    const handleChange = (event) => {
+      if (event.detail && event.detail.storageKey === storageKey) {
+        setClips(event.detail.clips);
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    window.addEventListener(CLIP_COLLECTION_CHANGE_EVENT, handleChange);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+      window.removeEventListener(CLIP_COLLECTION_CHANGE_EVENT, handleChange);
+    };
+  }, [storageKey]);
+
+  const updateClips = (nextClips) => {
+    clipsRef.current = nextClips;
+    setClips(nextClips);
+    saveClipCollection(storageKey, nextClips);
+    window.dispatchEvent(
+      new window.CustomEvent(CLIP_COLLECTION_CHANGE_EVENT, {
+        detail: { storageKey, clips: nextClips },
+      })
+    );
+    if (onCollectionChange && typeof onCollectionChange === "function") {
+      onCollectionChange(nextClips);
+    }
+  };
+
+  /**
+   * @param {Object} ref - A ref (or clip).
+   * @returns {boolean} - Is its segment in the collection?
+   */
+  const isClipSelected = (ref) =>
+    clips.some((clip) => getClipId(clip) === getClipId(ref));
+
+  /**
+   * Add the segment of a ref to the collection, or remove it.
+   * @param {Object} ref - The ref.
+   * @param {string} query - The search query the ref was found by.
+   * @param {boolean} selected - Add (true) or remove (false).
+   */
+  const toggleClip = (ref, query, selected) => {
+    const others = clipsRef.current.filter(
+      (clip) => getClipId(clip) !== getClipId(ref)
+    );
+    updateClips(selected ? [...others, createClip(ref, query)] : others);
+  };
+
+  /**
+   * @param {Object} clip - The clip to remove.
+   */
+  const removeClip = (clip) => toggleClip(clip, null, false);
+
+  const clearClips = () => updateClips([]);
+
+  return { clips, isClipSelected, toggleClip, removeClip, clearClips };
+};
+
+export default useClipCollection;
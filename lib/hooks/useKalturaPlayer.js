@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useState } from "react";
+
+const INITIAL_PLAYBACK_STATE = {
+  currentTime: 0,
+  duration: 0,
+  paused: true,
+  ended: false,
+  buffering: false,
+  volume: 1,
+  muted: false,
+  playbackRate: 1,
+  activeCaptionLanguage: null,
+  error: null,
+};
+
+/**
+ * Read the active caption language from the player instance, null if captions are off or there are none.
+ *
+ * @param {Object} instance - The kaltura-player-js instance.
+ * @returns {string|null} - The language of the active text track.
+ */
+const getActiveCaptionLanguage = (instance) => {
+  const activeTextTrack = instance
+    .getTracks(instance.Track.TEXT)
+    .find((track) => track.active);
+  return activeTextTrack && activeTextTrack.language !== "off"
+    ? activeTextTrack.language
+    : null;
+};
+
+/**
+ * Read the current playback state from the player instance.
+ *
+ * @param {Object} instance - The kaltura-player-js instance.
+ * @returns {Object} - Playback state, without the error.
+ */
+const readPlaybackState = (instance) => ({
+  currentTime: instance.currentTime || 0,
+  duration: instance.duration || 0,
+  paused: instance.paused,
+  ended: instance.ended,
+  volume: instance.volume,
+  muted: instance.muted,
+  playbackRate: instance.playbackRate,
+  activeCaptionLanguage: getActiveCaptionLanguage(instance),
+});
+
+/**
+ * Hook exposing the reactive playback state of a Player component, driven by the kaltura-player-js events.
+ *
+ * @example
+ * ```jsx
+ * const { playerRef, player, currentTime, duration, paused } = useKalturaPlayer();
+ * <Player ref={playerRef} {...playerProps} />
+ * <button onClick={() => (paused ? player.playKalturaPlayer() : player.pauseKalturaPlayer())}>
+ *   {paused ? "Play" : "Pause"} {Math.round(currentTime)}/{Math.round(duration)}
+ * </button>
+ * ```
+ *
+ * @returns {Object} - playerRef (a callback ref to attach to a Player), player (the Player handle, null until attached)
+ * and the playback state: currentTime, duration, paused, ended, buffering, volume, muted, playbackRate, activeCaptionLanguage and error (the last error).
+ */
+const useKalturaPlayer = () => {
+  const [player, setPlayer] = useState(null);
+  const [playbackState, setPlaybackState] = useState(INITIAL_PLAYBACK_STATE);
+
+  // the Player recreates its handle whenever it sets up a new player instance, so keeping it in state re-subscribes below
+  const playerRef = useCallback((handle) => {
+    setPlayer(handle);
+  }, []);
+
+  /**
+   * Subscribe to the player instance events once the attached Player has set it up.
+   */
+  useEffect(() => {
+    if (!player || !player.getPlayerInstance) {
+      return;
+    }
+
+    let instance = null;
+    let listeners = [];
+    let isCancelled = false;
+
+    const updatePlaybackState = (changes) =>
+      setPlaybackState((state) => ({ ...state, ...changes }));
+
+    player.getPlayerInstance().then((playerInstance) => {
+      if (isCancelled || !playerInstance) {
+        return;
+      }
+      instance = playerInstance;
+      const Event = instance.Event;
+
+      listeners = [
+        [
+          Event.MEDIA_LOADED,
+          () =>
+            updatePlaybackState({
+              ...readPlaybackState(instance),
+              ended: false,
+              error: null,
+            }),
+        ],
+        [
+          Event.TIME_UPDATE,
+          () => updatePlaybackState({ currentTime: instance.currentTime }),
+        ],
+        [
+          Event.DURATION_CHANGE,
+          () => updatePlaybackState({ duration: instance.duration }),
+        ],
+        [
+          Event.PLAY,
+          () => updatePlaybackState({ paused: false, ended: false }),
+        ],
+        [Event.PAUSE, () => updatePlaybackState({ paused: true })],
+        [Event.ENDED, () => updatePlaybackState({ paused: true, ended: true })],
+        [
+          Event.PLAYER_STATE_CHANGED,
+          (event) =>
+            updatePlaybackState({
+              buffering:
+                event.payload.newState.type === instance.State.BUFFERING,
+            }),
+        ],
+        [
+          Event.VOLUME_CHANGE,
+          () =>
+            updatePlaybackState({
+              volume: instance.volume,
+              muted: instance.muted,
+            }),
+        ],
+        [
+          Event.RATE_CHANGE,
+          () => updatePlaybackState({ playbackRate: instance.playbackRate }),
+        ],
+        [
+          Event.TEXT_TRACK_CHANGED,
+          () =>
+            updatePlaybackState({
+              activeCaptionLanguage: getActiveCaptionLanguage(instance),
+            }),
+        ],
+        [Event.ERROR, (event) => updatePlaybackState({ error: event })],
+      ].filter(([eventName]) => eventName);
+
+      listeners.forEach(([eventName, listener]) =>
+        instance.addEventListener(eventName, listener)
+      );
+      updatePlaybackState(readPlaybackState(instance));
+    });
+
+    return () => {
+      isCancelled = true;
+      if (instance) {
+        listeners.forEach(([eventName, listener]) =>
+          instance.removeEventListener(eventName, listener)
+        );
+      }
+    };
+  }, [player]);
+
+  return { playerRef, player, ...playbackState };
+};
+
+export default useKalturaPlayer;
@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getKalturaSession, isKsError } from "../utils/kalturaSession";
+
+/**
+ * Hook resolving the KS a component should use: the ks prop, or the KS from ksProvider (refreshed before it expires and after KS errors).
+ * Components passing the same ksProvider function share one session, so pass a stable function (e.g. wrapped in useCallback).
+ *
+ * @param {Object} options
+ * @param {string} [options.ks] - A static Kaltura Session.
+ * @param {Function} [options.ksProvider] - Async function returning a KS string, or {ks, expiry} with expiry as a unix timestamp (seconds).
+ * @param {Function} [options.onKsExpired] - Function to call when a KS related error was detected, or ksProvider failed.
+ * @param {Function} [options.onError] - Function to call when ksProvider failed (it's retried with a backoff).
+ * @returns {{ks: string, isKsReady: boolean, handleError: Function}} - The KS to use, is it available yet,
+ * and an error handler that returns true (and refreshes the KS) if the error was KS related.
+ */
+const useKalturaSession = ({ ks, ksProvider, onKsExpired, onError }) => {
+  const [providedKs, setProvidedKs] = useState(() =>
+    ksProvider ? getKalturaSession(ksProvider).ks : null
+  );
+  // the latest callbacks, so that the session subscription doesn't follow their identity
+  const latestCallbacksRef = useRef({});
+  latestCallbacksRef.current = { onKsExpired, onError };
+
+  useEffect(() => {
+    if (!ksProvider) {
+      return;
+    }
+    const session = getKalturaSession(ksProvider);
+    setProvidedKs(session.ks);
+    return session.subscribe(setProvidedKs, (error) => {
+      const { onKsExpired, onError } = latestCallbacksRef.current;
+      if (onKsExpired && typeof onKsExpired === "function") {
+        onKsExpired(error);
+      }
+      if (onError && typeof onError === "function") {
+        onError(error);
+      }
+    });
+  }, [ksProvider]);
+
+  const handleError = useCallback(
+    (error) => {
+      if (!isKsError(error)) {
+        return false;
+      }
+      if (onKsExpired && typeof onKsExpired === "function") {
+        onKsExpired(error);
+      }
+      if (ksProvider) {
+        getKalturaSession(ksProvider)
+          .refresh()
+          .catch(() => {});
+      }
+      return true;
+    },
+    [ksProvider, onKsExpired]
+  );
+
+  return ksProvider
+    ? { ks: providedKs, isKsReady: providedKs !== null, handleError }
+    : { ks, isKsReady: true, handleError };
+};
+
+export default useKalturaSession;
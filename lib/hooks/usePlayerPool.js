@@ -0,0 +1,33 @@
+import { useEffect, useRef } from "react";
+import { createPlayerPool } from "../utils/playerPool";
+
+/**
+ * Hook resolving the player pool a component should hand its Players: the playerPool prop if one was passed,
+ * otherwise a pool owned by the component, whose idle instances are destroyed when the component unmounts.
+ *
+ * @param {Object} [playerPool] - A pool created with createPlayerPool, shared by the caller.
+ * @param {number} [maxIdlePlayers] - How many idle instances the owned pool keeps.
+ * @returns {Object} - The pool to use.
+ */
+const usePlayerPool = (playerPool, maxIdlePlayers) => {
+  const ownPlayerPoolRef = useRef(null);
+  const clearTimeoutRef = useRef(null);
+  if (!playerPool && ownPlayerPoolRef.current === null) {
+    ownPlayerPoolRef.current = createPlayerPool({ maxIdlePlayers });
+  }
+
+  useEffect(() => {
+    clearTimeout(clearTimeoutRef.current);
+    return () => {
+      const ownPlayerPool = ownPlayerPoolRef.current;
+      if (ownPlayerPool) {
+        // the Players are unmounted after their owner, let them release their instances to the pool before clearing it
+        clearTimeoutRef.current = setTimeout(() => ownPlayerPool.clear(), 0);
+      }
+    };
+  }, []);
+
+  return playerPool || ownPlayerPoolRef.current;
+};
+
+export default usePlayerPool;
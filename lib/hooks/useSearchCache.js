@@ -0,0 +1,21 @@
+import { useRef } from "react";
+import { createSearchCache } from "../utils/searchCache";
+
+/**
+ * Hook resolving the search cache a component should use: the searchCache prop if one was passed,
+ * otherwise a cache owned by the component (created on mount, with the options it had then), or none if its ttl is 0.
+ *
+ * @param {Object} [searchCache] - A cache created with createSearchCache, shared by the caller.
+ * @param {Object} options - The options of the owned cache, see createSearchCache.
+ * @returns {Object|null} - The cache to use, null to not cache.
+ */
+const useSearchCache = (searchCache, options) => {
+  const ownSearchCacheRef = useRef(undefined);
+  if (!searchCache && ownSearchCacheRef.current === undefined) {
+    ownSearchCacheRef.current =
+      options.ttl > 0 ? createSearchCache(options) : null;
+  }
+  return searchCache || ownSearchCacheRef.current;
+};
+
+export default useSearchCache;
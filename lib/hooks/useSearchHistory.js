@@ -0,0 +1,55 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  addToSearchHistory,
+  loadSearchHistory,
+  saveSearchHistory,
+} from "../utils/searchHistory";
+
+/**
+ * Hook keeping the recent search queries, persisted in localStorage and kept in sync with other tabs.
+ *
+ * @param {Object} options
+ * @param {string} options.storageKey - The localStorage key to keep the queries under.
+ * @param {number} options.maxQueries - How many queries to keep.
+ * @returns {{history: Array<string>, addQuery: Function, removeQuery: Function, clearHistory: Function}} - history is most recent first.
+ */
+const useSearchHistory = ({ storageKey, maxQueries }) => {
+  const [history, setHistory] = useState(() => loadSearchHistory(storageKey));
+  const historyRef = useRef(history);
+  historyRef.current = history;
+
+  useEffect(() => {
+    setHistory(loadSearchHistory(storageKey));
+    const handleStorage = (event) => {
+      if (event.key === storageKey) {
+        setHistory(loadSearchHistory(storageKey));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [storageKey]);
+
+  const updateHistory = (nextHistory) => {
+    historyRef.current = nextHistory;
+    setHistory(nextHistory);
+    saveSearchHistory(storageKey, nextHistory);
+  };
+
+  /**
+   * @param {string} query - The query to add, as the most recent one.
+   */
+  const addQuery = (query) =>
+    updateHistory(addToSearchHistory(historyRef.current, query, maxQueries));
+
+  /**
+   * @param {string} query - The query to remove.
+   */
+  const removeQuery = (query) =>
+    updateHistory(historyRef.current.filter((other) => other !== query));
+
+  const clearHistory = () => updateHistory([]);
+
+  return { history, addQuery, removeQuery, clearHistory };
+};
+
+export default useSearchHistory;
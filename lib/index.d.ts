@@ -1,25 +1,103 @@
 import React from "react";
 
+type PlayerEvent = {
+  type: string; // the kaltura-player-js event name
+  payload?: any; // event specific data, if any
+};
+
+type KsProvider = () => Promise<string | { ks: string; expiry?: number }>; // resolves with a KS, or with a KS and its expiry (unix timestamp, seconds)
+
+type PlaylistEntry = {
+  entryId: string; // the id of the KalturaEntry
+  startTime?: number; // where to start playing this entry (seconds)
+  endTime?: number; // where to stop playing this entry (seconds), continues to the next one if playlistAutoContinue
+};
+
+type PlayerUIComponent = {
+  label: string; // a unique label for this component
+  action: "remove" | "replace" | "add"; // what to do in the player UI
+  area: string; // the player UI area, e.g. TopBarLeftControls, TopBarRightControls, BottomBarLeftControls, BottomBarRightControls, GuiArea, InteractiveArea, LoadingSpinner
+  presets?: string[]; // the player UI presets this applies to, defaults to: Playback, Live, Idle
+  replaceComponent?: string; // for remove and replace, the name of the player UI component to remove or replace, e.g. Spinner, PrePlaybackPlayOverlay, Fullscreen
+  beforeComponent?: string; // for add, the name of the player UI component to add before
+  afterComponent?: string; // for add, the name of the player UI component to add after
+  render?: (playerInstance: any) => React.ReactNode; // for replace and add, the React content, rendered through a portal so it keeps the app's context (without it the component is left empty)
+};
+
+type TimelineMarker = {
+  time: number; // seconds
+  className?: string; // defaults to react_kaltura_player_marker
+  color?: string; // defaults to #ffffff
+};
+
+type GalleryLayout = "row" | "grid" | "carousel" | "list" | "masonry";
+
+export type PlayerPoolStats = {
+  created: number; // instances set up by the pool's Players
+  reused: number; // times an idle instance was reused (through loadMedia) instead of setting up a new one
+  destroyed: number; // instances destroyed (evicted idle ones, unpoolable ones, and the idle ones on clear)
+  active: number; // instances currently used by a Player
+  idle: number; // instances waiting in the pool for reuse
+};
+
+export interface PlayerPool {
+  acquire(key: string): any | null; // takes an idle instance set up with the same key out of the pool
+  add(instance: any): void; // tracks an instance that was just set up
+  release(key: string, instance: any): void; // pauses and detaches an instance and keeps it for reuse
+  destroy(instance: any): void; // destroys an instance for good
+  clear(): void; // destroys all idle instances
+  getStats(): PlayerPoolStats; // for debugging
+}
+
+export function createPlayerPool(options?: {
+  maxIdlePlayers?: number; // how many idle instances to keep, defaults to 4
+}): PlayerPool; // a pool of player instances to share between Players, galleries and search views
+
 export interface PlayerProps {
   kalturaServiceUrl?: string; // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
   partnerId: number; // the Kaltura account id (KMC>Integration Settings>Partner ID)
   uiConfId: number; // the Kaltura Player instance id (KMC>Studio)
-  ks: string; // the Kaltura Session to pass when rendering the Kaltura Video Players
-  entryId: string; // the id of the KalturaEntry to load
+  ks?: string; // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider?: KsProvider; // called on start, before the KS expires and after KS errors. pass a stable function, components sharing it share the session
+  onKsExpired?: ((error: any) => void) | null; // function to call when a KS related error (e.g. an expired KS) was detected, or ksProvider failed (it's retried with a backoff)
+  entryId?: string; // the id of the KalturaEntry to load (required unless playlistId or playlistEntries are passed)
+  playlistId?: string; // the id of a Kaltura playlist to load instead of a single entry
+  playlistEntries?: Array<string | PlaylistEntry>; // an ad-hoc playlist to load instead of a single entry
+  playlistAutoContinue?: boolean; // in playlist mode, should the next item play automatically when the current one ends? defaults to true
+  playlistLoop?: boolean; // in playlist mode, should the playlist start over after the last item?
+  onPlaylistItemChange?: ((event: PlayerEvent) => void) | null; // function to call when the active playlist item changes, the event payload holds its index
   playerId: string; // the id of the Kaltura Player instance that will be created (the id of the div that will be passed to KalturaPlayer.setup)
   autoPlay?: boolean; // should the video start playing immediately?
   preLoad?: string; // should the video start loading immediately?
   startingVolume?: number; // initial volume for the video player
   hideLoadingSpinner?: boolean; // should the loading spinner be hidden?
   hideBigPlayButton?: boolean; // should the big play button be hidden?
-  onError?: ((event: ErrorEvent) => void) | null; // function to call when there's an error
+  uiComponents?: PlayerUIComponent[]; // components to remove, replace or add in the player UI (applied when the player is set up)
+  playerPool?: PlayerPool | null; // reuse idle player instances (through loadMedia) instead of destroying and setting up new ones, Players with uiComponents aren't pooled
+  onError?: ((event: ErrorEvent | Error) => void) | null; // function to call when there's an error (including a failure to load the player script or to get a KS from ksProvider)
+  onReady?: ((event: PlayerEvent) => void) | null; // function to call when the loaded media is ready for playback (its tracks are available)
+  onMediaLoaded?: ((event: PlayerEvent) => void) | null; // function to call when the media (entry) was loaded into the player
+  onFirstPlay?: ((event: PlayerEvent) => void) | null; // function to call when the media plays for the first time
+  onPlay?: ((event: PlayerEvent) => void) | null; // function to call when playback starts or resumes
+  onPause?: ((event: PlayerEvent) => void) | null; // function to call when playback is paused
+  onEnded?: ((event: PlayerEvent) => void) | null; // function to call when playback reaches the end of the media
+  onTimeUpdate?: ((event: PlayerEvent) => void) | null; // function to call when the current playback time changes
+  onSeeked?: ((event: PlayerEvent) => void) | null; // function to call when a seek operation completes
+  onVolumeChange?: ((event: PlayerEvent) => void) | null; // function to call when the volume or muted state changes
+  onRateChange?: ((event: PlayerEvent) => void) | null; // function to call when the playback rate changes
   onMouseEnter?:
     | ((event: React.MouseEvent<HTMLDivElement, MouseEvent>) => void)
     | null; // function to call when mouse enters the player
   onMouseLeave?:
     | ((event: React.MouseEvent<HTMLDivElement, MouseEvent>) => void)
     | null; // function to call when mouse leaves the player
-  startTime?: number; // starting time for the video
+  startTime?: number; // starting time for the video (also the start of the segment when endTime is set)
+  endTime?: number | null; // end time of the segment (clip) to play, playback pauses (or loops) when reaching it
+  loopSegment?: boolean; // when endTime is set, should playback loop back to startTime instead of pausing at the end of the segment?
+  onSegmentEnd?:
+    | ((segment: { startTime: number; endTime: number }) => void)
+    | null; // function to call when playback reaches endTime
+  markers?: TimelineMarker[] | null; // markers to show on the seek bar, e.g. chapters
   posterImg?: string; // URL of the image to show before the video starts
   width?: string; // width of the player
   height?: string; // height of the player
@@ -27,7 +105,72 @@ export interface PlayerProps {
   isPlaying?: boolean; // should the player be playing? alternative way is to use playKalturaPlayer/pauseKalturaPlayer hooks
   seekTo?: number; // integer, seek the player to this time (changes currentTime), alternative way is to use playKalturaPlayer hook
 }
-export const Player: React.FC<PlayerProps>;
+export interface PlayerHandle {
+  // all the methods wait for the player to be set up, and resolve with undefined if it unmounts (or fails to set up) before that
+  playKalturaPlayer: (seekTo?: number | null) => Promise<void>; // play the player, optionally seeking first
+  pauseKalturaPlayer: () => Promise<void>; // pause the player
+  seek: (time: number) => Promise<void>; // seek to this time (seconds)
+  getCurrentTime: () => Promise<number>; // the current playback position (seconds)
+  getDuration: () => Promise<number>; // the duration of the loaded media (seconds)
+  setVolume: (volume: number) => Promise<void>; // set the volume (0-1)
+  getVolume: () => Promise<number>; // the current volume (0-1)
+  mute: () => Promise<void>;
+  unmute: () => Promise<void>;
+  isMuted: () => Promise<boolean>;
+  setPlaybackRate: (rate: number) => Promise<void>; // 1 is normal speed
+  getPlaybackRate: () => Promise<number>;
+  enterFullscreen: () => Promise<void>;
+  exitFullscreen: () => Promise<void>;
+  enterPictureInPicture: () => Promise<void>;
+  exitPictureInPicture: () => Promise<void>;
+  getAudioTracks: () => Promise<any[]>; // kaltura-player-js audio tracks of the loaded media
+  selectAudioTrack: (track: object | number | string) => Promise<boolean>; // track object, index or language, resolves with false if no such track
+  getCaptionTracks: () => Promise<any[]>; // kaltura-player-js text tracks of the loaded media
+  selectCaptionTrack: (
+    track: object | number | string | null
+  ) => Promise<boolean>; // track object, index or language, null or "off" hides captions
+  getQualityLevels: () => Promise<any[]>; // kaltura-player-js video tracks of the loaded media
+  selectQualityLevel: (quality: object | number | "auto") => Promise<boolean>; // track object or index, "auto" re-enables adaptive bitrate
+  loadEntry: (
+    entryId: string,
+    options?: { startTime?: number; poster?: string; [key: string]: any }
+  ) => Promise<void>; // load a different entry with kaltura-player-js media options
+  next: () => Promise<void>; // playlist mode: play the next item
+  previous: () => Promise<void>; // playlist mode: play the previous item
+  playItem: (index: number) => Promise<void>; // playlist mode: play the item at this index
+  getPlayerInstance: () => Promise<any>; // the underlying kaltura-player-js instance
+}
+export const Player: React.ForwardRefExoticComponent<
+  PlayerProps & React.RefAttributes<PlayerHandle>
+>;
+
+export interface KalturaPlayerState {
+  playerRef: (handle: PlayerHandle | null) => void; // callback ref to attach to a Player component
+  player: PlayerHandle | null; // the attached Player handle, null until attached
+  currentTime: number; // the current playback position (seconds)
+  duration: number; // the duration of the loaded media (seconds)
+  paused: boolean;
+  ended: boolean;
+  buffering: boolean;
+  volume: number; // 0-1
+  muted: boolean;
+  playbackRate: number; // 1 is normal speed
+  activeCaptionLanguage: string | null; // the language of the active caption track, null if captions are off
+  error: PlayerEvent | null; // the last error emitted by the player
+}
+export function useKalturaPlayer(): KalturaPlayerState; // reactive playback state of the Player attached to playerRef
+
+export function getKalturaPlayerScriptUrl(
+  kalturaServiceUrl: string | undefined,
+  partnerId: number,
+  uiConfId: number
+): string; // builds the embedPlaykitJs script URL for the given account and player uiConf
+export function loadKalturaPlayerScript(scriptUrl: string): Promise<any>; // loads the script once per URL, resolves with the KalturaPlayer library it exposed
+export function loadKalturaPlayer(
+  kalturaServiceUrl: string | undefined,
+  partnerId: number,
+  uiConfId: number
+): Promise<any>; // loads (once) and resolves with the KalturaPlayer library for the given account and player uiConf
 
 type RefObject = {
   video_transcript_segment: string; // the segment from the video transcript that best correlates to the sentence in the model_answer
@@ -35,8 +178,20 @@ type RefObject = {
   entry_id: string; // the Kaltura Entry ID of the best reference video that correlates to this particular sentence from the AI model's answer
   segment_title: string; // a title corresponding to this video segment, to show the primary topic discussed
   time: number; // integer, seconds, indicates the start time in the video entry, where the segment that best correlates to this particular sentence from the AI model's answer can be found
+  end?: number; // optional, seconds, indicates the end time of that segment in the video entry, when provided playback stops at the end of the segment
   score: number; // float, between 0 to 1, indicates the confidence score for how relevant this particular video segment really was to this particular sentence from the model_answer. 0 is very confident, 1 is not confident at all.
 };
+export type GalleryItemRenderProps = {
+  ref: RefObject; // the ref the gallery item plays (the first of its entry in groupByEntry mode)
+  refs: RefObject[]; // all the refs the gallery item plays (more than one in groupByEntry mode)
+  index: number; // the index of the item in the gallery
+  isPlaying: boolean; // is the item playing?
+  isHovered: boolean; // is the item hovered?
+  playerRef: React.RefObject<PlayerHandle>; // the item's Player handle (current is null while the item shows a poster in lazyLoad mode)
+  player: React.ReactElement; // the default player element of the item (its poster card or thumbnail preview until it has a Player), to place in a custom renderItem
+  isSelected: boolean; // is the item selected (see isItemSelected)?
+  toggleSelected: (() => void) | null; // selects or unselects the item, null unless onItemSelectChange is passed
+};
 export interface PlayersGalleryProps {
   data: {
     model_answer: string; // the search query result as returned from the search AI model aka the answer
@@ -49,43 +204,383 @@ export interface PlayersGalleryProps {
   kalturaServiceUrl?: string; // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
   partnerId: number; // the Kaltura account id (KMC>Integration Settings>Partner ID)
   uiConfId: number; // the Kaltura Player instance id (KMC>Studio)
-  ks: string; // the Kaltura Session to pass when rendering the Kaltura Video Players
+  ks?: string; // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider?: KsProvider; // called on start, before the KS expires and after KS errors. pass a stable function, components sharing it share the session
+  onKsExpired?: ((error: any) => void) | null; // function to call when a KS related error (e.g. an expired KS) was detected, or ksProvider failed (it's retried with a backoff)
   preLoad?: string; // should the video players start loading the video when rendering (true) or upon first play (false)? Note: if you're hiding the video thumbnail in CSS this is recommended to be true.
   startingVolume?: number; // what should be the volume the video players will start with (0-1)
   shouldPlayOnHover?: boolean; // should the video players play when the user hover over them and pause when the user mouse leaves the boundaries of the player?
   onHover?: (index: number | null) => void; // an optional function that the parent can call in order to handle the event of hovering a specific gallery item (if index is not null) or when the mouse leaved the item and hover ends (if index is null)
+  lazyLoad?: boolean; // should gallery items show a poster card, and only create their player when they near the viewport or are hovered / focused?
+  maxLivePlayers?: number; // in lazyLoad mode, the maximum number of players that exist at once (the least recently activated are destroyed first)
+  lazyLoadRootMargin?: string; // in lazyLoad mode, how close to the viewport (IntersectionObserver rootMargin) an item should be for its player to be created
+  lazyDestroyRootMargin?: string; // in lazyLoad mode, how far outside the viewport (IntersectionObserver rootMargin) an item should be for its player to be destroyed
+  playerPool?: PlayerPool | null; // a pool to share idle player instances with other components (a pool of its own is used otherwise)
+  maxIdlePlayers?: number; // how many idle player instances the gallery's own pool keeps for reuse (ignored when playerPool is passed)
+  layout?: GalleryLayout; // how to lay out the players gallery: row (a horizontal strip), grid (responsive columns), carousel (pages with prev / next controls and dots), list (vertical) or masonry
+  gridMinColumnWidth?: string; // in grid and masonry layouts, the minimum width of a column (e.g. "240px"), the number of columns follows the gallery width
+  carouselItemsPerPage?: number; // in carousel layout, how many players a page shows
+  keepActiveItemCentered?: boolean; // should the playing player be scrolled to the center of the gallery rather than to its start?
+  exclusivePlayback?: boolean; // should playing a video (including from its player controls) pause all the others? defaults to false
+  playThrough?: boolean; // should the next cited segment play (from its time) when the playing one ends?
+  groupByEntry?: boolean; // should the refs citing the same entry share one player, with a marker on its seek bar for each cited segment?
+  renderItem?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders the content of a gallery item, in place of its player and title
+  renderItemHeader?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders content above the player of a gallery item (e.g. a score badge)
+  renderItemFooter?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders content below the player of a gallery item, in place of its title (e.g. speaker names and links)
+  getPlayerProps?:
+    | ((ref: RefObject, index: number) => Partial<PlayerProps>)
+    | null; // props overriding the defaults of a gallery item's Player (e.g. hideBigPlayButton, uiComponents), the playback wiring of the gallery can't be overridden
+  previewMode?: "player" | "sprite" | "frames"; // player (every item has a Player, see lazyLoad), or thumbnail previews scrubbing through frames of the segment on hover, from one sprite image or one thumbnail per frame, items only get a Player when played
+  previewFrameCount?: number; // in preview mode, how many frames of the segment to scrub through
+  previewRange?: number; // in preview mode, how long (seconds) the previewed range is for refs without an end
+  previewThumbnailWidth?: number; // in preview mode, the width of the preview frames in pixels
+  isItemSelected?: ((ref: RefObject) => boolean) | null; // is the ref selected? e.g. in a clip collection
+  onItemSelectChange?: ((ref: RefObject, selected: boolean) => void) | null; // when passed, items show a selection checkbox, called when it changes
+  scrollBehavior?: "smooth" | "auto"; // how to scroll the playing player into view (smooth or instant)
+  ariaLabel?: string; // the accessible name of the gallery, for screen readers, defaults to: Video segments
+  itemAriaDescribedBy?: ((ref: RefObject, index: number) => string) | null; // returns the id(s) of the elements describing a gallery item (e.g. the sentence citing it), space separated
+  onActiveItemChange?: ((index: number | null) => void) | null; // called when the playing item changes, with its index in data.ref (null when none is playing)
+}
+export interface PlayersGalleryHandle {
+  playKalturaPlayerByUniqueId(
+    uniqueGuiId: string,
+    seekTime?: number | null
+  ): void; // plays the player of a gallery item, optionally seeking first
+  pauseKalturaPlayerByUniqueId(uniqueGuiId: string): void; // pauses the player of a gallery item
+  playAll(): void; // plays the items one after the other from the first one, until stopAll or the last one ends
+  stopAll(): void; // pauses every player and ends playAll
+  next(): void; // plays the item after the playing one, from its time
+  previous(): void; // plays the item before the playing one, from its time
+  getPlayerPoolStats(): PlayerPoolStats; // for debugging
 }
-export const PlayersGallery: React.FC<PlayersGalleryProps>;
+export const PlayersGallery: React.ForwardRefExoticComponent<
+  PlayersGalleryProps & React.RefAttributes<PlayersGalleryHandle>
+>;
+
+export type SearchResponse = {
+  model_answer: string; // the search query result as returned from the search AI model aka the answer
+  ref: RefObject[]; // array of video segments that can be used as inline references for each line in the model_answer
+  conversation_id?: string; // the id of the conversation, for its follow-up questions
+};
+export type SearchContext = {
+  conversationId?: string; // the id of the conversation, as returned by the search API with its first answer
+  history?: Array<{ query: string; answer: string }>; // the previous turns of the conversation, oldest first
+};
+export interface SearchClient {
+  search(
+    query: string,
+    options?: {
+      onUpdate?: (partialResponse: SearchResponse) => void; // called with the response received so far, as a streamed answer arrives
+      signal?: AbortSignal; // aborts the search (superseded, cancelled or stopped generating), it then rejects with an AbortError
+      context?: SearchContext; // the conversation of a follow-up question
+    }
+  ): Promise<SearchResponse>; // resolves with the search results, rejects if the search failed
+  getCacheKey?(query: string, context?: SearchContext): string; // the key the responses of a query are cached under, defaults to getSearchCacheKey(query, context)
+}
+export type SearchCacheStats = {
+  size: number; // how many responses are cached
+  hits: number;
+  staleHits: number; // responses served past their TTL, while revalidated
+  misses: number;
+};
+export interface SearchCache {
+  get(key: string): { data: SearchResponse; isStale: boolean } | null; // a copy of a cached response, null if there is none (or it expired)
+  set(key: string, data: SearchResponse, query?: string): void;
+  invalidate(
+    queryOrPredicate:
+      | string
+      | ((
+          key: string,
+          entry: { query: string; data: SearchResponse; time: number }
+        ) => boolean)
+  ): void; // drops the responses of a query (whatever their index or filters), or the ones a predicate matches
+  clear(): void;
+  getStats(): SearchCacheStats; // for debugging
+}
+export function createSearchCache(options?: {
+  ttl?: number; // how long (ms) a response is fresh, defaults to: 300000
+  staleTtl?: number; // how long (ms) past its TTL a response is still served (stale, while revalidated), defaults to: 3600000
+  maxEntries?: number; // how many responses to keep (the least recently used are dropped), defaults to: 20
+  persist?: boolean; // keep the responses in sessionStorage too, defaults to: false
+  storageKey?: string; // the sessionStorage key, defaults to: react_kaltura_search_cache
+}): SearchCache; // an LRU cache of search responses to share between search views, or invalidate / clear from outside
+export function getSearchCacheKey(query: string, context?: object): string; // from the normalized query, and what else the results depend on (e.g. {index, filters})
+export function normalizeSearchQuery(query: string): string; // trimmed, single spaced and lower cased
+export type SearchStreamEvent = {
+  answer_delta?: string; // text appended to model_answer
+  model_answer?: string; // replaces model_answer
+  ref?: RefObject | RefObject[]; // one ref appended, or an array replacing them all
+  conversation_id?: string; // the id of the conversation, for its follow-up questions
+  error?: string; // fails the search
+  done?: boolean; // ends the stream
+};
+export function applySearchStreamEvent(
+  data: SearchResponse,
+  event: SearchStreamEvent
+): SearchResponse;
+export const DEFAULT_SEARCH_INDEX: string;
+export function createHttpSearchClient(options?: {
+  url?: string; // the URL of the search API, defaults to: http://localhost/search
+  index?: string; // the search index, passed to buildRequestBody, defaults to: Virtually_Live_2022
+  method?: string; // the HTTP method, defaults to: POST. with GET the request body fields are sent as query string parameters
+  bearerToken?: string; // a bearer token to send in the Authorization header
+  headers?:
+    | Record<string, string>
+    | ((query: string) => Record<string, string>); // extra request headers
+  credentials?: "omit" | "same-origin" | "include"; // the fetch credentials mode, defaults to: same-origin
+  buildRequestBody?: (
+    query: string,
+    options: { index: string } & SearchContext
+  ) => Record<string, any>; // the request body fields, defaults to: {searchquery, index} with the conversation_id, or else the history ({question, answer}[]), of follow-up questions
+  normalizeResponse?: (json: any, query: string) => SearchResponse; // maps the response of another backend to the {model_answer, ref[]} shape
+  reduceStreamEvent?: (data: SearchResponse, event: any) => SearchResponse; // applies an event of a streamed (text/event-stream or NDJSON) response, defaults to applySearchStreamEvent
+  timeout?: number; // how long (ms) to wait for the response to start, or for the next chunk of a streamed response, before the attempt fails, 0 to wait indefinitely, defaults to: 30000
+  retries?: number; // how many times to retry a search failing with a 5xx or 429 status, a network error or a timeout, defaults to: 2
+  retryDelay?: number; // the backoff delay (ms) before the first retry, doubled for each next one, unless the response has a Retry-After header, defaults to: 500
+  maxRetryDelay?: number; // the longest delay (ms) to wait before a retry, a longer Retry-After fails the search instead, defaults to: 10000
+}): SearchClient;
 
 export interface SearchResultsWithGalleryProps {
   searchQuery: string; // what text should be searched in Kaltura using the AI search API?
   searchApiBearerToken?: string; // the bearer token for using the AI search API, defaults to: ''
-  isSearching: boolean; // if true will start fetching new data, if false will not render the results yet
+  isSearching: boolean; // if true will start fetching new data, if false will not render the results yet. setting it back to false while searching cancels the search
   setIsSearching?: (searching: boolean) => void; // function to set isSearching state in parent component
   kalturaServiceUrl?: string; // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
   searchApiUrl?: string; // the URL to use for making the search API call, defaults to: http://localhost/search_api_mock.json
+  searchClient?: SearchClient | null; // the search client, e.g. from createHttpSearchClient (an HTTP client of searchApiUrl and searchApiBearerToken is used otherwise)
+  searchCache?: SearchCache | null; // a cache to share with other components or invalidate / clear from outside (a cache of its own is used otherwise)
+  searchCacheTtl?: number; // how long (ms) the own cache serves a response without calling the search API, 0 to not cache, defaults to: 300000
+  searchCacheStaleTtl?: number; // how long (ms) past its TTL the own cache serves a response, while revalidating it in the background, defaults to: 3600000
+  searchCacheSize?: number; // how many responses the own cache keeps, defaults to: 20
+  persistSearchCache?: boolean; // keep the own cache in sessionStorage too (e.g. for navigating back to a search), defaults to: false
+  searchTimeout?: number; // how long (ms) the default search client waits for a response (or the next chunk of a streamed one) before retrying or failing, 0 to wait indefinitely, defaults to: 30000
+  searchRetries?: number; // how many times the default search client retries on 5xx / 429 responses (honoring Retry-After), network errors and timeouts, defaults to: 2
   partnerId: number; // the Kaltura account id (KMC>Integration Settings>Partner ID)
   uiConfId: number; // the Kaltura Player instance id (KMC>Studio)
-  ks: string; // the Kaltura Session to pass when rendering the Kaltura Video Players
+  ks?: string; // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider?: KsProvider; // called on start, before the KS expires and after KS errors. pass a stable function, components sharing it share the session
+  onKsExpired?: ((error: any) => void) | null; // function to call when a KS related error (e.g. an expired KS) was detected, or ksProvider failed (it's retried with a backoff)
   playerIdTemplate?: string; // PlayersGallery will use this naming conversion to create player nodes: {playerIdTemplate}_{i} i being incrementing integer starting 0
   startInAutoPlay?: boolean; // should video players start with autoPlay?
   shouldPlayOnHover?: boolean; // should the video players play when the user hover over them and pause when the user mouse leaves the boundaries of the player?
   preLoad?: string; // should the video players start loading the video when rendering (true) or upon first play (false)? Note: if you're hiding the video thumbnail in CSS this is recommended to be true.
   startingVolume?: number; // what should be the volume the video players will start with (0-1)
+  lazyLoad?: boolean; // should gallery items show a poster card, and only create their player when they near the viewport or are hovered / focused?
+  maxLivePlayers?: number; // in lazyLoad mode, the maximum number of players that exist at once (the least recently activated are destroyed first)
+  playerPool?: PlayerPool | null; // a pool to share idle player instances with other components (a pool of its own is used otherwise)
+  maxIdlePlayers?: number; // how many idle player instances are kept for reuse by the next searches (ignored when playerPool is passed)
+  layout?: GalleryLayout; // how to lay out the players gallery: row (a horizontal strip), grid (responsive columns), carousel (pages with prev / next controls and dots), list (vertical) or masonry
+  gridMinColumnWidth?: string; // in grid and masonry layouts, the minimum width of a column (e.g. "240px"), the number of columns follows the gallery width
+  carouselItemsPerPage?: number; // in carousel layout, how many players a page shows
+  keepActiveItemCentered?: boolean; // should the playing player be scrolled to the center of the gallery rather than to its start?
+  exclusivePlayback?: boolean; // should playing a video (including from its player controls) pause all the others? defaults to false
+  playThrough?: boolean; // should the next cited segment play (from its time) when the playing one ends?
+  groupByEntry?: boolean; // should the refs citing the same entry share one player, with a marker on its seek bar for each cited segment?
+  renderItem?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders the content of a gallery item, in place of its player and title
+  renderItemHeader?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders content above the player of a gallery item (e.g. a score badge)
+  renderItemFooter?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders content below the player of a gallery item, in place of its title (e.g. speaker names and links)
+  getPlayerProps?:
+    | ((ref: RefObject, index: number) => Partial<PlayerProps>)
+    | null; // props overriding the defaults of a gallery item's Player (e.g. hideBigPlayButton, uiComponents), the playback wiring of the gallery can't be overridden
+  previewMode?: "player" | "sprite" | "frames"; // player (every item has a Player, see lazyLoad), or thumbnail previews scrubbing through frames of the segment on hover, from one sprite image or one thumbnail per frame, items only get a Player when played
+  previewFrameCount?: number; // in preview mode, how many frames of the segment to scrub through
+  enableCollection?: boolean; // can gallery items and sentences be selected into a clip collection, shown in a tray with its exports (JSON, M3U, Kaltura playlist, share link)?
+  collectionStorageKey?: string; // the localStorage key the clip collection persists under (across searches and reloads), defaults to: react_kaltura_clip_collection
+  onCollectionChange?: ((clips: Clip[]) => void) | null; // called when the user changes the clip collection
+  collectionShareBaseUrl?: string | null; // the URL the collection share link points to, defaults to the current page
+  examplePrompts?: string[]; // the example prompts of the hint shown before the first search
+  onExamplePromptClick?: ((prompt: string) => void) | null; // called when an example prompt is clicked (e.g. to search it), if passed the example prompts are buttons
+  searchContext?: SearchContext | null; // what the search client sends along with the query, e.g. the conversation of a follow-up question (part of the cache key)
+  onResults?: ((data: SearchResponse, query: string) => void) | null; // called with the results of a search, once complete, cached or revalidated
+  isGalleryCollapsed?: boolean; // leave out the players gallery (releasing its players), showing only the answer and its footnotes, defaults to: false
+  showCollectionTray?: boolean; // render the clip collection tray (the clips can still be selected, e.g. when another view shows the tray), defaults to: true
 }
 export const SearchResultsWithGallery: React.FC<SearchResultsWithGalleryProps>;
 
 export interface EmbeddedKalturaSearchViewProps {
   kalturaServiceUrl?: string; // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
   searchApiUrl?: string; // the URL to use for making the search API call, defaults to: http://localhost/search_api_mock.json
+  searchClient?: SearchClient | null; // the search client, e.g. from createHttpSearchClient (an HTTP client of searchApiUrl and searchApiBearerToken is used otherwise)
+  searchCache?: SearchCache | null; // a cache to share with other components or invalidate / clear from outside (a cache of its own is used otherwise)
+  searchCacheTtl?: number; // how long (ms) the own cache serves a response without calling the search API, 0 to not cache, defaults to: 300000
+  searchCacheStaleTtl?: number; // how long (ms) past its TTL the own cache serves a response, while revalidating it in the background, defaults to: 3600000
+  searchCacheSize?: number; // how many responses the own cache keeps, defaults to: 20
+  persistSearchCache?: boolean; // keep the own cache in sessionStorage too (e.g. for navigating back to a search), defaults to: false
+  searchTimeout?: number; // how long (ms) the default search client waits for a response (or the next chunk of a streamed one) before retrying or failing, 0 to wait indefinitely, defaults to: 30000
+  searchRetries?: number; // how many times the default search client retries on 5xx / 429 responses (honoring Retry-After), network errors and timeouts, defaults to: 2
   searchApiBearerToken?: string; // the bearer token for using the AI search API, defaults to: ''
   partnerId: number; // the Kaltura account id (KMC>Integration Settings>Partner ID)
   uiConfId: number; // the Kaltura Player instance id (KMC>Studio)
-  ks: string; // the Kaltura Session to pass when rendering the Kaltura Video Players
+  ks?: string; // the Kaltura Session to pass when rendering the Kaltura Video Players (required unless ksProvider is passed)
+  ksProvider?: KsProvider; // called on start, before the KS expires and after KS errors. pass a stable function, components sharing it share the session
+  onKsExpired?: ((error: any) => void) | null; // function to call when a KS related error (e.g. an expired KS) was detected, or ksProvider failed (it's retried with a backoff)
   playerIdTemplate?: string; // PlayersGallery will use this naming conversion to create player nodes: {playerIdTemplate}_{i} i being incrementing integer starting 0
   startInAutoPlay?: boolean; // should video players start with autoPlay?
   shouldPlayOnHover?: boolean; // should the video players play when the user hover over them and pause when the user mouse leaves the boundaries of the player?
   preLoad?: string; // should the video players start loading the video when rendering (true) or upon first play (false)? Note: if you're hiding the video thumbnail in CSS this is recommended to be true.
   startingVolume?: number; // what should be the volume the video players will start with (0-1)
+  lazyLoad?: boolean; // should gallery items show a poster card, and only create their player when they near the viewport or are hovered / focused?
+  maxLivePlayers?: number; // in lazyLoad mode, the maximum number of players that exist at once (the least recently activated are destroyed first)
+  playerPool?: PlayerPool | null; // a pool to share idle player instances with other components (a pool of its own is used otherwise)
+  maxIdlePlayers?: number; // how many idle player instances are kept for reuse by the next searches (ignored when playerPool is passed)
+  layout?: GalleryLayout; // how to lay out the players gallery: row (a horizontal strip), grid (responsive columns), carousel (pages with prev / next controls and dots), list (vertical) or masonry
+  gridMinColumnWidth?: string; // in grid and masonry layouts, the minimum width of a column (e.g. "240px"), the number of columns follows the gallery width
+  carouselItemsPerPage?: number; // in carousel layout, how many players a page shows
+  keepActiveItemCentered?: boolean; // should the playing player be scrolled to the center of the gallery rather than to its start?
+  exclusivePlayback?: boolean; // should playing a video (including from its player controls) pause all the others? defaults to false
+  playThrough?: boolean; // should the next cited segment play (from its time) when the playing one ends?
+  groupByEntry?: boolean; // should the refs citing the same entry share one player, with a marker on its seek bar for each cited segment?
+  renderItem?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders the content of a gallery item, in place of its player and title
+  renderItemHeader?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders content above the player of a gallery item (e.g. a score badge)
+  renderItemFooter?: ((item: GalleryItemRenderProps) => React.ReactNode) | null; // renders content below the player of a gallery item, in place of its title (e.g. speaker names and links)
+  getPlayerProps?:
+    | ((ref: RefObject, index: number) => Partial<PlayerProps>)
+    | null; // props overriding the defaults of a gallery item's Player (e.g. hideBigPlayButton, uiComponents), the playback wiring of the gallery can't be overridden
+  previewMode?: "player" | "sprite" | "frames"; // player (every item has a Player, see lazyLoad), or thumbnail previews scrubbing through frames of the segment on hover, from one sprite image or one thumbnail per frame, items only get a Player when played
+  previewFrameCount?: number; // in preview mode, how many frames of the segment to scrub through
+  enableCollection?: boolean; // can gallery items and sentences be selected into a clip collection, shown in a tray with its exports (JSON, M3U, Kaltura playlist, share link)?
+  collectionStorageKey?: string; // the localStorage key the clip collection persists under (across searches and reloads), defaults to: react_kaltura_clip_collection
+  onCollectionChange?: ((clips: Clip[]) => void) | null; // called when the user changes the clip collection
+  collectionShareBaseUrl?: string | null; // the URL the collection share link points to, defaults to the current page
+  enableSearchHistory?: boolean; // keep the searches in localStorage and offer them in the input dropdown, defaults to: true
+  searchHistoryStorageKey?: string; // the localStorage key the search history is kept under, defaults to: react_kaltura_search_history
+  maxSearchHistory?: number; // how many recent searches to keep, defaults to: 10
+  getSuggestions?: ((prefix: string) => string[] | Promise<string[]>) | null; // suggested queries for the input dropdown (e.g. curated or popular questions), pass a stable function
+  examplePrompts?: string[]; // the example prompts shown (clickable) before the first search
+  conversational?: boolean; // each question adds a turn to a conversation thread, follow-up questions being searched with the conversation so far, defaults to: false
+  maxContextTurns?: number; // in conversational mode, how many previous turns a follow-up question is sent with (when the search API didn't return a conversation id), defaults to: 5
+  collapseOlderTurns?: boolean; // in conversational mode, collapse the players galleries of the previous turns when a question is asked, defaults to: true
 }
 export const EmbeddedKalturaSearchView: React.FC<EmbeddedKalturaSearchViewProps>;
+
+export type TranscriptCue = {
+  id: number; // the index of the cue in the transcript
+  startTime: number; // seconds
+  endTime: number; // seconds
+  text: string;
+};
+export interface ThumbnailPreviewProps {
+  entryId: string; // the id of the KalturaEntry to preview
+  partnerId: number; // the Kaltura account id (KMC>Integration Settings>Partner ID)
+  kalturaServiceUrl?: string; // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
+  startTime?: number; // the start of the previewed segment, in seconds
+  endTime?: number | null; // the end of the previewed segment, in seconds, defaults to startTime + 20
+  frameCount?: number; // how many frames to scrub through, defaults to 10
+  mode?: "sprite" | "frames"; // sprite (one image with all the frames, one request) or frames (one image per frame), defaults to sprite
+  thumbnailWidth?: number; // the width of the frames in pixels, defaults to 320
+  ariaLabel?: string; // the accessible name of the preview, e.g. what clicking it plays
+  onClick?: (() => void) | null; // function to call when the preview is clicked, e.g. to replace it with a Player
+}
+export const ThumbnailPreview: React.FC<ThumbnailPreviewProps>;
+
+export function getEntryThumbnailUrl(options: {
+  kalturaServiceUrl?: string;
+  partnerId: number;
+  entryId: string;
+  time: number; // seconds
+  width?: number | null; // pixels, the original width if not passed
+}): string; // the thumbnail API URL of a frame of an entry
+export function getEntryThumbnailSpriteUrl(options: {
+  kalturaServiceUrl?: string;
+  partnerId: number;
+  entryId: string;
+  startTime: number; // seconds
+  endTime: number; // seconds
+  frameCount: number;
+  width?: number | null; // pixels (of each frame), the original width if not passed
+}): string; // the thumbnail API URL of a sprite of frameCount frames evenly spread between startTime and endTime
+
+export type Clip = {
+  entry_id: string; // the id of the KalturaEntry
+  time: number; // the start of the clip, in seconds
+  end: number | null; // the end of the clip, in seconds (null if the citation had none)
+  title: string; // the segment title
+  transcript_segment: string; // the transcript of the segment
+  query: string; // the search query the clip was found by
+};
+export interface ClipCollectionProps {
+  clips: Clip[]; // the clips of the collection
+  onRemove?: ((clip: Clip) => void) | null; // function to call when a clip is removed
+  onClear?: (() => void) | null; // function to call when the collection is cleared
+  kalturaServiceUrl?: string; // the URL to access the Kaltura service on (for the M3U playlist), defaults to: https://cdnapi-ev.kaltura.com
+  partnerId: number; // the Kaltura account id (KMC>Integration Settings>Partner ID), for the M3U playlist
+  shareBaseUrl?: string | null; // the URL the share link points to, defaults to the current page
+  playlistName?: string; // the name of the exported Kaltura playlist, defaults to: Clip collection
+}
+export const ClipCollection: React.FC<ClipCollectionProps>;
+export function useClipCollection(options: {
+  storageKey: string; // the localStorage key to keep the collection under
+  onCollectionChange?: ((clips: Clip[]) => void) | null; // called when the user changes the collection
+}): {
+  clips: Clip[];
+  isClipSelected(ref: RefObject | Clip): boolean;
+  toggleClip(ref: RefObject, query: string, selected: boolean): void;
+  removeClip(clip: Clip): void;
+  clearClips(): void;
+};
+export function createClip(ref: RefObject, query: string): Clip;
+export function exportClipsAsJson(clips: Clip[]): string;
+export function exportClipsAsM3u(
+  clips: Clip[],
+  options: { kalturaServiceUrl?: string; partnerId: number }
+): string; // each clip points to the playManifest URL of its entry, clipped to its segment
+export function exportClipsAsKalturaPlaylist(
+  clips: Clip[],
+  name?: string
+): { playlist: object; playlistEntries: PlaylistEntry[] }; // the payload of a playlist.add call (static playlist), and the clips as Player playlistEntries
+export function encodeClipCollection(clips: Clip[]): string; // base64url of the collection JSON
+export function decodeClipCollection(encoded: string): Clip[]; // the items that are not clips (a string entry_id and a numeric time) are dropped, the shared URL is untrusted input
+export function getClipCollectionShareUrl(
+  clips: Clip[],
+  baseUrl: string,
+  param?: string
+): string; // the collection is encoded in the param (defaults to clips) query parameter
+export function getSharedClipCollection(url: string, param?: string): Clip[];
+
+export interface SearchSuggestionsProps {
+  id: string; // the DOM id of the list, for the aria-controls of the input
+  items: Array<{ query: string; isRecent?: boolean }>; // the suggestions, recent searches first
+  activeIndex?: number; // the index of the active (keyboard navigated) suggestion, -1 for none
+  onSelect: (query: string) => void;
+  onRemove?: ((query: string) => void) | null; // removes a recent search
+  onClear?: (() => void) | null; // clears the recent searches
+}
+export const SearchSuggestions: React.FC<SearchSuggestionsProps>; // a dropdown list of recent searches and suggested queries for a search input
+export function useSearchHistory(options: {
+  storageKey: string;
+  maxQueries: number;
+}): {
+  history: string[]; // most recent first
+  addQuery: (query: string) => void;
+  removeQuery: (query: string) => void;
+  clearHistory: () => void;
+};
+
+export interface InteractiveTranscriptProps {
+  entryId: string; // the id of the KalturaEntry whose transcript to show
+  player?: PlayerHandle | null; // the Player handle to synchronize with (e.g. `player` from useKalturaPlayer, or a Player ref's current value)
+  currentTime?: number | null; // the current playback time in seconds, overrides the time read from the player
+  captionUrl?: string | null; // a URL to load the caption file from, instead of the Kaltura caption API
+  captionFormat?: "srt" | "webvtt" | "dfxp" | null; // the format of the caption file, detected from its contents if not passed
+  language?: string | null; // the preferred caption language (e.g. English) or language code (e.g. en), when using the Kaltura caption API
+  kalturaServiceUrl?: string; // the URL to access the Kaltura service on, defaults to: https://cdnapi-ev.kaltura.com
+  partnerId?: number; // the Kaltura account id (KMC>Integration Settings>Partner ID), required when using the Kaltura caption API
+  ks?: string; // the Kaltura Session, required when using the Kaltura caption API
+  autoScroll?: boolean; // should the transcript scroll to the active cue as the player plays? defaults to true
+  showSearch?: boolean; // should the transcript search box be shown? defaults to true
+  onCueClick?: ((cue: TranscriptCue) => void) | null; // function to call when a cue is clicked
+  onError?: ((error: Error) => void) | null; // function to call when the captions failed to load
+}
+export const InteractiveTranscript: React.FC<InteractiveTranscriptProps>;
+
+export function parseCaptions(
+  text: string,
+  format?: "srt" | "webvtt" | "dfxp" | null
+): TranscriptCue[]; // parses caption file contents to cues, the format is detected from the contents if not passed
+export function fetchKalturaCaptions(options: {
+  kalturaServiceUrl?: string;
+  partnerId: number;
+  ks: string;
+  entryId: string;
+  language?: string;
+}): Promise<{ text: string; format: string; language: string }>; // fetches the caption file of an entry through the Kaltura caption API
@@ -1,4 +1,42 @@
 export { default as Player } from "./components/Player";
+export { default as useKalturaPlayer } from "./hooks/useKalturaPlayer";
 export { default as PlayersGallery } from "./components/PlayersGallery";
 export { default as SearchResultsWithGallery } from "./components/SearchResultsWithGallery";
 export { default as EmbeddedKalturaSearchView } from "./components/EmbeddedKalturaSearchView";
+export { default as InteractiveTranscript } from "./components/InteractiveTranscript";
+export { default as ThumbnailPreview } from "./components/ThumbnailPreview";
+export { default as ClipCollection } from "./components/ClipCollection";
+export { default as useClipCollection } from "./hooks/useClipCollection";
+export { default as SearchSuggestions } from "./components/SearchSuggestions";
+export { default as useSearchHistory } from "./hooks/useSearchHistory";
+export {
+  loadKalturaPlayer,
+  loadKalturaPlayerScript,
+  getKalturaPlayerScriptUrl,
+} from "./utils/kalturaPlayerLoader";
+export { parseCaptions, fetchKalturaCaptions } from "./utils/captions";
+export { createPlayerPool } from "./utils/playerPool";
+export {
+  getEntryThumbnailUrl,
+  getEntryThumbnailSpriteUrl,
+} from "./utils/thumbnails";
+export {
+  createClip,
+  exportClipsAsJson,
+  exportClipsAsM3u,
+  exportClipsAsKalturaPlaylist,
+  encodeClipCollection,
+  decodeClipCollection,
+  getClipCollectionShareUrl,
+  getSharedClipCollection,
+} from "./utils/clipCollection";
+export {
+  createHttpSearchClient,
+  applySearchStreamEvent,
+  DEFAULT_SEARCH_INDEX,
+} from "./utils/searchClient";
+export {
+  createSearchCache,
+  getSearchCacheKey,
+  normalizeSearchQuery,
+} from "./utils/searchCache";
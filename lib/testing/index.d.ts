@@ -0,0 +1,92 @@
+import { PlayersGalleryProps } from "../index";
+
+type SearchResponse = PlayersGalleryProps["data"];
+
+export interface MockKalturaPlayerInstance {
+  config: any; // the config the player was set up with (KalturaPlayer.setup)
+  entryId: string | null; // the id of the loaded entry
+  mediaOptions: any; // the media options of the last loadMedia call
+  isDestroyed: boolean;
+  targetId: string; // the id of the element the player is attached to (pooled instances move between players)
+  Event: { [name: string]: any }; // event names, mirroring kaltura-player-js instance.Event
+  Track: { AUDIO: string; TEXT: string; VIDEO: string };
+  State: { [name: string]: string };
+  currentTime: number;
+  duration: number;
+  volume: number;
+  muted: boolean;
+  playbackRate: number;
+  paused: boolean;
+  ended: boolean;
+  isFullscreen: boolean;
+  isInPictureInPicture: boolean;
+  playlist: {
+    items: Array<{ entryId: string }>;
+    index: number;
+    next: { entryId: string } | null;
+    playItem: (index: number) => void;
+    playNext: () => void;
+    playPrev: () => void;
+  };
+  addEventListener: (eventName: string, listener: (event: any) => void) => void;
+  removeEventListener: (
+    eventName: string,
+    listener: (event: any) => void
+  ) => void;
+  emit: (eventName: string, payload?: any) => void; // emit an event to the listeners, e.g. to simulate an error
+  advanceTime: (seconds: number) => void; // move playback time forward, emitting TIME_UPDATE (and ENDED at the end of the media)
+  loadMedia: (
+    mediaInfo: { entryId: string },
+    mediaOptions?: any
+  ) => Promise<void>;
+  ready: () => Promise<void>;
+  play: () => Promise<void>;
+  pause: () => void;
+  getTracks: (type?: string) => any[];
+  selectTrack: (track: any) => void;
+  configure: (config: any) => void;
+  getView: () => HTMLDivElement; // the player root element
+  destroy: () => void;
+}
+export interface MockKalturaPlayer {
+  players: MockKalturaPlayerInstance[]; // every instance that was set up, including destroyed ones
+  setup: (config: any) => MockKalturaPlayerInstance;
+  getPlayers: () => { [targetId: string]: MockKalturaPlayerInstance }; // the live instances attached to a player, by their target (player) id
+  getPlayer: (targetId: string) => MockKalturaPlayerInstance | null; // the live instance attached to a player id
+}
+export function createMockKalturaPlayer(options?: {
+  durations?: { [entryId: string]: number }; // media duration (seconds) per entry id, defaults to 600
+  tracks?: Array<{ type: string; language?: string; label?: string }>; // tracks every loaded media has
+  playlists?: { [playlistId: string]: string[] }; // entry ids per playlist id, for playlistId mode
+}): MockKalturaPlayer;
+export function installMockKalturaPlayer(
+  mockKalturaPlayer?: MockKalturaPlayer
+): {
+  mockKalturaPlayer: MockKalturaPlayer;
+  uninstall: () => void; // restores the default script loader and window.KalturaPlayer
+};
+export function setKalturaPlayerScriptLoader(
+  loader: ((scriptUrl: string) => any) | null
+): void; // override how the player script is loaded (null restores the default), also clears the loaded scripts registry
+
+export function createSearchResponseFixture(
+  overrides?: Partial<SearchResponse>
+): SearchResponse;
+type MockSearchFetchOptions = {
+  fixtures?: { [searchQuery: string]: SearchResponse }; // search responses keyed by search query
+  defaultResponse?: SearchResponse; // the response for queries without a fixture
+  status?: number; // HTTP status to answer with, defaults to 200
+  delay?: number; // how long (ms) to wait before answering, defaults to 0
+  stream?: "sse" | "ndjson" | null; // stream the responses, one event per answer sentence and per ref
+  chunkDelay?: number; // when streaming, how long (ms) to wait before each event, defaults to 0
+};
+type MockSearchFetch = ((url: string, options?: any) => Promise<any>) & {
+  calls: Array<{ url: string; options: any; query: string | null }>;
+};
+export function createMockSearchFetch(
+  options?: MockSearchFetchOptions
+): MockSearchFetch;
+export function installMockSearchApi(options?: MockSearchFetchOptions): {
+  mockFetch: MockSearchFetch;
+  restore: () => void; // restores the previous global fetch
+};
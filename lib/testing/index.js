@@ -0,0 +1,10 @@
+export {
+  createMockKalturaPlayer,
+  installMockKalturaPlayer,
+} from "./mockKalturaPlayer";
+export {
+  createSearchResponseFixture,
+  createMockSearchFetch,
+  installMockSearchApi,
+} from "./mockSearchApi";
+export { setKalturaPlayerScriptLoader } from "../utils/kalturaPlayerLoader";
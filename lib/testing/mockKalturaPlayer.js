@@ -0,0 +1,400 @@
+import { setKalturaPlayerScriptLoader } from "../utils/kalturaPlayerLoader";
+
+// the event names the mock emits, mirroring the keys of the kaltura-player-js instance.Event
+const MOCK_EVENTS = {
+  ERROR: "error",
+  TRACKS_CHANGED: "trackschanged",
+  MEDIA_LOADED: "medialoaded",
+  LOADED_METADATA: "loadedmetadata",
+  DURATION_CHANGE: "durationchange",
+  FIRST_PLAY: "firstplay",
+  PLAY: "play",
+  PAUSE: "pause",
+  ENDED: "ended",
+  TIME_UPDATE: "timeupdate",
+  SEEKING: "seeking",
+  SEEKED: "seeked",
+  VOLUME_CHANGE: "volumechange",
+  RATE_CHANGE: "ratechange",
+  PLAYER_STATE_CHANGED: "playerstatechanged",
+  TEXT_TRACK_CHANGED: "texttrackchanged",
+  AUDIO_TRACK_CHANGED: "audiotrackchanged",
+  VIDEO_TRACK_CHANGED: "videotrackchanged",
+  Playlist: {
+    PLAYLIST_ITEM_CHANGED: "kaltura-player-playlistitemchanged",
+  },
+};
+
+const MOCK_TRACK_TYPES = { AUDIO: "audio", TEXT: "text", VIDEO: "video" };
+const MOCK_STATES = {
+  IDLE: "idle",
+  LOADING: "loading",
+  PLAYING: "playing",
+  PAUSED: "paused",
+  BUFFERING: "buffering",
+};
+const DEFAULT_MOCK_DURATION = 600;
+
+/**
+ * An in-memory stand-in for a kaltura-player-js instance, with controllable time.
+ * Events are emitted the same way the real player does, media loading events are emitted asynchronously.
+ */
+class MockKalturaPlayerInstance {
+  constructor(config, options) {
+    this.config = config;
+    this.options = options;
+    this.Event = MOCK_EVENTS;
+    this.Track = MOCK_TRACK_TYPES;
+    this.State = MOCK_STATES;
+    this.entryId = null;
+    this.mediaOptions = {};
+    this.isDestroyed = false;
+    this.listeners = {};
+    this._currentTime = 0;
+    this._volume =
+      config.playback && config.playback.volume !== undefined
+        ? config.playback.volume
+        : 1;
+    this._muted = false;
+    this._playbackRate = 1;
+    this.duration = 0;
+    this.paused = true;
+    this.ended = false;
+    this.hasPlayed = false;
+    this.isFullscreen = false;
+    this.isInPictureInPicture = false;
+    this.tracks = [];
+    this._readyPromise = Promise.resolve();
+    this.playlist = this.createPlaylist();
+    // the player root element, appended to the target like the real player does
+    this.view = document.createElement("div");
+    this.view.className = "mock-kaltura-player";
+    const target = document.getElementById(config.targetId);
+    if (target) {
+      target.appendChild(this.view);
+    }
+  }
+
+  getView() {
+    return this.view;
+  }
+
+  /**
+   * @returns {string} - The id of the element the player is currently attached to (pooled instances move between targets).
+   */
+  get targetId() {
+    return this.view.parentNode
+      ? this.view.parentNode.id
+      : this.config.targetId;
+  }
+
+  addEventListener(eventName, listener) {
+    (this.listeners[eventName] = this.listeners[eventName] || []).push(
+      listener
+    );
+  }
+
+  removeEventListener(eventName, listener) {
+    this.listeners[eventName] = (this.listeners[eventName] || []).filter(
+      (l) => l !== listener
+    );
+  }
+
+  /**
+   * Emit an event to the listeners, e.g. to simulate an error: player.emit(player.Event.ERROR, {code: 1})
+   *
+   * @param {string} eventName - One of the player.Event values.
+   * @param {*} [payload] - The event payload.
+   */
+  emit(eventName, payload) {
+    (this.listeners[eventName] || [])
+      .slice()
+      .forEach((listener) => listener({ type: eventName, payload }));
+  }
+
+  loadMedia(mediaInfo, mediaOptions = {}) {
+    this.entryId = mediaInfo.entryId;
+    this.mediaOptions = mediaOptions;
+    this._currentTime = mediaOptions.startTime || 0;
+    this.duration =
+      (this.options.durations && this.options.durations[mediaInfo.entryId]) ||
+      DEFAULT_MOCK_DURATION;
+    this.paused = true;
+    this.ended = false;
+    this.hasPlayed = false;
+    this.tracks = (this.options.tracks || []).map((track, index) => ({
+      index,
+      active: false,
+      ...track,
+    }));
+    this._readyPromise = Promise.resolve().then(() => {
+      if (!this.isDestroyed) {
+        this.emit(this.Event.MEDIA_LOADED, { entryId: this.entryId });
+        this.emit(this.Event.LOADED_METADATA);
+        this.emit(this.Event.DURATION_CHANGE);
+        this.emit(this.Event.TRACKS_CHANGED, { tracks: this.tracks });
+      }
+    });
+    return this._readyPromise;
+  }
+
+  ready() {
+    return this._readyPromise;
+  }
+
+  play() {
+    this.paused = false;
+    if (this.ended) {
+      this.ended = false;
+      this._currentTime = 0;
+    }
+    if (!this.hasPlayed) {
+      this.hasPlayed = true;
+      this.emit(this.Event.FIRST_PLAY);
+    }
+    this.emit(this.Event.PLAY);
+    this.emit(this.Event.PLAYER_STATE_CHANGED, {
+      newState: { type: this.State.PLAYING },
+    });
+    return Promise.resolve();
+  }
+
+  pause() {
+    if (!this.paused) {
+      this.paused = true;
+      this.emit(this.Event.PAUSE);
+      this.emit(this.Event.PLAYER_STATE_CHANGED, {
+        newState: { type: this.State.PAUSED },
+      });
+    }
+  }
+
+  /**
+   * Move playback time forward as if the media played, emitting TIME_UPDATE (and ENDED at the end of the media).
+   *
+   * @param {number} seconds - How many seconds to advance.
+   */
+  advanceTime(seconds) {
+    this._currentTime = Math.min(this._currentTime + seconds, this.duration);
+    this.emit(this.Event.TIME_UPDATE);
+    if (this._currentTime >= this.duration && !this.ended) {
+      this.ended = true;
+      this.paused = true;
+      this.emit(this.Event.ENDED);
+    }
+  }
+
+  get currentTime() {
+    return this._currentTime;
+  }
+
+  set currentTime(time) {
+    this.emit(this.Event.SEEKING);
+    this._currentTime = time;
+    this.ended = false;
+    this.emit(this.Event.SEEKED);
+    this.emit(this.Event.TIME_UPDATE);
+  }
+
+  get volume() {
+    return this._volume;
+  }
+
+  set volume(volume) {
+    this._volume = volume;
+    this.emit(this.Event.VOLUME_CHANGE);
+  }
+
+  get muted() {
+    return this._muted;
+  }
+
+  set muted(muted) {
+    this._muted = muted;
+    this.emit(this.Event.VOLUME_CHANGE);
+  }
+
+  get playbackRate() {
+    return this._playbackRate;
+  }
+
+  set playbackRate(rate) {
+    this._playbackRate = rate;
+    this.emit(this.Event.RATE_CHANGE);
+  }
+
+  getTracks(type) {
+    return this.tracks.filter((track) => !type || track.type === type);
+  }
+
+  selectTrack(track) {
+    this.tracks.forEach((t) => {
+      if (t.type === track.type) {
+        t.active = t.index === track.index;
+      }
+    });
+    this.emit(
+      {
+        [this.Track.TEXT]: this.Event.TEXT_TRACK_CHANGED,
+        [this.Track.AUDIO]: this.Event.AUDIO_TRACK_CHANGED,
+        [this.Track.VIDEO]: this.Event.VIDEO_TRACK_CHANGED,
+      }[track.type],
+      { selectedTrack: track }
+    );
+  }
+
+  hideTextTrack() {
+    this.getTracks(this.Track.TEXT).forEach((track) => (track.active = false));
+    this.emit(this.Event.TEXT_TRACK_CHANGED, { selectedTrack: null });
+  }
+
+  enableAdaptiveBitrate() {
+    this.getTracks(this.Track.VIDEO).forEach((track) => (track.active = false));
+  }
+
+  enterFullscreen() {
+    this.isFullscreen = true;
+  }
+
+  exitFullscreen() {
+    this.isFullscreen = false;
+  }
+
+  enterPictureInPicture() {
+    this.isInPictureInPicture = true;
+  }
+
+  exitPictureInPicture() {
+    this.isInPictureInPicture = false;
+  }
+
+  configure(config) {
+    this.config = {
+      ...this.config,
+      ...config,
+      provider: { ...this.config.provider, ...(config.provider || {}) },
+    };
+    // like the real player, playlist options apply to the loaded playlist
+    if (config.playlist && config.playlist.options) {
+      this.playlist.options = {
+        ...this.playlist.options,
+        ...config.playlist.options,
+      };
+    }
+  }
+
+  createPlaylist() {
+    const player = this;
+    return {
+      items: [],
+      index: -1,
+      options: {},
+      get next() {
+        return this.items[this.index + 1] || null;
+      },
+      playItem(index) {
+        if (index < 0 || index >= this.items.length) {
+          return;
+        }
+        this.index = index;
+        player.loadMedia({ entryId: this.items[index].entryId });
+        player.emit(player.Event.Playlist.PLAYLIST_ITEM_CHANGED, {
+          index,
+          activeItem: this.items[index],
+        });
+      },
+      playNext() {
+        if (this.next) {
+          this.playItem(this.index + 1);
+        } else if (this.options.loop) {
+          this.playItem(0);
+        }
+      },
+      playPrev() {
+        this.playItem(this.index - 1);
+      },
+    };
+  }
+
+  loadPlaylist(playlistInfo, playlistConfig = {}) {
+    const entries =
+      (this.options.playlists &&
+        this.options.playlists[playlistInfo.playlistId]) ||
+      [];
+    return this.loadPlaylistByEntryList(
+      { entries: entries.map((entryId) => ({ entryId })) },
+      playlistConfig
+    );
+  }
+
+  loadPlaylistByEntryList(entryList, playlistConfig = {}) {
+    this.playlist.items = entryList.entries;
+    this.playlist.options = playlistConfig.options || {};
+    this.playlist.playItem(0);
+    return Promise.resolve();
+  }
+
+  destroy() {
+    this.isDestroyed = true;
+    this.listeners = {};
+    if (this.view.parentNode) {
+      this.view.parentNode.removeChild(this.view);
+    }
+  }
+}
+
+/**
+ * Create an in-memory fake of the KalturaPlayer library (window.KalturaPlayer).
+ *
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.durations] - Media duration (seconds) per entry id, defaults to 600.
+ * @param {Array<Object>} [options.tracks] - Tracks every loaded media has, e.g. {type: "text", language: "en", label: "English"}.
+ * @param {Object<string, Array<string>>} [options.playlists] - Entry ids per playlist id, for playlistId mode.
+ * @returns {Object} - The fake library, with players (every instance created) and getPlayers / getPlayer(targetId) to reach the attached ones.
+ */
+export const createMockKalturaPlayer = (options = {}) => {
+  const players = [];
+  const h = () => null;
+  // idle pooled instances are detached from any target until reused
+  const isAttached = (player) =>
+    !player.isDestroyed && player.getView().parentNode !== null;
+  return {
+    players,
+    ui: { h, preact: { h } },
+    setup: (config) => {
+      const player = new MockKalturaPlayerInstance(config, options);
+      players.push(player);
+      return player;
+    },
+    getPlayers: () =>
+      players.filter(isAttached).reduce((acc, player) => {
+        acc[player.targetId] = player;
+        return acc;
+      }, {}),
+    getPlayer: (targetId) =>
+      players.find(
+        (player) => isAttached(player) && player.targetId === targetId
+      ) || null,
+  };
+};
+
+/**
+ * Make every Player load the given fake library instead of injecting the Kaltura Player script.
+ *
+ * @param {Object} [mockKalturaPlayer] - A library created with createMockKalturaPlayer, a new one is created if not passed.
+ * @returns {{mockKalturaPlayer: Object, uninstall: Function}} - The installed library, and a function restoring the default loader.
+ */
+export const installMockKalturaPlayer = (
+  mockKalturaPlayer = createMockKalturaPlayer()
+) => {
+  const previousKalturaPlayer = window.KalturaPlayer;
+  window.KalturaPlayer = mockKalturaPlayer;
+  setKalturaPlayerScriptLoader(() => mockKalturaPlayer);
+  return {
+    mockKalturaPlayer,
+    uninstall: () => {
+      setKalturaPlayerScriptLoader(null);
+      window.KalturaPlayer = previousKalturaPlayer;
+    },
+  };
+};
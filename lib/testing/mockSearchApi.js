@@ -0,0 +1,192 @@
+/**
+ * Create a search response fixture in the shape the search components render (model_answer and ref[], see PlayersGallery.propTypes).
+ *
+ * @param {Object} [overrides] - Fields to override, refs are built from overrides.ref if passed.
+ * @returns {Object} - The search response.
+ */
+export const createSearchResponseFixture = (overrides = {}) => {
+  const ref = (
+    overrides.ref || [
+      {
+        entry_id: "1_mock0001",
+        segment_title: "first topic",
+        sentence_from_model_answer: "1. The first point of the answer.",
+        video_transcript_segment: "this is where the first point is made",
+        time: 10,
+        score: 0.2,
+      },
+      {
+        entry_id: "1_mock0002",
+        segment_title: "second topic",
+        sentence_from_model_answer: "2. The second point of the answer.",
+        video_transcript_segment: "and this is where the second point is made",
+        time: 42,
+        score: 0.3,
+      },
+    ]
+  ).map((refObj) => ({
+    video_transcript_segment: "",
+    sentence_from_model_answer: "",
+    segment_title: "",
+    time: 0,
+    score: 0,
+    ...refObj,
+  }));
+
+  return {
+    model_answer: ref
+      .map((refObj) => refObj.sentence_from_model_answer)
+      .join("\n"),
+    entry_id: ref.length > 0 ? ref[0].entry_id : "",
+    time: ref.length > 0 ? ref[0].time : 0,
+    score: ref.length > 0 ? ref[0].score : 0,
+    ...overrides,
+    ref,
+  };
+};
+
+/**
+ * Get the events a streaming search API sends for a response: its conversation id (if any), then each sentence of the answer, then the ref citing it.
+ *
+ * @param {Object} response - The search response.
+ * @returns {Array<Object>} - The events, see applySearchStreamEvent.
+ */
+const getSearchStreamEvents = (response) => [
+  ...(response.conversation_id
+    ? [{ conversation_id: response.conversation_id }]
+    : []),
+  ...response.ref.flatMap((refObj) => [
+    { answer_delta: refObj.sentence_from_model_answer + "\n" },
+    { ref: refObj },
+  ]),
+  { done: true },
+];
+
+/**
+ * Create a streamed response body, with a reader sending one event per chunk.
+ *
+ * @param {Array<string>} chunks - The chunks of text.
+ * @param {number} chunkDelay - How long (ms) to wait before each chunk.
+ * @param {AbortSignal} [signal] - The signal of the request, aborting it fails the pending read.
+ * @returns {{getReader: Function}}
+ */
+const createStreamBody = (chunks, chunkDelay, signal) => ({
+  getReader: () => {
+    let index = 0;
+    return {
+      read: () =>
+        new Promise((resolve, reject) => {
+          setTimeout(() => {
+            if (signal && signal.aborted) {
+              const error = new Error("The operation was aborted.");
+              error.name = "AbortError";
+              reject(error);
+            } else if (index >= chunks.length) {
+              resolve({ done: true, value: undefined });
+            } else {
+              resolve({
+                done: false,
+                value: new TextEncoder().encode(chunks[index++]),
+              });
+            }
+          }, chunkDelay);
+        }),
+      cancel: () => {
+        index = chunks.length;
+        return Promise.resolve();
+      },
+    };
+  },
+});
+
+/**
+ * Create a fetch compatible function answering search requests from fixtures, keyed by the searchquery in the request body.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.fixtures] - Search responses keyed by search query.
+ * @param {Object} [options.defaultResponse] - The response for queries without a fixture, defaults to createSearchResponseFixture().
+ * @param {number} [options.status=200] - HTTP status to answer with, e.g. 500 to simulate a failing search API.
+ * @param {number} [options.delay=0] - How long (ms) to wait before answering.
+ * @param {string} [options.stream] - sse or ndjson to stream the responses, one event per answer sentence and per ref.
+ * @param {number} [options.chunkDelay=0] - When streaming, how long (ms) to wait before each event.
+ * @returns {Function} - The fetch function, its calls are recorded in fetch.calls as {url, options, query}.
+ */
+export const createMockSearchFetch = ({
+  fixtures = {},
+  defaultResponse = createSearchResponseFixture(),
+  status = 200,
+  delay = 0,
+  stream = null,
+  chunkDelay = 0,
+} = {}) => {
+  const mockFetch = (url, options = {}) => {
+    let query = null;
+    try {
+      query = JSON.parse(options.body).searchquery;
+    } catch (e) {
+      query = null;
+    }
+    mockFetch.calls.push({ url, options, query });
+
+    // deep copy, the components add fields to the response refs
+    const body = JSON.parse(
+      JSON.stringify(
+        query !== null && fixtures[query] ? fixtures[query] : defaultResponse
+      )
+    );
+    const ok = status >= 200 && status < 300;
+    if (!stream || !ok) {
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(() => ({
+        ok,
+        status,
+        headers: { get: () => null },
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(JSON.stringify(body)),
+      }));
+    }
+
+    const chunks = getSearchStreamEvents(body).map((event) =>
+      stream === "sse"
+        ? `data: ${JSON.stringify(event)}\n\n`
+        : JSON.stringify(event) + "\n"
+    );
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() => ({
+      ok,
+      status,
+      headers: {
+        get: (name) =>
+          name.toLowerCase() === "content-type"
+            ? stream === "sse"
+              ? "text/event-stream"
+              : "application/x-ndjson"
+            : null,
+      },
+      // without TextEncoder (e.g. older jsdom test environments) the stream is read at once, through text()
+      body:
+        typeof TextEncoder !== "undefined"
+          ? createStreamBody(chunks, chunkDelay, options.signal)
+          : null,
+      text: () => Promise.resolve(chunks.join("")),
+    }));
+  };
+  mockFetch.calls = [];
+  return mockFetch;
+};
+
+/**
+ * Replace the global fetch with a fixture based search responder.
+ *
+ * @param {Object} [options] - @see createMockSearchFetch
+ * @returns {{mockFetch: Function, restore: Function}} - The installed fetch, and a function restoring the previous fetch.
+ */
+export const installMockSearchApi = (options = {}) => {
+  const previousFetch = globalThis.fetch;
+  const mockFetch = createMockSearchFetch(options);
+  globalThis.fetch = mockFetch;
+  return {
+    mockFetch,
+    restore: () => {
+      globalThis.fetch = previousFetch;
+    },
+  };
+};
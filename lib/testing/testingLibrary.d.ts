@@ -0,0 +1,19 @@
+// React Testing Library helpers, a separate entry as they require @testing-library/react
+export function waitForHoverDelay(): Promise<void>; // wait out the gallery hover intent delay (real or jest fake timers)
+export function getGalleryItem(
+  container: HTMLElement,
+  index: number
+): HTMLElement | null;
+export function hoverGalleryItem(
+  container: HTMLElement,
+  index: number
+): Promise<void>;
+export function unhoverGalleryItem(
+  container: HTMLElement,
+  index: number
+): Promise<void>;
+export function hoverSentence(
+  container: HTMLElement,
+  index: number
+): Promise<void>;
+export function flushPlayerSetup(): Promise<void>; // wait for the mock players to be set up and their media loaded
@@ -0,0 +1,92 @@
+import { act, fireEvent } from "@testing-library/react";
+import { MOUSE_LEAVE_DELAY } from "../components/PlayersGallery";
+
+/**
+ * Are jest fake timers (modern or legacy) installed?
+ *
+ * @returns {boolean}
+ */
+const isUsingFakeTimers = () =>
+  typeof jest !== "undefined" &&
+  (typeof setTimeout.clock !== "undefined" || jest.isMockFunction(setTimeout));
+
+/**
+ * Let time pass inside act, with real or jest fake timers.
+ *
+ * @param {number} ms - How long to wait.
+ * @returns {Promise<void>}
+ */
+const wait = (ms) =>
+  act(() => {
+    if (isUsingFakeTimers()) {
+      jest.advanceTimersByTime(ms);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  });
+
+/**
+ * Wait out the gallery's hover intent delay.
+ *
+ * @returns {Promise<void>}
+ */
+export const waitForHoverDelay = () => wait(MOUSE_LEAVE_DELAY + 1);
+
+/**
+ * Get a PlayersGallery item element by its index.
+ *
+ * @param {HTMLElement} container - The rendered container (e.g. from RTL render).
+ * @param {number} index - The index of the gallery item.
+ * @returns {HTMLElement|null}
+ */
+export const getGalleryItem = (container, index) =>
+  container.querySelector(
+    `.react_kaltura_players_gallery_item_container[data-index="${index}"]`
+  );
+
+/**
+ * Hover a PlayersGallery item and wait for the hover to take effect (play, when shouldPlayOnHover).
+ *
+ * @param {HTMLElement} container - The rendered container.
+ * @param {number} index - The index of the gallery item.
+ * @returns {Promise<void>}
+ */
+export const hoverGalleryItem = async (container, index) => {
+  fireEvent.mouseEnter(getGalleryItem(container, index));
+  await waitForHoverDelay();
+};
+
+/**
+ * Leave a hovered PlayersGallery item and wait for the hover to end (pause, when shouldPlayOnHover).
+ *
+ * @param {HTMLElement} container - The rendered container.
+ * @param {number} index - The index of the gallery item.
+ * @returns {Promise<void>}
+ */
+export const unhoverGalleryItem = async (container, index) => {
+  fireEvent.mouseLeave(getGalleryItem(container, index));
+  await waitForHoverDelay();
+};
+
+/**
+ * Hover a sentence of SearchResultsWithGallery, which plays its cited segment.
+ *
+ * @param {HTMLElement} container - The rendered container.
+ * @param {number} index - The index of the sentence.
+ * @returns {Promise<void>}
+ */
+export const hoverSentence = async (container, index) => {
+  const sentence = container.querySelectorAll(
+    ".react_kaltura_search_results_sentences_container > div:not(.react_kaltura_search_results_footnotes_container)"
+  )[index];
+  await act(async () => {
+    fireEvent.mouseEnter(sentence);
+  });
+};
+
+/**
+ * Wait for the mock players to be set up and their media loaded (the mock emits media events asynchronously).
+ *
+ * @returns {Promise<void>}
+ */
+export const flushPlayerSetup = () => wait(0);
@@ -0,0 +1,179 @@
+import { DEFAULT_KALTURA_URL } from "./kalturaPlayerLoader";
+
+// KalturaCaptionType enum values, as returned in the format field of caption assets
+const KALTURA_CAPTION_FORMATS = {
+  1: "srt",
+  2: "dfxp",
+  3: "webvtt",
+};
+
+/**
+ * Parse a caption timestamp (e.g. 00:01:02,500 / 01:02.500 / 62.5s) to seconds.
+ *
+ * @param {string} timestamp - The timestamp to parse.
+ * @returns {number} - Time in seconds.
+ */
+const parseTimestamp = (timestamp) => {
+  const value = timestamp.trim().replace(",", ".");
+  if (value.endsWith("s")) {
+    return parseFloat(value);
+  }
+  return value
+    .split(":")
+    .reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+};
+
+/**
+ * Parse SRT or WebVTT text to cues, both share the "start --> end" block structure.
+ *
+ * @param {string} text - The caption file contents.
+ * @returns {Array<{id: number, startTime: number, endTime: number, text: string}>} - The cues.
+ */
+const parseTimedTextBlocks = (text) =>
+  text
+    .replace(/\r/g, "")
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n"))
+    .map((lines) => {
+      const timingLineIndex = lines.findIndex((line) => line.includes("-->"));
+      if (timingLineIndex === -1) {
+        return null;
+      }
+      const [start, end] = lines[timingLineIndex].split("-->");
+      return {
+        startTime: parseTimestamp(start),
+        // WebVTT may have cue settings after the end timestamp
+        endTime: parseTimestamp(end.trim().split(/\s+/)[0]),
+        text: lines
+          .slice(timingLineIndex + 1)
+          .join("\n")
+          .replace(/<[^>]+>/g, "")
+          .trim(),
+      };
+    })
+    .filter((cue) => cue && cue.text !== "")
+    .map((cue, index) => ({ id: index, ...cue }));
+
+/**
+ * Parse DFXP (TTML) text to cues.
+ *
+ * @param {string} text - The caption file contents.
+ * @returns {Array<{id: number, startTime: number, endTime: number, text: string}>} - The cues.
+ */
+const parseDfxp = (text) => {
+  const doc = new DOMParser().parseFromString(text, "text/xml");
+  return Array.from(doc.getElementsByTagName("p"))
+    .map((p) => ({
+      startTime: parseTimestamp(p.getAttribute("begin") || "0"),
+      endTime: parseTimestamp(p.getAttribute("end") || "0"),
+      text: Array.from(p.childNodes)
+        .map((node) => (node.nodeName === "br" ? "\n" : node.textContent))
+        .join("")
+        .trim(),
+    }))
+    .filter((cue) => cue.text !== "")
+    .map((cue, index) => ({ id: index, ...cue }));
+};
+
+/**
+ * Detect the format of caption file contents.
+ *
+ * @param {string} text - The caption file contents.
+ * @returns {string} - One of srt, webvtt, dfxp.
+ */
+export const detectCaptionFormat = (text) => {
+  const start = text.trim().slice(0, 100);
+  if (start.startsWith("WEBVTT")) {
+    return "webvtt";
+  }
+  if (start.startsWith("<")) {
+    return "dfxp";
+  }
+  return "srt";
+};
+
+/**
+ * Parse caption file contents to cues.
+ *
+ * @param {string} text - The caption file contents.
+ * @param {string} [format] - One of srt, webvtt, dfxp. Detected from the contents if not passed.
+ * @returns {Array<{id: number, startTime: number, endTime: number, text: string}>} - The cues, times in seconds.
+ */
+export const parseCaptions = (text, format = null) =>
+  (format || detectCaptionFormat(text)) === "dfxp"
+    ? parseDfxp(text)
+    : parseTimedTextBlocks(text);
+
+/**
+ * Fetch the caption file of an entry through the Kaltura caption API, preferring the given language, then the default asset.
+ *
+ * @param {Object} options
+ * @param {string} [options.kalturaServiceUrl] - The URL to access the Kaltura service on.
+ * @param {number} options.partnerId - The Kaltura account id.
+ * @param {string} options.ks - The Kaltura Session.
+ * @param {string} options.entryId - The id of the KalturaEntry.
+ * @param {string} [options.language] - The preferred caption language (e.g. English) or language code (e.g. en).
+ * @returns {Promise<{text: string, format: string, language: string}>} - The caption file contents and its format.
+ */
+export const fetchKalturaCaptions = ({
+  kalturaServiceUrl,
+  partnerId,
+  ks,
+  entryId,
+  language,
+}) => {
+  const serviceUrl =
+    kalturaServiceUrl && kalturaServiceUrl !== ""
+      ? kalturaServiceUrl
+      : DEFAULT_KALTURA_URL;
+  const apiUrl = `${serviceUrl}/api_v3/service/caption_captionasset/action`;
+
+  return fetch(
+    `${apiUrl}/list?format=1&partnerId=${partnerId}&ks=${encodeURIComponent(
+      ks
+    )}&filter:entryIdEqual=${encodeURIComponent(entryId)}`
+  )
+    .then((response) => {
+      if (response.ok) {
+        return response.json();
+      } else {
+        throw new Error("Failed to list the entry captions");
+      }
+    })
+    .then((result) => {
+      if (result.objectType === "KalturaAPIException") {
+        throw new Error(result.message);
+      }
+      const captionAssets = (result.objects || []).filter(
+        (asset) => KALTURA_CAPTION_FORMATS[asset.format]
+      );
+      const captionAsset =
+        (language &&
+          captionAssets.find(
+            (asset) =>
+              asset.language === language || asset.languageCode === language
+          )) ||
+        captionAssets.find((asset) => asset.isDefault) ||
+        captionAssets[0];
+      if (!captionAsset) {
+        throw new Error("No captions found for this entry");
+      }
+      return fetch(
+        `${apiUrl}/serve?partnerId=${partnerId}&ks=${encodeURIComponent(
+          ks
+        )}&captionAssetId=${captionAsset.id}`
+      )
+        .then((response) => {
+          if (response.ok) {
+            return response.text();
+          } else {
+            throw new Error("Failed to load the entry captions");
+          }
+        })
+        .then((text) => ({
+          text,
+          format: KALTURA_CAPTION_FORMATS[captionAsset.format],
+          language: captionAsset.language,
+        }));
+    });
+};
@@ -0,0 +1,260 @@
+import { DEFAULT_KALTURA_URL } from "./kalturaPlayerLoader";
+
+// the localStorage key the collection is kept under by default
+export const DEFAULT_CLIP_COLLECTION_STORAGE_KEY =
+  "react_kaltura_clip_collection";
+// the URL query parameter a shared collection is encoded in by default
+export const DEFAULT_CLIP_COLLECTION_SHARE_PARAM = "clips";
+
+// KalturaPlaylistType.STATIC_LIST
+const KALTURA_STATIC_PLAYLIST_TYPE = 3;
+
+/**
+ * Get the id of the clip of a segment, the same segment (entry, time and end) cited by different searches is one clip.
+ *
+ * @param {{entry_id: string, time: number, end: ?number}} clip - The clip, or the ref citing the segment.
+ * @returns {string}
+ */
+export const getClipId = (clip) =>
+  `${clip.entry_id}_${clip.time}_${
+    clip.end !== undefined && clip.end !== null ? clip.end : ""
+  }`;
+
+/**
+ * Create a clip from a ref of a search result.
+ *
+ * @param {Object} ref - The ref (a video segment cited by the answer).
+ * @param {string} query - The search query the ref was found by.
+ * @returns {{entry_id: string, time: number, end: ?number, title: string, transcript_segment: string, query: string}} - The clip.
+ */
+export const createClip = (ref, query) => ({
+  entry_id: ref.entry_id,
+  time: ref.time,
+  end: ref.end !== undefined && ref.end !== null ? ref.end : null,
+  title: (ref.segment_title || "").trim(),
+  transcript_segment: ref.video_transcript_segment || "",
+  query: query || "",
+});
+
+/**
+ * Read a collection from localStorage.
+ *
+ * @param {string} storageKey - The localStorage key.
+ * @returns {Array<Object>} - The clips, empty if there are none or localStorage isn't available.
+ */
+export const loadClipCollection = (storageKey) => {
+  try {
+    const clips = JSON.parse(window.localStorage.getItem(storageKey));
+    return Array.isArray(clips) ? clips : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Write a collection to localStorage, if it's available (e.g. not in private mode with storage disabled).
+ *
+ * @param {string} storageKey - The localStorage key.
+ * @param {Array<Object>} clips - The clips.
+ */
+export const saveClipCollection = (storageKey, clips) => {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(clips));
+  } catch (e) {
+    console.error("Failed to save the clip collection: ", e);
+  }
+};
+
+/**
+ * Keep only the exported fields of clips.
+ *
+ * @param {Array<Object>} clips - The clips.
+ * @returns {Array<Object>}
+ */
+const getExportedClips = (clips) =>
+  clips.map(({ entry_id, time, end, title, transcript_segment, query }) => ({
+    entry_id,
+    time,
+    end,
+    title,
+    transcript_segment,
+    query,
+  }));
+
+/**
+ * Export a collection as JSON.
+ *
+ * @param {Array<Object>} clips - The clips.
+ * @returns {string}
+ */
+export const exportClipsAsJson = (clips) =>
+  JSON.stringify(getExportedClips(clips), null, 2);
+
+/**
+ * Export a collection as an M3U playlist, each clip pointing to the playManifest URL of its entry, clipped to its segment.
+ *
+ * @param {Array<Object>} clips - The clips.
+ * @param {Object} options
+ * @param {string} [options.kalturaServiceUrl] - The URL to access the Kaltura service on, defaults to DEFAULT_KALTURA_URL if empty.
+ * @param {number} options.partnerId - The Kaltura account id.
+ * @returns {string}
+ */
+export const exportClipsAsM3u = (clips, { kalturaServiceUrl, partnerId }) => {
+  const serviceUrl =
+    kalturaServiceUrl && kalturaServiceUrl !== ""
+      ? kalturaServiceUrl
+      : DEFAULT_KALTURA_URL;
+  return [
+    "#EXTM3U",
+    ...clips.map((clip) => {
+      const hasEnd = clip.end !== undefined && clip.end !== null;
+      // playManifest clips with seekFrom / clipTo, in milliseconds
+      const clipping = `/seekFrom/${Math.round(clip.time * 1000)}${
+        hasEnd ? `/clipTo/${Math.round(clip.end * 1000)}` : ""
+      }`;
+      return [
+        `#EXTINF:${hasEnd ? Math.round(clip.end - clip.time) : -1},${
+          clip.title || clip.entry_id
+        }`,
+        `${serviceUrl}/p/${partnerId}/sp/${partnerId}00/playManifest/entryId/${clip.entry_id}${clipping}/format/url/protocol/https/a.mp4`,
+      ].join("\n");
+    }),
+  ].join("\n");
+};
+
+/**
+ * Export a collection as the payload of a Kaltura playlist.add call (a static playlist of the clips' entries),
+ * along with the clips as Player playlistEntries (an ad-hoc playlist that keeps their segments).
+ *
+ * @param {Array<Object>} clips - The clips.
+ * @param {string} [name="Clip collection"] - The name of the playlist.
+ * @returns {{playlist: Object, playlistEntries: Array<{entryId: string, startTime: number, endTime: (number|undefined)}>}}
+ */
+export const exportClipsAsKalturaPlaylist = (
+  clips,
+  name = "Clip collection"
+) => ({
+  playlist: {
+    objectType: "KalturaPlaylist",
+    name,
+    playlistType: KALTURA_STATIC_PLAYLIST_TYPE,
+    playlistContent: clips
+      .map((clip) => clip.entry_id)
+      .filter((entryId, i, entryIds) => entryIds.indexOf(entryId) === i)
+      .join(","),
+  },
+  playlistEntries: clips.map((clip) => ({
+    entryId: clip.entry_id,
+    startTime: clip.time,
+    ...(clip.end !== undefined && clip.end !== null
+      ? { endTime: clip.end }
+      : {}),
+  })),
+});
+
+/**
+ * Encode a collection for a URL (base64url of its JSON).
+ *
+ * @param {Array<Object>} clips - The clips.
+ * @returns {string}
+ */
+export const encodeClipCollection = (clips) => {
+  const bytes = new TextEncoder().encode(
+    JSON.stringify(getExportedClips(clips))
+  );
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * Is a decoded item a clip, i.e. does it have the segment fields the exporter writes?
+ *
+ * @param {*} clip - The decoded item.
+ * @returns {boolean}
+ */
+const isValidClip = (clip) =>
+  clip !== null &&
+  typeof clip === "object" &&
+  typeof clip.entry_id === "string" &&
+  clip.entry_id !== "" &&
+  typeof clip.time === "number" &&
+  isFinite(clip.time);
+
+/**
+ * Keep only the exported fields of a decoded clip, dropping the ones of an unexpected type.
+ *
+ * @param {Object} clip - A valid decoded clip, see isValidClip.
+ * @returns {{entry_id: string, time: number, end: ?number, title: string, transcript_segment: string, query: string}}
+ */
+const normalizeDecodedClip = (clip) => ({
+  entry_id: clip.entry_id,
+  time: clip.time,
+  end: typeof clip.end === "number" && isFinite(clip.end) ? clip.end : null,
+  title: typeof clip.title === "string" ? clip.title : "",
+  transcript_segment:
+    typeof clip.transcript_segment === "string" ? clip.transcript_segment : "",
+  query: typeof clip.query === "string" ? clip.query : "",
+});
+
+/**
+ * Decode a collection encoded with encodeClipCollection.
+ * The encoded collection comes from a shared URL, so the items that aren't clips are dropped.
+ *
+ * @param {string} encoded - The encoded collection.
+ * @returns {Array<Object>} - The clips, empty if it can't be decoded.
+ */
+export const decodeClipCollection = (encoded) => {
+  try {
+    const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    const clips = JSON.parse(new TextDecoder().decode(bytes));
+    return Array.isArray(clips)
+      ? clips.filter(isValidClip).map(normalizeDecodedClip)
+      : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Get a URL sharing a collection, e.g. for the app page to load with getSharedClipCollection.
+ *
+ * @param {Array<Object>} clips - The clips.
+ * @param {string} baseUrl - The URL to share, e.g. the current page.
+ * @param {string} [param="clips"] - The query parameter to encode the collection in.
+ * @returns {string}
+ */
+export const getClipCollectionShareUrl = (
+  clips,
+  baseUrl,
+  param = DEFAULT_CLIP_COLLECTION_SHARE_PARAM
+) => {
+  const url = new URL(baseUrl);
+  url.searchParams.set(param, encodeClipCollection(clips));
+  return url.toString();
+};
+
+/**
+ * Read the collection shared in a URL by getClipCollectionShareUrl.
+ *
+ * @param {string} url - The URL, e.g. window.location.href.
+ * @param {string} [param="clips"] - The query parameter the collection is encoded in.
+ * @returns {Array<Object>} - The clips, empty if the URL doesn't share any.
+ */
+export const getSharedClipCollection = (
+  url,
+  param = DEFAULT_CLIP_COLLECTION_SHARE_PARAM
+) => {
+  try {
+    const encoded = new URL(url).searchParams.get(param);
+    return encoded ? decodeClipCollection(encoded) : [];
+  } catch (e) {
+    return [];
+  }
+};
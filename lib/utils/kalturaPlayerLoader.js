@@ -0,0 +1,104 @@
+export const DEFAULT_KALTURA_URL = "https://cdnapi-ev.kaltura.com";
+
+// registry of embedPlaykitJs script loads, keyed by script URL.
+// every value is a promise that resolves with the KalturaPlayer library object that the script exposed,
+// so that players of different accounts / uiConfs can live side by side in one app.
+const scriptLoaders = {};
+// when set, replaces the script injection, e.g. to provide a mock KalturaPlayer in tests
+let scriptLoaderOverride = null;
+
+/**
+ * Override how the Kaltura Player script is loaded, and clear the registry of loaded scripts.
+ *
+ * @param {?Function} loader - Receives the script URL and returns a promise of the KalturaPlayer library, null restores the default loader.
+ */
+export const setKalturaPlayerScriptLoader = (loader) => {
+  scriptLoaderOverride = loader;
+  Object.keys(scriptLoaders).forEach((scriptUrl) => {
+    delete scriptLoaders[scriptUrl];
+  });
+};
+
+/**
+ * Build the embedPlaykitJs script URL for a given account and player uiConf.
+ *
+ * @param {string} kalturaServiceUrl - The URL to access the Kaltura service on, defaults to DEFAULT_KALTURA_URL if empty.
+ * @param {number} partnerId - The Kaltura account id.
+ * @param {number} uiConfId - The Kaltura Player instance id.
+ * @returns {string} - The script URL.
+ */
+export const getKalturaPlayerScriptUrl = (
+  kalturaServiceUrl,
+  partnerId,
+  uiConfId
+) => {
+  const serviceUrl =
+    kalturaServiceUrl && kalturaServiceUrl !== ""
+      ? kalturaServiceUrl
+      : DEFAULT_KALTURA_URL;
+  return `${serviceUrl}/p/${partnerId}/embedPlaykitJs/uiconf_id/${uiConfId}`;
+};
+
+/**
+ * Load the Kaltura Player script from the given URL, once per URL.
+ * Concurrent calls for the same URL share the same in-flight promise, and a failed load is removed
+ * from the registry so a later call can retry it.
+ *
+ * @param {string} scriptUrl - The embedPlaykitJs script URL.
+ * @returns {Promise<Object>} - Resolves with the KalturaPlayer library loaded by this script.
+ */
+export const loadKalturaPlayerScript = (scriptUrl) => {
+  if (scriptLoaders[scriptUrl]) {
+    return scriptLoaders[scriptUrl];
+  }
+
+  if (scriptLoaderOverride) {
+    scriptLoaders[scriptUrl] = Promise.resolve(
+      scriptLoaderOverride(scriptUrl)
+    ).catch((error) => {
+      delete scriptLoaders[scriptUrl];
+      throw error;
+    });
+    return scriptLoaders[scriptUrl];
+  }
+
+  scriptLoaders[scriptUrl] = new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = scriptUrl;
+    script.onload = () => {
+      // every embedPlaykitJs bundle assigns itself to window.KalturaPlayer when executed,
+      // the load event fires right after execution, so grab this bundle's copy before another one replaces it.
+      if (window.KalturaPlayer) {
+        resolve(window.KalturaPlayer);
+      } else {
+        delete scriptLoaders[scriptUrl];
+        reject(
+          new Error(
+            `Kaltura player script did not expose KalturaPlayer: ${scriptUrl}`
+          )
+        );
+      }
+    };
+    script.onerror = () => {
+      delete scriptLoaders[scriptUrl];
+      script.remove();
+      reject(new Error(`Failed to load Kaltura player script: ${scriptUrl}`));
+    };
+    document.body.appendChild(script);
+  });
+
+  return scriptLoaders[scriptUrl];
+};
+
+/**
+ * Load the Kaltura Player library for a given account and player uiConf.
+ *
+ * @param {string} kalturaServiceUrl - The URL to access the Kaltura service on.
+ * @param {number} partnerId - The Kaltura account id.
+ * @param {number} uiConfId - The Kaltura Player instance id.
+ * @returns {Promise<Object>} - Resolves with the KalturaPlayer library for this account and uiConf.
+ */
+export const loadKalturaPlayer = (kalturaServiceUrl, partnerId, uiConfId) =>
+  loadKalturaPlayerScript(
+    getKalturaPlayerScriptUrl(kalturaServiceUrl, partnerId, uiConfId)
+  );
@@ -0,0 +1,183 @@
+// how long (ms) before the KS expires should we ask the ksProvider for a new one
+const KS_REFRESH_MARGIN = 60 * 1000;
+// never refresh more often than this (ms), protects against providers returning already (or about to be) expired sessions
+const KS_MIN_REFRESH_DELAY = 5 * 1000;
+// the longest wait (ms) between retries of a failing ksProvider, they back off exponentially from KS_MIN_REFRESH_DELAY
+const KS_MAX_RETRY_DELAY = 5 * 60 * 1000;
+// error codes / messages returned by the Kaltura API (and surfaced by the player) when the KS is invalid or expired
+const KS_ERROR_PATTERN = /INVALID_KS|EXPIRED_KS|KS_EXPIRED|SESSION_EXPIRED/i;
+
+// registry of sessions keyed by their ksProvider function, so that all components sharing a ksProvider share one session,
+// one provider call and one refresh timer
+const sessions = new WeakMap();
+
+/**
+ * Try to read the expiry of a KS. Only v1 sessions carry their expiry in clear text (v2 sessions are encrypted).
+ *
+ * @param {string} ks - The Kaltura Session.
+ * @returns {number|null} - The expiry as a unix timestamp (seconds), or null if unknown.
+ */
+export const getKsExpiry = (ks) => {
+  try {
+    const decoded = atob(ks.replace(/-/g, "+").replace(/_/g, "/"));
+    if (decoded.startsWith("v2|")) {
+      return null;
+    }
+    // v1: signature|partnerId;partnerId;expiry;type;rand;userId;privileges...
+    const fields = decoded.split("|")[1].split(";");
+    const expiry = parseInt(fields[2]);
+    return isNaN(expiry) ? null : expiry;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Is this player / API error caused by an invalid or expired KS?
+ *
+ * @param {*} error - The error or player error event.
+ * @returns {boolean}
+ */
+export const isKsError = (error) => {
+  if (!error) {
+    return false;
+  }
+  try {
+    return KS_ERROR_PATTERN.test(
+      `${error.message || ""} ${JSON.stringify(error.payload || error)}`
+    );
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Create a session around a ksProvider, refreshing the KS before it expires while anyone is subscribed.
+ *
+ * @param {Function} ksProvider - Async function returning a KS string, or {ks, expiry} with expiry as a unix timestamp (seconds).
+ * @returns {Object} - The session.
+ */
+const createKalturaSession = (ksProvider) => {
+  const session = {
+    ks: null,
+    expiry: null,
+    listeners: new Set(),
+    errorListeners: new Set(),
+    failureCount: 0,
+    refreshPromise: null,
+    refreshTimeout: null,
+  };
+
+  const scheduleRefresh = () => {
+    clearTimeout(session.refreshTimeout);
+    session.refreshTimeout = null;
+    if (session.expiry && session.listeners.size > 0) {
+      session.refreshTimeout = setTimeout(
+        () => session.refresh().catch(() => {}), // failures are reported to the error listeners
+        Math.max(
+          session.expiry * 1000 - Date.now() - KS_REFRESH_MARGIN,
+          KS_MIN_REFRESH_DELAY
+        )
+      );
+    }
+  };
+
+  // retry a failed ksProvider call while anyone is subscribed, backing off exponentially
+  const scheduleRetry = () => {
+    clearTimeout(session.refreshTimeout);
+    session.refreshTimeout = null;
+    if (session.listeners.size > 0) {
+      session.refreshTimeout = setTimeout(
+        () => session.refresh().catch(() => {}),
+        Math.min(
+          KS_MIN_REFRESH_DELAY * 2 ** (session.failureCount - 1),
+          KS_MAX_RETRY_DELAY
+        )
+      );
+    }
+  };
+
+  /**
+   * Ask the ksProvider for a new KS, concurrent calls share the same request.
+   * A failure is reported to the error listeners and retried with a backoff.
+   *
+   * @returns {Promise<string>} - The new KS.
+   */
+  session.refresh = () => {
+    if (session.refreshPromise) {
+      return session.refreshPromise;
+    }
+    session.refreshPromise = Promise.resolve()
+      .then(() => ksProvider())
+      .then((result) => {
+        const ks = typeof result === "string" ? result : result.ks;
+        session.ks = ks;
+        session.expiry =
+          typeof result === "object" && result.expiry
+            ? result.expiry
+            : getKsExpiry(ks);
+        session.refreshPromise = null;
+        session.failureCount = 0;
+        scheduleRefresh();
+        session.listeners.forEach((listener) => listener(ks));
+        return ks;
+      })
+      .catch((error) => {
+        session.refreshPromise = null;
+        session.failureCount += 1;
+        console.error(
+          "Failed to get a Kaltura Session from ksProvider: ",
+          error
+        );
+        scheduleRetry();
+        session.errorListeners.forEach((errorListener) => errorListener(error));
+        throw error;
+      });
+    return session.refreshPromise;
+  };
+
+  /**
+   * Get notified of every new KS. The first subscriber triggers the initial ksProvider call.
+   *
+   * @param {Function} listener - Receives the new KS.
+   * @param {Function} [errorListener] - Receives the error of every failed ksProvider call.
+   * @returns {Function} - Unsubscribe function.
+   */
+  session.subscribe = (listener, errorListener) => {
+    session.listeners.add(listener);
+    if (errorListener) {
+      session.errorListeners.add(errorListener);
+    }
+    if (session.ks === null) {
+      // unless a retry of a failed call is already scheduled
+      if (!session.refreshTimeout) {
+        session.refresh().catch(() => {});
+      }
+    } else {
+      scheduleRefresh();
+    }
+    return () => {
+      session.listeners.delete(listener);
+      session.errorListeners.delete(errorListener);
+      if (session.listeners.size === 0) {
+        clearTimeout(session.refreshTimeout);
+        session.refreshTimeout = null;
+      }
+    };
+  };
+
+  return session;
+};
+
+/**
+ * Get the shared session of a ksProvider function.
+ *
+ * @param {Function} ksProvider - Async function returning a KS string, or {ks, expiry}.
+ * @returns {Object} - The session.
+ */
+export const getKalturaSession = (ksProvider) => {
+  if (!sessions.has(ksProvider)) {
+    sessions.set(ksProvider, createKalturaSession(ksProvider));
+  }
+  return sessions.get(ksProvider);
+};
@@ -0,0 +1,105 @@
+// how many idle player instances a pool keeps by default, beyond that the least recently released are destroyed
+export const DEFAULT_MAX_IDLE_PLAYERS = 4;
+
+/**
+ * Create a pool of kaltura-player-js instances, reused by Players (instead of destroying and setting up new ones)
+ * through loadMedia. Instances are only reused by Players with the same pool key (same account, uiConf and setup config).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxIdlePlayers=4] - How many idle instances to keep.
+ * @returns {Object} - The pool, with acquire, add, release, destroy, clear and getStats.
+ */
+export const createPlayerPool = ({
+  maxIdlePlayers = DEFAULT_MAX_IDLE_PLAYERS,
+} = {}) => {
+  // idle instances, least recently released first
+  const idle = [];
+  const active = new Set();
+  const stats = { created: 0, reused: 0, destroyed: 0 };
+
+  const destroyInstance = (instance) => {
+    active.delete(instance);
+    try {
+      instance.destroy();
+    } catch (e) {
+      console.error("Failed to destroy Kaltura player instance: ", e);
+    }
+    stats.destroyed++;
+  };
+
+  return {
+    /**
+     * Take an idle instance out of the pool.
+     *
+     * @param {string} key - The pool key of the Player asking for an instance.
+     * @returns {Object|null} - An idle instance set up with the same key, or null if there is none.
+     */
+    acquire(key) {
+      const index = idle.findIndex((item) => item.key === key);
+      if (index === -1) {
+        return null;
+      }
+      const [{ instance }] = idle.splice(index, 1);
+      active.add(instance);
+      stats.reused++;
+      return instance;
+    },
+
+    /**
+     * Track an instance that was just set up, so it is counted and can be released to the pool later.
+     *
+     * @param {Object} instance - The kaltura-player-js instance.
+     */
+    add(instance) {
+      active.add(instance);
+      stats.created++;
+    },
+
+    /**
+     * Give an instance back to the pool: pause it and detach its view, destroying the oldest idle instances above maxIdlePlayers.
+     *
+     * @param {string} key - The pool key the instance was set up with.
+     * @param {Object} instance - The kaltura-player-js instance.
+     */
+    release(key, instance) {
+      active.delete(instance);
+      try {
+        instance.pause();
+        const view = instance.getView();
+        if (view && view.parentNode) {
+          view.parentNode.removeChild(view);
+        }
+      } catch (e) {
+        destroyInstance(instance);
+        return;
+      }
+      idle.push({ key, instance });
+      while (idle.length > maxIdlePlayers) {
+        destroyInstance(idle.shift().instance);
+      }
+    },
+
+    /**
+     * Destroy an instance for good (e.g. it can't be reused), keeping the stats right.
+     *
+     * @param {Object} instance - The kaltura-player-js instance.
+     */
+    destroy(instance) {
+      destroyInstance(instance);
+    },
+
+    /**
+     * Destroy all idle instances, e.g. when the component owning the pool unmounts.
+     */
+    clear() {
+      idle.splice(0).forEach(({ instance }) => destroyInstance(instance));
+    },
+
+    /**
+     * @returns {{created: number, reused: number, destroyed: number, active: number, idle: number}} - Pool stats, for debugging.
+     */
+    getStats() {
+      return { ...stats, active: active.size, idle: idle.length };
+    },
+  };
+};
@@ -0,0 +1,159 @@
+// how long (ms) a cached search response is fresh by default, i.e. served without asking the search API again
+export const DEFAULT_SEARCH_CACHE_TTL = 5 * 60 * 1000;
+// how long (ms) past its TTL a cached search response is still served by default, while it's revalidated in the background
+export const DEFAULT_SEARCH_CACHE_STALE_TTL = 60 * 60 * 1000;
+// how many search responses a cache keeps by default, beyond that the least recently used are dropped
+export const DEFAULT_SEARCH_CACHE_SIZE = 20;
+// the sessionStorage key a persisted cache is kept under by default
+export const DEFAULT_SEARCH_CACHE_STORAGE_KEY = "react_kaltura_search_cache";
+
+/**
+ * Normalize a search query for caching, so that queries differing only in case or whitespace share their results.
+ *
+ * @param {string} query - The search query.
+ * @returns {string}
+ */
+export const normalizeSearchQuery = (query) =>
+  (query || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Get the cache key of a search: its normalized query, and what else the results depend on (index, filters, search API...).
+ *
+ * @param {string} query - The search query.
+ * @param {Object} [context] - What else the results depend on, e.g. {index, filters}.
+ * @returns {string}
+ */
+export const getSearchCacheKey = (query, context = {}) =>
+  JSON.stringify([normalizeSearchQuery(query), context]);
+
+/**
+ * Create an LRU cache of search responses, optionally persisted in sessionStorage (so that it survives reloads and
+ * navigating back to the page), to share between search views or to invalidate from outside of them.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.ttl=300000] - How long (ms) a response is fresh.
+ * @param {number} [options.staleTtl=3600000] - How long (ms) past its TTL a response is still returned, as stale (to be revalidated).
+ * @param {number} [options.maxEntries=20] - How many responses to keep.
+ * @param {boolean} [options.persist=false] - If true, the responses are kept in sessionStorage too.
+ * @param {string} [options.storageKey="react_kaltura_search_cache"] - The sessionStorage key to persist the responses under.
+ * @returns {Object} - The cache, with get, set, invalidate, clear and getStats.
+ */
+export const createSearchCache = ({
+  ttl = DEFAULT_SEARCH_CACHE_TTL,
+  staleTtl = DEFAULT_SEARCH_CACHE_STALE_TTL,
+  maxEntries = DEFAULT_SEARCH_CACHE_SIZE,
+  persist = false,
+  storageKey = DEFAULT_SEARCH_CACHE_STORAGE_KEY,
+} = {}) => {
+  // key => {query, data, time}, least recently used first
+  const entries = new Map();
+  const stats = { hits: 0, staleHits: 0, misses: 0 };
+
+  const save = () => {
+    if (!persist) return;
+    try {
+      window.sessionStorage.setItem(
+        storageKey,
+        JSON.stringify(Array.from(entries.entries()))
+      );
+    } catch (e) {
+      console.error("Failed to save the search cache: ", e);
+    }
+  };
+
+  if (persist) {
+    try {
+      const saved = JSON.parse(window.sessionStorage.getItem(storageKey));
+      if (Array.isArray(saved)) {
+        saved.forEach(([key, entry]) => entries.set(key, entry));
+      }
+    } catch (e) {
+      // nothing persisted yet, or sessionStorage isn't available
+    }
+  }
+
+  return {
+    /**
+     * Get a cached response.
+     *
+     * @param {string} key - The cache key, see getSearchCacheKey.
+     * @returns {{data: Object, isStale: boolean}|null} - A copy of the response, and whether it's past its TTL. null if there is none (or it expired).
+     */
+    get(key) {
+      const entry = entries.get(key);
+      const age = entry ? Date.now() - entry.time : 0;
+      if (!entry || age > ttl + staleTtl) {
+        if (entry) {
+          entries.delete(key);
+          save();
+        }
+        stats.misses++;
+        return null;
+      }
+      // most recently used last
+      entries.delete(key);
+      entries.set(key, entry);
+      const isStale = age > ttl;
+      if (isStale) {
+        stats.staleHits++;
+      } else {
+        stats.hits++;
+      }
+      return { data: JSON.parse(JSON.stringify(entry.data)), isStale };
+    },
+
+    /**
+     * Cache a response, dropping the least recently used ones above maxEntries.
+     *
+     * @param {string} key - The cache key, see getSearchCacheKey.
+     * @param {Object} data - The search response.
+     * @param {string} [query] - The search query, for invalidate.
+     */
+    set(key, data, query) {
+      entries.delete(key);
+      entries.set(key, {
+        query: normalizeSearchQuery(query),
+        data: JSON.parse(JSON.stringify(data)),
+        time: Date.now(),
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      save();
+    },
+
+    /**
+     * Drop the cached responses of a search query (whatever their index or filters), or the ones a predicate matches.
+     *
+     * @param {string|Function} queryOrPredicate - The query, or a function of (key, {query, data, time}) returning true to drop the entry.
+     */
+    invalidate(queryOrPredicate) {
+      const matches =
+        typeof queryOrPredicate === "function"
+          ? queryOrPredicate
+          : (key, entry) =>
+              entry.query === normalizeSearchQuery(queryOrPredicate);
+      Array.from(entries.entries()).forEach(([key, entry]) => {
+        if (matches(key, entry)) {
+          entries.delete(key);
+        }
+      });
+      save();
+    },
+
+    /**
+     * Drop all the cached responses.
+     */
+    clear() {
+      entries.clear();
+      save();
+    },
+
+    /**
+     * @returns {{size: number, hits: number, staleHits: number, misses: number}} - For debugging.
+     */
+    getStats() {
+      return { size: entries.size, ...stats };
+    },
+  };
+};
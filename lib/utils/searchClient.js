@@ -0,0 +1,425 @@
+import { getSearchCacheKey, normalizeSearchQuery } from "./searchCache";
+
+// where the default search client sends its requests when no URL is configured
+export const DEFAULT_SEARCH_API_URL = "http://localhost/search";
+// the search index the default search client queries when none is configured
+export const DEFAULT_SEARCH_INDEX = "Virtually_Live_2022";
+// how long (ms) the default search client waits for a response to start before it gives up (or retries)
+export const DEFAULT_SEARCH_TIMEOUT = 30000;
+// how many times the default search client retries a search failing with a 5xx / 429 status, a network error or a timeout
+export const DEFAULT_SEARCH_RETRIES = 2;
+
+/**
+ * Map a search query to the request body (or query string parameters, for GET) of the default search API.
+ * Follow-up questions of a conversation carry its id, as returned by the search API, or else its previous turns.
+ *
+ * @param {string} query - The search query.
+ * @param {Object} options
+ * @param {string} options.index - The search index.
+ * @param {string} [options.conversationId] - The id of the conversation, as returned by the search API with its first answer.
+ * @param {Array<{query: string, answer: string}>} [options.history] - The previous turns of the conversation, oldest first.
+ * @returns {Object}
+ */
+export const buildDefaultSearchRequestBody = (
+  query,
+  { index, conversationId, history }
+) => ({
+  searchquery: query,
+  index,
+  ...(conversationId
+    ? { conversation_id: conversationId }
+    : history && history.length > 0
+    ? {
+        history: history.map((turn) => ({
+          question: turn.query,
+          answer: turn.answer,
+        })),
+      }
+    : {}),
+});
+
+/**
+ * Check a (normalized) search response has the shape the search components render, filling in the optional ref fields.
+ * A response without a best reference (e.g. a streamed one) gets its first ref's entry_id, time and score.
+ *
+ * @param {Object} data - The search response.
+ * @returns {Object} - The search response, with model_answer and ref[].
+ * @throws {Error} If the response has no ref array.
+ */
+const checkSearchResponse = (data) => {
+  if (!data || !Array.isArray(data.ref)) {
+    throw new Error("Unexpected search response: no ref array");
+  }
+  const ref = data.ref.map((refObj) => ({
+    segment_title: "",
+    sentence_from_model_answer: "",
+    video_transcript_segment: "",
+    time: 0,
+    score: 0,
+    ...refObj,
+  }));
+  const bestRef = ref[0] || { entry_id: "", time: 0, score: 0 };
+  return {
+    entry_id: bestRef.entry_id,
+    time: bestRef.time,
+    score: bestRef.score,
+    ...data,
+    model_answer: data.model_answer || "",
+    ref,
+  };
+};
+
+/**
+ * Apply an event of a streamed search response to the response received so far.
+ * Events are JSON objects with any of:
+ * answer_delta (text appended to model_answer), model_answer (replaces it),
+ * ref (one ref appended, or an array replacing them all), conversation_id (the id of the conversation, for follow-up questions)
+ * and error (fails the search).
+ *
+ * @param {Object} data - The response received so far, {model_answer, ref[]}.
+ * @param {Object} event - The event.
+ * @returns {Object} - The updated response.
+ * @throws {Error} If the event reports an error.
+ */
+export const applySearchStreamEvent = (data, event) => {
+  if (event.error) {
+    throw new Error(
+      typeof event.error === "string" ? event.error : "Something went wrong ..."
+    );
+  }
+  let next = data;
+  if (typeof event.model_answer === "string") {
+    next = { ...next, model_answer: event.model_answer };
+  }
+  if (typeof event.answer_delta === "string") {
+    next = { ...next, model_answer: next.model_answer + event.answer_delta };
+  }
+  if (event.conversation_id) {
+    next = { ...next, conversation_id: event.conversation_id };
+  }
+  if (Array.isArray(event.ref)) {
+    next = { ...next, ref: event.ref };
+  } else if (event.ref) {
+    next = { ...next, ref: [...next.ref, event.ref] };
+  }
+  return next;
+};
+
+/**
+ * Get the stream format of a search response from its Content-Type.
+ *
+ * @param {Response} response - The fetch response.
+ * @returns {string|null} - sse, ndjson or null (a JSON response).
+ */
+const getStreamFormat = (response) => {
+  const contentType =
+    (response.headers && response.headers.get("Content-Type")) || "";
+  if (contentType.includes("text/event-stream")) return "sse";
+  if (/ndjson|jsonl|x-json-stream/.test(contentType)) return "ndjson";
+  return null;
+};
+
+/**
+ * Split the complete messages off streamed text: SSE events end with a blank line, NDJSON lines with a line break.
+ *
+ * @param {string} text - The text received and not parsed yet.
+ * @param {string} format - sse or ndjson.
+ * @returns {{messages: Array<string>, rest: string}} - The payloads of the complete messages, and the incomplete text left.
+ */
+const splitStreamMessages = (text, format) => {
+  const parts = text
+    .replace(/\r\n?/g, "\n")
+    .split(format === "sse" ? "\n\n" : "\n");
+  const rest = parts.pop();
+  const messages = parts
+    .map((part) =>
+      format === "sse"
+        ? part
+            .split("\n")
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).replace(/^ /, ""))
+            .join("\n")
+        : part
+    )
+    .filter((message) => message.trim() !== "");
+  return { messages, rest };
+};
+
+/**
+ * Read a streamed (SSE or NDJSON) search response, calling onMessage with the payload of each message as it arrives.
+ * Reads the whole body at once where the response body isn't a readable stream.
+ *
+ * @param {Response} response - The fetch response.
+ * @param {string} format - sse or ndjson.
+ * @param {Function} onMessage - Called with each payload, returns false to stop reading (e.g. at an SSE [DONE]).
+ * @param {Function} [onChunk] - Called whenever a chunk of the body arrives.
+ * @returns {Promise} - Resolves when the stream ended.
+ */
+const readStreamMessages = (response, format, onMessage, onChunk) => {
+  let rest = "";
+  const onText = (text, isLast) => {
+    const split = splitStreamMessages(
+      rest + text + (isLast ? "\n\n" : ""),
+      format
+    );
+    rest = split.rest;
+    return split.messages.every((message) => onMessage(message) !== false);
+  };
+
+  if (!response.body || typeof response.body.getReader !== "function") {
+    return response.text().then((text) => {
+      onText(text, true);
+    });
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const read = () =>
+    reader.read().then(({ done, value }) => {
+      if (onChunk) onChunk();
+      if (done) {
+        onText(decoder.decode(), true);
+        return;
+      }
+      if (!onText(decoder.decode(value, { stream: true }), false)) {
+        return reader.cancel().catch(() => {});
+      }
+      return read();
+    });
+  return read();
+};
+
+/**
+ * Create the error a search aborted by its caller rejects with, like fetch's.
+ *
+ * @returns {Error}
+ */
+const createAbortError = () => {
+  const error = new Error("The search was aborted");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Wait before retrying a search, unless it's aborted meanwhile.
+ *
+ * @param {number} delay - How long to wait (ms).
+ * @param {AbortSignal} [signal] - The signal of the search.
+ * @returns {Promise} - Resolves after the delay, rejects if the search is aborted.
+ */
+const waitForRetry = (delay, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+    if (signal) signal.addEventListener("abort", onAbort);
+  });
+
+/**
+ * Get how long to wait before retrying a failed search:
+ * what the Retry-After header of its response asks (seconds or an HTTP date), or an exponential backoff.
+ *
+ * @param {Error} error - The error of the failed attempt, with the Retry-After header in retryAfter if its response had one.
+ * @param {number} attempt - The index of the failed attempt, 0 for the first.
+ * @param {number} retryDelay - The backoff delay (ms) after the first attempt, doubled after each one.
+ * @param {number} maxRetryDelay - The longest delay (ms) to wait.
+ * @returns {number|null} - The delay (ms), null if Retry-After asks for more than maxRetryDelay.
+ */
+const getRetryDelay = (error, attempt, retryDelay, maxRetryDelay) => {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const delay = !isNaN(seconds)
+      ? seconds * 1000
+      : Date.parse(error.retryAfter) - Date.now();
+    if (!isNaN(delay)) {
+      return delay <= maxRetryDelay ? Math.max(0, delay) : null;
+    }
+  }
+  return Math.min(retryDelay * Math.pow(2, attempt), maxRetryDelay);
+};
+
+/**
+ * Create the default search client, calling an HTTP search API with fetch.
+ * Other backends can be used through the request body mapping and the response normalizer,
+ * or by passing SearchResultsWithGallery any object with a search(query) method resolving with {model_answer, ref[]}.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url="http://localhost/search"] - The URL of the search API.
+ * @param {string} [options.index="Virtually_Live_2022"] - The search index, passed to buildRequestBody.
+ * @param {string} [options.method="POST"] - The HTTP method, with GET the request body fields are sent as query string parameters.
+ * @param {string} [options.bearerToken] - A bearer token to send in the Authorization header.
+ * @param {Object|Function} [options.headers] - Extra request headers, or a function of the query returning them.
+ * @param {string} [options.credentials="same-origin"] - The fetch credentials mode (omit, same-origin or include).
+ * @param {Function} [options.buildRequestBody] - (query, {index, conversationId, history}) => the request body fields, defaults to {searchquery, index}
+ * with the conversation_id, or else the history ({question, answer}[]), of follow-up questions.
+ * @param {Function} [options.normalizeResponse] - (json, query) => the response in the {model_answer, ref[]} shape, for backends answering in another shape.
+ * @param {Function} [options.reduceStreamEvent] - (data, event) => the response updated with an event of a streamed response, defaults to applySearchStreamEvent.
+ * @param {number} [options.timeout=30000] - How long (ms) to wait for the response to start, or for the next chunk of a streamed response, before the attempt fails, 0 to wait indefinitely.
+ * @param {number} [options.retries=2] - How many times to retry a search failing with a 5xx or 429 status, a network error or a timeout.
+ * @param {number} [options.retryDelay=500] - The backoff delay (ms) before the first retry, doubled for each next one, unless the response has a Retry-After header.
+ * @param {number} [options.maxRetryDelay=10000] - The longest delay (ms) to wait before a retry, a longer Retry-After fails the search instead.
+ * @returns {{search: Function, getCacheKey: Function}} - The client, search(query, {onUpdate, signal, context}) resolves with the normalized response,
+ * context being the conversation of a follow-up question ({conversationId, history}).
+ * getCacheKey(query, context) gets the key its responses are cached under (from the normalized query, the URL and the request body, e.g. the index, filters and conversation).
+ * Streamed responses (text/event-stream or NDJSON) are applied event by event, calling onUpdate with the response received so far.
+ * Aborting the signal cancels the request (and pending retries), the search then rejects with an AbortError.
+ */
+export const createHttpSearchClient = ({
+  url = DEFAULT_SEARCH_API_URL,
+  index = DEFAULT_SEARCH_INDEX,
+  method = "POST",
+  bearerToken = "",
+  headers = {},
+  credentials = "same-origin",
+  buildRequestBody = buildDefaultSearchRequestBody,
+  normalizeResponse = (json) => json,
+  reduceStreamEvent = applySearchStreamEvent,
+  timeout = DEFAULT_SEARCH_TIMEOUT,
+  retries = DEFAULT_SEARCH_RETRIES,
+  retryDelay = 500,
+  maxRetryDelay = 10000,
+} = {}) => ({
+  getCacheKey(query, context) {
+    return getSearchCacheKey(query, {
+      url: url && url !== "" ? url : DEFAULT_SEARCH_API_URL,
+      method,
+      request: buildRequestBody(normalizeSearchQuery(query), {
+        ...context,
+        index,
+      }),
+    });
+  },
+
+  search(query, { onUpdate, signal, context } = {}) {
+    const requestBody = buildRequestBody(query, { ...context, index });
+    const requestHeaders = {
+      ...(bearerToken ? { Authorization: "Bearer " + bearerToken } : {}),
+      ...(typeof headers === "function" ? headers(query) : headers),
+    };
+    let requestUrl = url && url !== "" ? url : DEFAULT_SEARCH_API_URL;
+    const init = { method, headers: requestHeaders, credentials };
+    if (method === "GET" || method === "HEAD") {
+      const params = new URLSearchParams();
+      Object.keys(requestBody).forEach((name) => {
+        const value = requestBody[name];
+        if (value !== undefined && value !== null) {
+          params.append(
+            name,
+            typeof value === "string" ? value : JSON.stringify(value)
+          );
+        }
+      });
+      requestUrl += (requestUrl.includes("?") ? "&" : "?") + params;
+    } else {
+      init.headers = { "Content-Type": "application/json", ...requestHeaders };
+      init.body = JSON.stringify(requestBody);
+    }
+
+    /**
+     * Make one attempt of the search, retrying it (with the next attempt) if it failed with a retryable error
+     */
+    const attemptSearch = (attempt) => {
+      if (signal && signal.aborted) {
+        return Promise.reject(createAbortError());
+      }
+      // aborted by the caller's signal or by the timeout
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener("abort", onAbort);
+      let isTimedOut = false;
+      let timer = null;
+      // (re)start the timeout, it runs until the response starts and then between the chunks of a streamed response
+      const restartTimer = () => {
+        clearTimeout(timer);
+        timer =
+          timeout > 0
+            ? setTimeout(() => {
+                isTimedOut = true;
+                controller.abort();
+              }, timeout)
+            : null;
+      };
+      restartTimer();
+      // failures reading a response that arrived aren't retried, e.g. a streamed answer whose updates were already shown
+      let isResponseReceived = false;
+
+      return fetch(requestUrl, { ...init, signal: controller.signal })
+        .then((response) => {
+          clearTimeout(timer);
+          isResponseReceived = true;
+          if (!response.ok) {
+            const error = new Error("Something went wrong ...");
+            error.status = response.status;
+            error.retryAfter =
+              response.headers && response.headers.get("Retry-After");
+            throw error;
+          }
+          const format = getStreamFormat(response);
+          if (!format) {
+            return response
+              .json()
+              .then((json) =>
+                checkSearchResponse(normalizeResponse(json, query))
+              );
+          }
+
+          let data = { model_answer: "", ref: [] };
+          // a stream that stalls fails the attempt like a response that doesn't start
+          restartTimer();
+          return readStreamMessages(
+            response,
+            format,
+            (message) => {
+              if (message.trim() === "[DONE]") return false;
+              const event = JSON.parse(message);
+              if (event.done) return false;
+              data = reduceStreamEvent(data, event);
+              if (onUpdate && typeof onUpdate === "function") {
+                onUpdate(checkSearchResponse(data));
+              }
+              return true;
+            },
+            restartTimer
+          ).then(() => checkSearchResponse(data));
+        })
+        .then(
+          (data) => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", onAbort);
+            return data;
+          },
+          (error) => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", onAbort);
+            if (signal && signal.aborted) {
+              throw createAbortError();
+            }
+            if (isTimedOut) {
+              error = new Error("The search timed out");
+              error.name = "TimeoutError";
+            }
+            const isRetryable = error.status
+              ? error.status >= 500 || error.status === 429
+              : !isResponseReceived &&
+                (isTimedOut || error.name === "TypeError"); // fetch fails with a TypeError on network errors
+            const delay =
+              isRetryable && attempt < retries
+                ? getRetryDelay(error, attempt, retryDelay, maxRetryDelay)
+                : null;
+            if (delay === null) {
+              throw error;
+            }
+            return waitForRetry(delay, signal).then(() =>
+              attemptSearch(attempt + 1)
+            );
+          }
+        );
+    };
+
+    return attemptSearch(0);
+  },
+});
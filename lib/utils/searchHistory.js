@@ -0,0 +1,54 @@
+// the localStorage key the search history is kept under by default
+export const DEFAULT_SEARCH_HISTORY_STORAGE_KEY =
+  "react_kaltura_search_history";
+// how many recent queries the search history keeps by default
+export const DEFAULT_MAX_SEARCH_HISTORY = 10;
+
+/**
+ * Read a search history from localStorage.
+ *
+ * @param {string} storageKey - The localStorage key.
+ * @returns {Array<string>} - The queries, most recent first, empty if there are none or localStorage isn't available.
+ */
+export const loadSearchHistory = (storageKey) => {
+  try {
+    const queries = JSON.parse(window.localStorage.getItem(storageKey));
+    return Array.isArray(queries)
+      ? queries.filter((query) => typeof query === "string")
+      : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Write a search history to localStorage, if it's available.
+ *
+ * @param {string} storageKey - The localStorage key.
+ * @param {Array<string>} queries - The queries, most recent first.
+ */
+export const saveSearchHistory = (storageKey, queries) => {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(queries));
+  } catch (e) {
+    console.error("Failed to save the search history: ", e);
+  }
+};
+
+/**
+ * Add a query to a search history, as its most recent query (moving it up if it was already in it).
+ *
+ * @param {Array<string>} queries - The queries, most recent first.
+ * @param {string} query - The query.
+ * @param {number} maxQueries - How many queries to keep.
+ * @returns {Array<string>} - The updated queries.
+ */
+export const addToSearchHistory = (queries, query, maxQueries) => {
+  const trimmedQuery = query.trim();
+  return [
+    trimmedQuery,
+    ...queries.filter(
+      (other) => other.toLowerCase() !== trimmedQuery.toLowerCase()
+    ),
+  ].slice(0, maxQueries);
+};
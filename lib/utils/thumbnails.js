@@ -0,0 +1,81 @@
+import { DEFAULT_KALTURA_URL } from "./kalturaPlayerLoader";
+
+/**
+ * Get the base thumbnail API URL of an entry, e.g. https://cdnapi-ev.kaltura.com/p/123/thumbnail/entry_id/1_abcd1234
+ *
+ * @param {string} kalturaServiceUrl - The URL to access the Kaltura service on, defaults to DEFAULT_KALTURA_URL if empty.
+ * @param {number} partnerId - The Kaltura account id.
+ * @param {string} entryId - The id of the KalturaEntry.
+ * @returns {string}
+ */
+const getEntryThumbnailBaseUrl = (kalturaServiceUrl, partnerId, entryId) =>
+  `${
+    kalturaServiceUrl && kalturaServiceUrl !== ""
+      ? kalturaServiceUrl
+      : DEFAULT_KALTURA_URL
+  }/p/${partnerId}/thumbnail/entry_id/${entryId}`;
+
+/**
+ * Get the thumbnail API URL of a frame of an entry.
+ *
+ * @param {Object} options
+ * @param {string} options.kalturaServiceUrl - The URL to access the Kaltura service on.
+ * @param {number} options.partnerId - The Kaltura account id.
+ * @param {string} options.entryId - The id of the KalturaEntry.
+ * @param {number} options.time - The time of the frame, in seconds.
+ * @param {number} [options.width] - The width of the thumbnail in pixels, the original width if not passed.
+ * @returns {string}
+ */
+export const getEntryThumbnailUrl = ({
+  kalturaServiceUrl,
+  partnerId,
+  entryId,
+  time,
+  width = null,
+}) =>
+  `${getEntryThumbnailBaseUrl(kalturaServiceUrl, partnerId, entryId)}${
+    width ? `/width/${width}` : ""
+  }/vid_sec/${time}`;
+
+/**
+ * Get the thumbnail API URL of a sprite of an entry: frameCount frames, evenly spread between startTime and endTime,
+ * side by side in one image.
+ *
+ * @param {Object} options
+ * @param {string} options.kalturaServiceUrl - The URL to access the Kaltura service on.
+ * @param {number} options.partnerId - The Kaltura account id.
+ * @param {string} options.entryId - The id of the KalturaEntry.
+ * @param {number} options.startTime - The time of the first frame, in seconds.
+ * @param {number} options.endTime - The end of the range the frames are taken from, in seconds.
+ * @param {number} options.frameCount - How many frames the sprite has.
+ * @param {number} [options.width] - The width of each frame in pixels, the original width if not passed.
+ * @returns {string}
+ */
+export const getEntryThumbnailSpriteUrl = ({
+  kalturaServiceUrl,
+  partnerId,
+  entryId,
+  startTime,
+  endTime,
+  frameCount,
+  width = null,
+}) =>
+  `${getEntryThumbnailBaseUrl(kalturaServiceUrl, partnerId, entryId)}${
+    width ? `/width/${width}` : ""
+  }/vid_slices/${frameCount}/start_sec/${startTime}/end_sec/${endTime}`;
+
+/**
+ * Get the times of frameCount frames evenly spread between startTime and endTime, the same frames a sprite has.
+ *
+ * @param {number} startTime - The time of the first frame, in seconds.
+ * @param {number} endTime - The end of the range the frames are taken from, in seconds.
+ * @param {number} frameCount - How many frames.
+ * @returns {Array<number>} - The frame times, rounded to tenths of seconds.
+ */
+export const getPreviewFrameTimes = (startTime, endTime, frameCount) =>
+  Array.from(
+    { length: frameCount },
+    (_, i) =>
+      Math.round((startTime + ((endTime - startTime) * i) / frameCount) * 10) /
+      10
+  );
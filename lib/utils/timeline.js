@@ -0,0 +1,50 @@
+/**
+ * Get the kaltura-player-js UI timeline manager of a player instance, used to draw markers on the seek bar.
+ * Newer player versions expose it as a service, older ones through the UI wrapper.
+ *
+ * @param {Object} instance - The kaltura-player-js instance.
+ * @returns {Object|null} - The timeline manager, or null if this player version doesn't have one.
+ */
+export const getTimelineManager = (instance) => {
+  if (typeof instance.getService === "function") {
+    const timelineService = instance.getService("timeline");
+    if (timelineService) {
+      return timelineService;
+    }
+  }
+  if (instance.ui && typeof instance.ui.getManager === "function") {
+    return instance.ui.getManager("timeline") || null;
+  }
+  return null;
+};
+
+/**
+ * Add markers to the seek bar of a player instance.
+ *
+ * @param {Object} instance - The kaltura-player-js instance.
+ * @param {Array<{time: number, className: string, color: string}>} markers - Markers to add, time in seconds.
+ * @returns {Function} - A function that removes the markers that were added.
+ */
+export const addTimelineMarkers = (instance, markers) => {
+  const timelineManager = getTimelineManager(instance);
+  if (!timelineManager) {
+    return () => {};
+  }
+
+  const cuePoints = markers
+    .map((marker) =>
+      timelineManager.addCuePoint({
+        time: marker.time,
+        marker: {
+          width: 4,
+          color: marker.color,
+          className: marker.className,
+        },
+      })
+    )
+    .filter((cuePoint) => cuePoint);
+
+  return () => {
+    cuePoints.forEach((cuePoint) => timelineManager.removeCuePoint(cuePoint));
+  };
+};
@@ -0,0 +1,104 @@
+import React, { createRef } from "react";
+import { render } from "@testing-library/react";
+import { Player, createPlayerPool } from "../lib";
+import { installMockKalturaPlayer } from "../lib/testing";
+import { flushPlayerSetup } from "../lib/testing/testingLibrary";
+
+const createPlayerElement = (props = {}) => (
+  <Player
+    entryId="1_mock0001"
+    partnerId={123}
+    uiConfId={456}
+    ks="ks"
+    playerId="kaltura_player_test"
+    {...props}
+  />
+);
+
+const renderPlayer = (props) => render(createPlayerElement(props));
+
+describe("Player with the mock Kaltura player", () => {
+  let mockKalturaPlayer;
+  let uninstall;
+
+  beforeEach(() => {
+    ({ mockKalturaPlayer, uninstall } = installMockKalturaPlayer());
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it("plays once the player is set up when asked before", async () => {
+    const ref = createRef();
+    renderPlayer({ ref });
+
+    const played = ref.current.playKalturaPlayer(30);
+    await flushPlayerSetup();
+    await played;
+
+    const player = mockKalturaPlayer.getPlayer("kaltura_player_test");
+    expect(player.paused).toBe(false);
+    expect(player.currentTime).toBe(30);
+
+    await ref.current.pauseKalturaPlayer();
+    expect(player.paused).toBe(true);
+  });
+
+  it("doesn't reach a released instance through a held handle", async () => {
+    const playerPool = createPlayerPool();
+    const ref = createRef();
+    const { unmount } = renderPlayer({ ref, playerPool });
+    await flushPlayerSetup();
+    const handle = ref.current;
+    const player = mockKalturaPlayer.getPlayer("kaltura_player_test");
+    unmount();
+
+    // the pooled instance is reused by another Player
+    renderPlayer({ entryId: "1_mock0002", playerPool });
+    await flushPlayerSetup();
+    expect(mockKalturaPlayer.players).toHaveLength(1);
+
+    await expect(handle.seek(30)).resolves.toBeUndefined();
+    await expect(handle.playKalturaPlayer()).resolves.toBeUndefined();
+    expect(player.currentTime).not.toBe(30);
+    expect(player.paused).toBe(true);
+  });
+
+  it("seeks instead of reloading the entry when only startTime changes", async () => {
+    const { rerender } = renderPlayer({ startTime: 10 });
+    await flushPlayerSetup();
+    const player = mockKalturaPlayer.getPlayer("kaltura_player_test");
+    const loadMedia = jest.spyOn(player, "loadMedia");
+
+    rerender(createPlayerElement({ startTime: 20 }));
+    await flushPlayerSetup();
+    expect(loadMedia).not.toHaveBeenCalled();
+    expect(player.currentTime).toBe(20);
+
+    rerender(createPlayerElement({ entryId: "1_mock0002", startTime: 5 }));
+    await flushPlayerSetup();
+    expect(loadMedia).toHaveBeenCalledTimes(1);
+    expect(loadMedia).toHaveBeenCalledWith(
+      { entryId: "1_mock0002" },
+      expect.objectContaining({ startTime: 5 })
+    );
+  });
+
+  it("calls onReady once per loaded media", async () => {
+    const onReady = jest.fn();
+    const ref = createRef();
+    renderPlayer({ ref, onReady });
+    await flushPlayerSetup();
+    const player = mockKalturaPlayer.getPlayer("kaltura_player_test");
+    expect(onReady).toHaveBeenCalledTimes(1);
+
+    // e.g. after a caption or audio track change
+    player.emit(player.Event.TRACKS_CHANGED, { tracks: [] });
+    expect(onReady).toHaveBeenCalledTimes(1);
+
+    await ref.current.loadEntry("1_mock0002");
+    await flushPlayerSetup();
+    expect(onReady).toHaveBeenCalledTimes(2);
+  });
+});
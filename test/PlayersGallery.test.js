@@ -0,0 +1,140 @@
+import React from "react";
+import { render, fireEvent, act } from "@testing-library/react";
+import { PlayersGallery } from "../lib";
+import {
+  installMockKalturaPlayer,
+  createSearchResponseFixture,
+} from "../lib/testing";
+import {
+  flushPlayerSetup,
+  getGalleryItem,
+  hoverGalleryItem,
+  unhoverGalleryItem,
+} from "../lib/testing/testingLibrary";
+
+const data = createSearchResponseFixture({
+  ref: [
+    { entry_id: "1_mock0001", time: 10, uniqueGuiId: "first" },
+    { entry_id: "1_mock0002", time: 42, uniqueGuiId: "second" },
+  ],
+});
+
+const renderGallery = (props = {}) =>
+  render(
+    <PlayersGallery
+      data={data}
+      partnerId={123}
+      uiConfId={456}
+      ks="ks"
+      {...props}
+    />
+  );
+
+describe("PlayersGallery with the mock Kaltura player", () => {
+  let mockKalturaPlayer;
+  let uninstall;
+
+  beforeEach(() => {
+    ({ mockKalturaPlayer, uninstall } = installMockKalturaPlayer());
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it("sets up a player per item, with its entry loaded", async () => {
+    const { container } = renderGallery();
+    await flushPlayerSetup();
+
+    expect(getGalleryItem(container, 0)).not.toBeNull();
+    expect(getGalleryItem(container, 1)).not.toBeNull();
+    expect(mockKalturaPlayer.getPlayer("kaltura_player_first").entryId).toBe(
+      "1_mock0001"
+    );
+    expect(mockKalturaPlayer.getPlayer("kaltura_player_second").entryId).toBe(
+      "1_mock0002"
+    );
+  });
+
+  it("plays a hovered item and pauses it when the hover ends", async () => {
+    const onHover = jest.fn();
+    const { container } = renderGallery({ shouldPlayOnHover: true, onHover });
+    await flushPlayerSetup();
+    const player = mockKalturaPlayer.getPlayer("kaltura_player_second");
+
+    await hoverGalleryItem(container, 1);
+    expect(player.paused).toBe(false);
+    expect(onHover).toHaveBeenLastCalledWith(1);
+    expect(mockKalturaPlayer.getPlayer("kaltura_player_first").paused).toBe(
+      true
+    );
+
+    await unhoverGalleryItem(container, 1);
+    expect(player.paused).toBe(true);
+    expect(onHover).toHaveBeenLastCalledWith(null);
+  });
+
+  it("doesn't play on hover by default", async () => {
+    const { container } = renderGallery();
+    await flushPlayerSetup();
+
+    await hoverGalleryItem(container, 0);
+    expect(mockKalturaPlayer.getPlayer("kaltura_player_first").paused).toBe(
+      true
+    );
+  });
+
+  it("plays and pauses an item with the keyboard, without an onHover handler", async () => {
+    const { container } = renderGallery();
+    await flushPlayerSetup();
+    const player = mockKalturaPlayer.getPlayer("kaltura_player_first");
+
+    await act(async () => {
+      fireEvent.keyDown(getGalleryItem(container, 0), { key: "Enter" });
+    });
+    expect(player.paused).toBe(false);
+
+    await act(async () => {
+      fireEvent.keyDown(getGalleryItem(container, 0), { key: " " });
+    });
+    expect(player.paused).toBe(true);
+  });
+
+  it("pauses the other items when one plays in exclusivePlayback mode", async () => {
+    renderGallery({ exclusivePlayback: true });
+    await flushPlayerSetup();
+    const first = mockKalturaPlayer.getPlayer("kaltura_player_first");
+    const second = mockKalturaPlayer.getPlayer("kaltura_player_second");
+
+    first.play();
+    await flushPlayerSetup();
+    second.play();
+    await flushPlayerSetup();
+    expect(first.paused).toBe(true);
+    expect(second.paused).toBe(false);
+  });
+
+  it("lets several items play by default", async () => {
+    renderGallery();
+    await flushPlayerSetup();
+    const first = mockKalturaPlayer.getPlayer("kaltura_player_first");
+    const second = mockKalturaPlayer.getPlayer("kaltura_player_second");
+
+    first.play();
+    await flushPlayerSetup();
+    second.play();
+    await flushPlayerSetup();
+    expect(first.paused).toBe(false);
+    expect(second.paused).toBe(false);
+  });
+
+  it("destroys the players on unmount", async () => {
+    const { unmount } = renderGallery();
+    await flushPlayerSetup();
+    unmount();
+    await flushPlayerSetup();
+
+    expect(mockKalturaPlayer.players).toHaveLength(2);
+    expect(mockKalturaPlayer.players.every((p) => p.isDestroyed)).toBe(true);
+  });
+});
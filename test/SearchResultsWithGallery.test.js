@@ -0,0 +1,133 @@
+import React from "react";
+import { render, waitFor } from "@testing-library/react";
+import { SearchResultsWithGallery } from "../lib";
+import {
+  installMockKalturaPlayer,
+  installMockSearchApi,
+  createSearchResponseFixture,
+} from "../lib/testing";
+import { flushPlayerSetup, hoverSentence } from "../lib/testing/testingLibrary";
+
+const QUERY = "how do I make a point?";
+
+const renderSearch = (props = {}) =>
+  render(
+    <SearchResultsWithGallery
+      searchQuery={QUERY}
+      isSearching={true}
+      setIsSearching={jest.fn()}
+      searchCacheTtl={0}
+      partnerId={123}
+      uiConfId={456}
+      ks="ks"
+      {...props}
+    />
+  );
+
+describe("SearchResultsWithGallery with a mock search API", () => {
+  let mockKalturaPlayer;
+  let uninstallPlayer;
+  let mockFetch;
+  let restoreFetch;
+
+  const installSearchApi = (options) => {
+    ({ mockFetch, restore: restoreFetch } = installMockSearchApi(options));
+  };
+
+  beforeEach(() => {
+    ({ mockKalturaPlayer, uninstall: uninstallPlayer } =
+      installMockKalturaPlayer());
+  });
+
+  afterEach(() => {
+    if (restoreFetch) restoreFetch();
+    restoreFetch = null;
+    uninstallPlayer();
+  });
+
+  it("searches the query and renders the answer with a player per ref", async () => {
+    installSearchApi({ fixtures: { [QUERY]: createSearchResponseFixture() } });
+    const { findByText } = renderSearch();
+
+    await findByText(/The first point of the answer/);
+    await findByText(/The second point of the answer/);
+    await flushPlayerSetup();
+
+    expect(mockFetch.calls).toHaveLength(1);
+    expect(mockFetch.calls[0].query).toBe(QUERY);
+    expect(mockKalturaPlayer.players.map((p) => p.entryId)).toEqual([
+      "1_mock0001",
+      "1_mock0002",
+    ]);
+  });
+
+  it("plays the cited segment of a hovered sentence", async () => {
+    installSearchApi();
+    const { container, findByText } = renderSearch();
+    await findByText(/The second point of the answer/);
+    await flushPlayerSetup();
+
+    await hoverSentence(container, 1);
+    const player = mockKalturaPlayer.players.find(
+      (p) => p.entryId === "1_mock0002"
+    );
+    await waitFor(() => expect(player.paused).toBe(false));
+    expect(player.currentTime).toBe(42);
+  });
+
+  it("points each sentence at the gallery item of its entry in groupByEntry mode", async () => {
+    installSearchApi({
+      defaultResponse: createSearchResponseFixture({
+        ref: [
+          {
+            entry_id: "1_mock0001",
+            sentence_from_model_answer: "1. One.",
+            time: 10,
+          },
+          { entry_id: "", sentence_from_model_answer: "2. Uncited." },
+          {
+            entry_id: "1_mock0001",
+            sentence_from_model_answer: "3. Three.",
+            time: 30,
+          },
+          {
+            entry_id: "1_mock0002",
+            sentence_from_model_answer: "4. Four.",
+            time: 5,
+          },
+        ],
+      }),
+    });
+    const { container, findByText } = renderSearch({ groupByEntry: true });
+    await findByText(/Four\./);
+    await flushPlayerSetup();
+
+    const sentences = container.querySelectorAll("[data-sentence-index]");
+    const controlledIds = Array.from(sentences).map((sentence) =>
+      sentence.getAttribute("aria-controls")
+    );
+    expect(controlledIds[1]).toBeNull();
+    expect(controlledIds[0]).toBe(controlledIds[2]);
+    expect(controlledIds[3]).not.toBe(controlledIds[0]);
+    [0, 2, 3].forEach((index) =>
+      expect(document.getElementById(controlledIds[index])).not.toBeNull()
+    );
+  });
+
+  it("renders a streamed answer", async () => {
+    installSearchApi({ stream: "ndjson" });
+    const { findByText } = renderSearch();
+
+    await findByText(/The first point of the answer/);
+    await findByText(/The second point of the answer/);
+  });
+
+  it("shows an error when the search API fails", async () => {
+    installSearchApi({ status: 500 });
+    const setIsSearching = jest.fn();
+    const { findByText } = renderSearch({ searchRetries: 0, setIsSearching });
+
+    await findByText(/Error:/);
+    expect(setIsSearching).toHaveBeenCalledWith(false);
+  });
+});
@@ -0,0 +1,64 @@
+import { getKalturaSession } from "../lib/utils/kalturaSession";
+
+// let the pending ksProvider promise chain settle
+const flushPromises = () =>
+  new Promise((resolve) => jest.requireActual("timers").setImmediate(resolve));
+
+describe("getKalturaSession", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  it("reports a failing ksProvider and retries it with a backoff", async () => {
+    const error = new Error("provider down");
+    const ksProvider = jest
+      .fn()
+      .mockRejectedValueOnce(error)
+      .mockRejectedValueOnce(error)
+      .mockResolvedValue({ ks: "ks", expiry: Date.now() / 1000 + 3600 });
+    const listener = jest.fn();
+    const errorListener = jest.fn();
+
+    const unsubscribe = getKalturaSession(ksProvider).subscribe(
+      listener,
+      errorListener
+    );
+    await flushPromises();
+    expect(errorListener).toHaveBeenCalledWith(error);
+    expect(listener).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(5 * 1000);
+    await flushPromises();
+    expect(ksProvider).toHaveBeenCalledTimes(2);
+    expect(errorListener).toHaveBeenCalledTimes(2);
+
+    // the second retry waits twice as long
+    jest.advanceTimersByTime(5 * 1000);
+    await flushPromises();
+    expect(ksProvider).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(5 * 1000);
+    await flushPromises();
+    expect(ksProvider).toHaveBeenCalledTimes(3);
+    expect(listener).toHaveBeenCalledWith("ks");
+
+    unsubscribe();
+  });
+
+  it("stops retrying once nobody is subscribed", async () => {
+    const ksProvider = jest.fn().mockRejectedValue(new Error("provider down"));
+
+    const unsubscribe = getKalturaSession(ksProvider).subscribe(jest.fn());
+    await flushPromises();
+    unsubscribe();
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+
+    expect(ksProvider).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+import { createHttpSearchClient } from "../lib";
+import {
+  installMockSearchApi,
+  createSearchResponseFixture,
+} from "../lib/testing";
+
+const QUERY = "how do I make a point?";
+
+/**
+ * A fetch answering with an NDJSON stream that sends its first event and then stalls, until the request is aborted.
+ */
+const createStallingFetch = () => (url, options) =>
+  Promise.resolve({
+    ok: true,
+    status: 200,
+    headers: { get: () => "application/x-ndjson" },
+    body: {
+      getReader: () => {
+        let isFirstRead = true;
+        return {
+          read: () =>
+            new Promise((resolve, reject) => {
+              if (isFirstRead) {
+                isFirstRead = false;
+                resolve({
+                  done: false,
+                  value: new TextEncoder().encode(
+                    JSON.stringify({ answer_delta: "A first sentence." }) + "\n"
+                  ),
+                });
+                return;
+              }
+              options.signal.addEventListener("abort", () => {
+                const error = new Error("The operation was aborted.");
+                error.name = "AbortError";
+                reject(error);
+              });
+            }),
+          cancel: () => Promise.resolve(),
+        };
+      },
+    },
+  });
+
+describe("createHttpSearchClient", () => {
+  let restore;
+
+  afterEach(() => {
+    restore();
+  });
+
+  it("resolves with the response, filling in the optional ref fields", async () => {
+    ({ restore } = installMockSearchApi({
+      defaultResponse: {
+        model_answer: "An answer.",
+        entry_id: "1_best",
+        time: 5,
+        score: 0.1,
+        ref: [{ entry_id: "1_mock0001" }],
+      },
+    }));
+
+    const data = await createHttpSearchClient().search(QUERY);
+
+    expect(data.entry_id).toBe("1_best");
+    expect(data.time).toBe(5);
+    expect(data.ref[0]).toEqual({
+      entry_id: "1_mock0001",
+      segment_title: "",
+      sentence_from_model_answer: "",
+      video_transcript_segment: "",
+      time: 0,
+      score: 0,
+    });
+  });
+
+  it("takes the best reference of a streamed response from its first ref", async () => {
+    const response = createSearchResponseFixture();
+    ({ restore } = installMockSearchApi({
+      defaultResponse: response,
+      stream: "ndjson",
+    }));
+    const onUpdate = jest.fn();
+
+    const data = await createHttpSearchClient().search(QUERY, { onUpdate });
+
+    expect(onUpdate).toHaveBeenCalled();
+    expect(data.model_answer).toBe(response.model_answer + "\n");
+    expect(data.ref.map((refObj) => refObj.entry_id)).toEqual([
+      "1_mock0001",
+      "1_mock0002",
+    ]);
+    expect(data.entry_id).toBe("1_mock0001");
+    expect(data.time).toBe(10);
+    expect(data.score).toBe(0.2);
+  });
+
+  it("fails a streamed response that stalls for longer than the timeout", async () => {
+    const previousFetch = globalThis.fetch;
+    globalThis.fetch = createStallingFetch();
+    restore = () => {
+      globalThis.fetch = previousFetch;
+    };
+    const onUpdate = jest.fn();
+
+    await expect(
+      createHttpSearchClient({ timeout: 50 }).search(QUERY, { onUpdate })
+    ).rejects.toMatchObject({ name: "TimeoutError" });
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't time out a stream whose chunks keep coming", async () => {
+    ({ restore } = installMockSearchApi({
+      stream: "ndjson",
+      chunkDelay: 30,
+    }));
+
+    // 5 events 30ms apart take longer than the timeout, but none is late
+    const data = await createHttpSearchClient({ timeout: 50 }).search(QUERY);
+
+    expect(data.ref).toHaveLength(2);
+  });
+});